@@ -0,0 +1,109 @@
+// Generated by tools/build-precache.mjs - do not edit
+self.PRECACHE = {
+    "version": "53340db409ff",
+    "files": [
+        "experiences/architecture.html",
+        "experiences/beadwork.html",
+        "experiences/cart.html",
+        "experiences/circle-of-stories.html",
+        "experiences/farming.html",
+        "experiences/fishing.html",
+        "experiences/infinite-loom.html",
+        "experiences/language-game.html",
+        "experiences/medicine-garden.html",
+        "experiences/medicine-wheel.html",
+        "experiences/nature-math.html",
+        "experiences/remembering.html",
+        "icon.svg",
+        "index.html",
+        "manifest.webmanifest",
+        "src/BoatController.js",
+        "src/DeepLinks.js",
+        "src/ElderVisits.js",
+        "src/ExperienceProgress.js",
+        "src/ExperienceShell.js",
+        "src/Expression.js",
+        "src/FrameGovernor.js",
+        "src/GraphicsPanel.js",
+        "src/GraphicsQuality.js",
+        "src/Heightfield.js",
+        "src/InteractionManager.js",
+        "src/JourneyFile.js",
+        "src/Lighting.js",
+        "src/MathChallenges.js",
+        "src/Minimap.js",
+        "src/ModalStack.js",
+        "src/PrairieHandoff.js",
+        "src/ProfilePicker.js",
+        "src/ProfileStore.js",
+        "src/Props.js",
+        "src/ScormAdapter.js",
+        "src/Seasons.js",
+        "src/StationPopup.js",
+        "src/StationRegistry.js",
+        "src/TeacherDashboard.js",
+        "src/Terrain.js",
+        "src/TimeControls.js",
+        "src/Utils.js",
+        "src/Vegetation.js",
+        "src/WalkController.js",
+        "src/Weather.js",
+        "src/Wildlife.js",
+        "src/WildlifeCard.js",
+        "src/World.js",
+        "src/WorldClock.js",
+        "src/XapiClient.js",
+        "src/main.js",
+        "src/stations.json",
+        "styles.css",
+        "teacher.html",
+        "vendor/fonts/cinzel/LICENSE",
+        "vendor/fonts/cinzel/cinzel-latin-400-normal.woff2",
+        "vendor/fonts/cinzel/cinzel-latin-700-normal.woff2",
+        "vendor/fonts/cormorant-garamond/LICENSE",
+        "vendor/fonts/cormorant-garamond/cormorant-garamond-latin-300-normal.woff2",
+        "vendor/fonts/cormorant-garamond/cormorant-garamond-latin-500-normal.woff2",
+        "vendor/fonts/cormorant-garamond/cormorant-garamond-latin-600-normal.woff2",
+        "vendor/fonts/dm-serif-display/LICENSE",
+        "vendor/fonts/dm-serif-display/dm-serif-display-latin-400-normal.woff2",
+        "vendor/fonts/fonts.css",
+        "vendor/fonts/inter/LICENSE",
+        "vendor/fonts/inter/inter-latin-300-normal.woff2",
+        "vendor/fonts/inter/inter-latin-400-normal.woff2",
+        "vendor/fonts/inter/inter-latin-600-normal.woff2",
+        "vendor/fonts/lato/LICENSE",
+        "vendor/fonts/lato/lato-latin-300-normal.woff2",
+        "vendor/fonts/lato/lato-latin-400-normal.woff2",
+        "vendor/fonts/manrope/LICENSE",
+        "vendor/fonts/manrope/manrope-latin-300-normal.woff2",
+        "vendor/fonts/manrope/manrope-latin-500-normal.woff2",
+        "vendor/fonts/manrope/manrope-latin-800-normal.woff2",
+        "vendor/fonts/montserrat/LICENSE",
+        "vendor/fonts/montserrat/montserrat-latin-300-normal.woff2",
+        "vendor/fonts/montserrat/montserrat-latin-400-normal.woff2",
+        "vendor/fonts/montserrat/montserrat-latin-600-normal.woff2",
+        "vendor/fonts/montserrat/montserrat-latin-700-normal.woff2",
+        "vendor/fonts/playfair-display/LICENSE",
+        "vendor/fonts/playfair-display/playfair-display-latin-400-italic.woff2",
+        "vendor/fonts/playfair-display/playfair-display-latin-400-normal.woff2",
+        "vendor/fonts/playfair-display/playfair-display-latin-700-normal.woff2",
+        "vendor/three/LICENSE",
+        "vendor/three/build/three.module.js",
+        "vendor/three/examples/jsm/controls/OrbitControls.js",
+        "vendor/three/examples/jsm/environments/RoomEnvironment.js",
+        "vendor/three/examples/jsm/geometries/TextGeometry.js",
+        "vendor/three/examples/jsm/loaders/FontLoader.js",
+        "vendor/three/examples/jsm/objects/Sky.js",
+        "vendor/three/examples/jsm/objects/Water.js",
+        "vendor/three/examples/jsm/postprocessing/EffectComposer.js",
+        "vendor/three/examples/jsm/postprocessing/MaskPass.js",
+        "vendor/three/examples/jsm/postprocessing/OutputPass.js",
+        "vendor/three/examples/jsm/postprocessing/Pass.js",
+        "vendor/three/examples/jsm/postprocessing/RenderPass.js",
+        "vendor/three/examples/jsm/postprocessing/ShaderPass.js",
+        "vendor/three/examples/jsm/postprocessing/UnrealBloomPass.js",
+        "vendor/three/examples/jsm/shaders/CopyShader.js",
+        "vendor/three/examples/jsm/shaders/LuminosityHighPassShader.js",
+        "vendor/three/examples/jsm/shaders/OutputShader.js"
+    ]
+};
@@ -1,23 +1,36 @@
 import * as THREE from 'three';
 
+// Canoe on the river - paddle the channel Terrain carves (riverMeander/riverWidth), bobbing on
+// the same waves as the water shader and drifting downstream with the current.
+// W/S paddle, A/D (or arrows) steer; click the view for mouse look, where A/D paddle sideways.
+
+const SEAT_HEIGHT = 0.9;     // Eye height above the water
+const STERN_OFFSET = 1.2;    // Paddler sits behind the canoe's middle
+const BANK_MARGIN = 0.45;    // Furthest from the centre line, in river widths (the water's edge is ~0.6)
+const WORLD_LIMIT = 190;
+
 export class BoatController {
-    constructor(camera, domElement) {
+    constructor(camera, domElement, terrain, config = {}) {
         this.camera = camera;
         this.domElement = domElement;
+        this.terrain = terrain;
 
         // Boat position (on the water surface)
-        this.position = new THREE.Vector3(0, 0.5, 0); // Start in the middle of the river
+        this.position = new THREE.Vector3();
         this.velocity = new THREE.Vector3();
 
         // Camera rotation (looking around from the boat)
-        this.yaw = 0;   // Left/right rotation
-        this.pitch = 0; // Up/down rotation
+        this.yaw = 0;      // Heading of the canoe
+        this.lookYaw = 0;  // Mouse look relative to the heading
+        this.pitch = 0;    // Up/down rotation
 
         // Movement settings
-        this.moveSpeed = 8;       // Units per second
-        this.turnSpeed = 1.5;     // Radians per second for keyboard turning
+        this.moveSpeed = 5;       // Paddling acceleration, units per second squared
+        this.turnSpeed = 1.2;     // Radians per second for keyboard turning
         this.mouseSensitivity = 0.002;
-        this.friction = 0.95;
+        this.drag = 0.9;          // Share of speed kept each second (water drag)
+        // Current along the channel; flowSpeed matches the water's flow animation setting
+        this.currentSpeed = ((config.water || {}).flowSpeed || 0.3) * 4;
 
         // Input state
         this.keys = {
@@ -27,6 +40,8 @@ export class BoatController {
             right: false
         };
 
+        this.canoe = null; // The canoe model, carried along while paddling
+        this.enabled = false;
         this.isPointerLocked = false;
 
         this.init();
@@ -39,7 +54,7 @@ export class BoatController {
 
         // Mouse look (optional - click to enable)
         this.domElement.addEventListener('click', () => {
-            if (!this.isPointerLocked) {
+            if (this.enabled && !this.isPointerLocked && this.domElement.requestPointerLock) {
                 this.domElement.requestPointerLock();
             }
         });
@@ -49,120 +64,202 @@ export class BoatController {
         });
 
         document.addEventListener('mousemove', (e) => this.onMouseMove(e));
-
-        // Initial camera setup
-        this.updateCamera();
     }
 
     onKeyDown(e) {
-        switch (e.code) {
-            case 'KeyW':
-            case 'ArrowUp':
-                this.keys.forward = true;
-                break;
-            case 'KeyS':
-            case 'ArrowDown':
-                this.keys.backward = true;
-                break;
-            case 'KeyA':
-            case 'ArrowLeft':
-                this.keys.left = true;
-                break;
-            case 'KeyD':
-            case 'ArrowRight':
-                this.keys.right = true;
-                break;
-        }
+        if (!this.enabled || (e.target.closest && e.target.closest('input, textarea, select'))) return;
+        this.setKey(e, true);
     }
 
     onKeyUp(e) {
+        if (!this.enabled) return;
+        this.setKey(e, false);
+    }
+
+    setKey(e, pressed) {
         switch (e.code) {
             case 'KeyW':
             case 'ArrowUp':
-                this.keys.forward = false;
+                this.keys.forward = pressed;
                 break;
             case 'KeyS':
             case 'ArrowDown':
-                this.keys.backward = false;
+                this.keys.backward = pressed;
                 break;
             case 'KeyA':
             case 'ArrowLeft':
-                this.keys.left = false;
+                this.keys.left = pressed;
                 break;
             case 'KeyD':
             case 'ArrowRight':
-                this.keys.right = false;
+                this.keys.right = pressed;
                 break;
+            default:
+                return;
         }
+        e.preventDefault();
     }
 
     onMouseMove(e) {
-        if (!this.isPointerLocked) return;
+        if (!this.enabled || !this.isPointerLocked) return;
 
-        this.yaw -= e.movementX * this.mouseSensitivity;
+        this.lookYaw -= e.movementX * this.mouseSensitivity;
         this.pitch -= e.movementY * this.mouseSensitivity;
 
-        // Clamp pitch to prevent flipping
+        // Look around the canoe, not behind your own back
+        this.lookYaw = Math.max(-Math.PI * 0.6, Math.min(Math.PI * 0.6, this.lookYaw));
         this.pitch = Math.max(-Math.PI / 3, Math.min(Math.PI / 3, this.pitch));
     }
 
-    update(deltaTime) {
+    // Push off from where the canoe is, pointing it downstream
+    enable(canoe) {
+        this.canoe = canoe;
+        const start = this.clampToChannel(canoe.position.x, canoe.position.z);
+        this.position.set(start.x, this.terrain.waterLevel, start.z);
+
+        const { direction } = this.terrain.heightfield.getRiverAt(start.x);
+        this.yaw = Math.atan2(-direction.x, -direction.y);
+        this.lookYaw = 0;
+        this.pitch = 0;
+        this.velocity.set(0, 0, 0);
+        this.enabled = true;
+        this.update(0, 0);
+    }
+
+    // Step out, leaving the canoe floating where it is. Returns an orbit view of it.
+    disable() {
+        this.enabled = false;
+        this.releaseKeys();
+        if (this.isPointerLocked) document.exitPointerLock();
+
+        const forward = this.forward();
+        const target = this.position.clone();
+        const cameraPosition = new THREE.Vector3(
+            this.position.x - forward.x * 16,
+            this.position.y + 10,
+            this.position.z - forward.z * 16
+        );
+        return { cameraPosition, target };
+    }
+
+    // Dialogues and popups need the cursor back. World holds the canoe where it is meanwhile
+    // (update with no time passing), still bobbing on the waves.
+    pause() {
+        this.releaseKeys();
+        if (this.isPointerLocked) document.exitPointerLock();
+    }
+
+    releaseKeys() {
+        Object.keys(this.keys).forEach(key => { this.keys[key] = false; });
+    }
+
+    forward() {
+        return new THREE.Vector3(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+    }
+
+    // Keep (x, z) on the water inside the meandering channel
+    clampToChannel(x, z) {
+        const cx = Math.max(-WORLD_LIMIT, Math.min(WORLD_LIMIT, x));
+        const { center, width } = this.terrain.heightfield.getRiverAt(cx);
+        const reach = width * BANK_MARGIN;
+        return { x: cx, z: Math.max(center - reach, Math.min(center + reach, z)) };
+    }
+
+    update(deltaTime, elapsedTime) {
+        if (!this.enabled) return;
+        const dt = Math.min(deltaTime, 0.1);
+
         // Handle keyboard turning (when not using mouse look)
         if (!this.isPointerLocked) {
-            if (this.keys.left) this.yaw += this.turnSpeed * deltaTime;
-            if (this.keys.right) this.yaw -= this.turnSpeed * deltaTime;
+            if (this.keys.left) this.yaw += this.turnSpeed * dt;
+            if (this.keys.right) this.yaw -= this.turnSpeed * dt;
         }
 
-        // Calculate forward direction based on yaw
-        // Negative Z is "forward" in Three.js default camera orientation
-        const forward = new THREE.Vector3(
-            -Math.sin(this.yaw),
-            0,
-            -Math.cos(this.yaw)
-        );
+        const forward = this.forward();
 
-        // Apply movement
+        // Paddling
         if (this.keys.forward) {
-            this.velocity.add(forward.clone().multiplyScalar(this.moveSpeed * deltaTime));
+            this.velocity.addScaledVector(forward, this.moveSpeed * dt);
         }
         if (this.keys.backward) {
-            this.velocity.add(forward.clone().multiplyScalar(-this.moveSpeed * deltaTime * 0.5)); // Slower reverse
+            this.velocity.addScaledVector(forward, -this.moveSpeed * dt * 0.5); // Slower reverse
         }
 
-        // Only allow strafing when mouse look is active
+        // Only allow sideways strokes when mouse look is active
         if (this.isPointerLocked) {
-            const right = new THREE.Vector3().crossVectors(forward, new THREE.Vector3(0, 1, 0));
-            if (this.keys.left) {
-                this.velocity.add(right.clone().multiplyScalar(-this.moveSpeed * deltaTime * 0.5));
-            }
-            if (this.keys.right) {
-                this.velocity.add(right.clone().multiplyScalar(this.moveSpeed * deltaTime * 0.5));
-            }
+            const right = new THREE.Vector3(-forward.z, 0, forward.x);
+            if (this.keys.left) this.velocity.addScaledVector(right, -this.moveSpeed * dt * 0.5);
+            if (this.keys.right) this.velocity.addScaledVector(right, this.moveSpeed * dt * 0.5);
         }
 
-        // Apply friction (water drag)
-        this.velocity.multiplyScalar(this.friction);
+        // Apply drag (frame-rate independent)
+        this.velocity.multiplyScalar(Math.pow(this.drag, dt * 10));
+
+        // The current carries the canoe downstream, strongest mid-channel
+        const river = this.terrain.heightfield.getRiverAt(this.position.x);
+        const fromCenter = Math.min(1, Math.abs(this.position.z - river.center) / (river.width * 0.5));
+        const current = this.currentSpeed * (1 - fromCenter * fromCenter);
+        const drift = new THREE.Vector3(river.direction.x, 0, river.direction.y).multiplyScalar(current * dt);
+
+        // Update position, staying inside the channel (banks stop sideways motion)
+        const next = this.clampToChannel(
+            this.position.x + this.velocity.x * dt + drift.x,
+            this.position.z + this.velocity.z * dt + drift.z
+        );
+        if (next.z !== this.position.z + this.velocity.z * dt + drift.z) this.velocity.z *= 0.5;
+        if (Math.abs(next.x) >= WORLD_LIMIT) this.velocity.x = 0;
+        this.position.x = next.x;
+        this.position.z = next.z;
+
+        // Ride the waves
+        this.position.y = this.terrain.waterLevel + this.terrain.getWaveHeight(this.position.x, this.position.z, elapsedTime);
+
+        this.updateCanoe(elapsedTime);
+        this.updateCamera(elapsedTime);
+    }
 
-        // Update position
-        this.position.add(this.velocity);
+    // A canoe left on the water (after going ashore) bobs where it was left, without drifting
+    float(elapsedTime) {
+        if (this.enabled || !this.canoe) return;
+        this.position.y = this.terrain.waterLevel + this.terrain.getWaveHeight(this.position.x, this.position.z, elapsedTime);
+        this.updateCanoe(elapsedTime);
+    }
 
-        // Keep boat on water level
-        this.position.y = 0.5;
+    // Tilt along the wave slope under the bow and stern
+    waveTilt(elapsedTime) {
+        const forward = this.forward();
+        const sample = (along, side) => this.terrain.getWaveHeight(
+            this.position.x + forward.x * along - forward.z * side,
+            this.position.z + forward.z * along + forward.x * side,
+            elapsedTime
+        );
+        return {
+            pitch: Math.atan2(sample(2, 0) - sample(-2, 0), 4),
+            roll: Math.atan2(sample(0, 0.5) - sample(0, -0.5), 1)
+        };
+    }
 
-        // Constrain to expanded river area
-        this.position.x = Math.max(-180, Math.min(180, this.position.x));
-        this.position.z = Math.max(-15, Math.min(15, this.position.z)); // Wider river
+    updateCanoe(elapsedTime) {
+        if (!this.canoe) return;
+        const { pitch, roll } = this.waveTilt(elapsedTime);
 
-        this.updateCamera();
+        // The hull's length runs along its local x axis
+        this.canoe.position.set(this.position.x, this.position.y - 0.15, this.position.z);
+        this.canoe.rotation.set(roll, this.yaw + Math.PI / 2, pitch, 'YXZ');
     }
 
-    updateCamera() {
-        // Position camera on the boat
-        this.camera.position.copy(this.position);
-        this.camera.position.y = 1.5; // Eye height above water
+    updateCamera(elapsedTime) {
+        // Position camera at the stern seat
+        const forward = this.forward();
+        this.camera.position.set(
+            this.position.x - forward.x * STERN_OFFSET,
+            this.position.y + SEAT_HEIGHT,
+            this.position.z - forward.z * STERN_OFFSET
+        );
 
-        // Apply rotation
-        const euler = new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ');
+        // Apply rotation, rocking gently with the canoe
+        const { pitch, roll } = this.waveTilt(elapsedTime);
+        const euler = new THREE.Euler(this.pitch + pitch * 0.5, this.yaw + this.lookYaw, roll * 0.5, 'YXZ');
         this.camera.quaternion.setFromEuler(euler);
     }
 
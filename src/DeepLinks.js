@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+
+// Deep links - URL hash routes that open the prairie at a place, so a teacher can share a link:
+//   #cabin/3                          fly to Cabin 3
+//   #station/fishing/0                fly to a station and open its popup (any type, by registry key)
+//   #camera=x,y,z;target=x,y,z        an exact view (what the hash shows while exploring)
+// The hash follows the student (replaceState, so Back isn't flooded), and the view is kept for
+// the tab when leaving for an experience, so its "back to the prairie" link lands on the same view.
+
+const VIEW_KEY = 'metisPrairieView';
+const POLL_MS = 500;
+
+// Parse a hash (with or without the leading #) into a route, or null if it isn't one
+function parseRoute(hash) {
+    let text;
+    try {
+        text = decodeURIComponent((hash || '').replace(/^#/, '')).trim();
+    } catch (error) {
+        return null; // Malformed escapes
+    }
+
+    let match = text.match(/^cabin\/(\d+)$/);
+    if (match) return { kind: 'cabin', id: Number(match[1]) };
+
+    match = text.match(/^station\/([\w-]+)\/(\d+)$/);
+    if (match) return { kind: 'station', key: `${match[1]}-${match[2]}` };
+
+    match = text.match(/^camera=([^;]+);target=(.+)$/);
+    if (match) {
+        const camera = parseVector(match[1]);
+        const target = parseVector(match[2]);
+        if (camera && target) return { kind: 'camera', camera, target };
+    }
+    return null;
+}
+
+function parseVector(text) {
+    const parts = text.split(',').map(Number);
+    if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+    return new THREE.Vector3(...parts);
+}
+
+function formatVector(v) {
+    return [v.x, v.y, v.z].map(n => Number(n.toFixed(1))).join(',');
+}
+
+export class DeepLinks {
+    constructor(world, stations, storage = window.sessionStorage) {
+        this.world = world;
+        this.stations = stations;
+        this.storage = storage;
+        this.pending = null; // Station popup waiting for the student to start exploring
+
+        this.init();
+    }
+
+    init() {
+        const route = parseRoute(window.location.hash) || this.savedView();
+        if (route) this.apply(route, { instant: route.kind === 'camera', open: false });
+
+        // Links pasted into the address bar (or edited by hand) while already here
+        window.addEventListener('hashchange', () => {
+            const next = parseRoute(window.location.hash);
+            if (next) this.apply(next, { instant: false, open: true });
+        });
+
+        // Remember the view when leaving (opening an experience, reloading)
+        window.addEventListener('pagehide', () => this.saveView());
+
+        setInterval(() => this.updateHash(), POLL_MS);
+    }
+
+    // Go to a route. Camera views can jump instantly (restoring a view); places are flown to.
+    apply(route, { instant = false, open = true } = {}) {
+        const { minimap } = this.world;
+
+        if (route.kind === 'camera') {
+            if (instant) {
+                this.world.camera.position.copy(route.camera);
+                this.world.controls.target.copy(route.target);
+                this.world.controls.update();
+            } else {
+                minimap.animateCamera(route.camera, route.target);
+            }
+            return;
+        }
+
+        const station = route.kind === 'cabin'
+            ? this.stations.get('cabin', route.id)
+            : this.stations.getByKey(route.key);
+        if (!station) return;
+
+        minimap.jumpToStation(station);
+        if (route.kind === 'station') {
+            this.pending = station;
+            if (open) this.openPending();
+        }
+    }
+
+    // Back from an experience: the exact view it was opened from, with its station open again
+    resume(handoff) {
+        const route = parseRoute(handoff.view);
+        if (route) this.apply(route, { instant: true });
+        this.pending = this.stations.getByKey(handoff.station);
+    }
+
+    // The prairie at the current view, for an experience's way back
+    returnUrl() {
+        return `${window.location.href.split('#')[0]}#${this.cameraRoute()}`;
+    }
+
+    // Open the station a link asked for, once nothing else (profile picker, welcome) is in the way
+    openPending() {
+        const station = this.pending;
+        this.pending = null;
+        if (station) this.world.interactions.activateStation(station);
+    }
+
+    // The route for what the student is looking at right now
+    currentRoute() {
+        const { interactions } = this.world;
+        if (interactions.isDialogueOpen && interactions.currentCabinNumber) {
+            return `cabin/${interactions.currentCabinNumber}`;
+        }
+        const station = interactions.popup.station;
+        if (station && station.type) {
+            return `station/${station.type}/${station.id}`;
+        }
+        return this.cameraRoute();
+    }
+
+    cameraRoute() {
+        return `camera=${formatVector(this.world.camera.position)};target=${formatVector(this.world.controls.target)}`;
+    }
+
+    updateHash() {
+        // Mid-flight views aren't worth sharing
+        if (this.world.minimap.isAnimating) return;
+
+        const hash = `#${this.currentRoute()}`;
+        if (hash !== window.location.hash) {
+            history.replaceState(history.state, '', hash);
+        }
+    }
+
+    saveView() {
+        try {
+            this.storage.setItem(VIEW_KEY, this.cameraRoute());
+        } catch (error) {
+            // Storage full or disabled - the view just won't be restored
+        }
+    }
+
+    savedView() {
+        try {
+            return parseRoute(this.storage.getItem(VIEW_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,54 @@
+import { PrairieHandoff } from './PrairieHandoff.js';
+
+// Progress client for the experience pages. Each experience reports real engagement (words
+// found, a fish caught, a building assembled) instead of the prairie counting the click on
+// "Explore". Partial credit builds up through step() or named milestones; reaching the end
+// completes the station. Results go back through PrairieHandoff to the prairie's
+// metisPrairieProgress.recordExperience.
+//
+//   const progress = new ExperienceProgress(['cast', 'catch']);
+//   progress.reach('cast');          // half way
+//   progress.step(3, 14);            // or count steps directly
+//   progress.complete();             // done, whatever was reached
+
+export class ExperienceProgress {
+    constructor(milestones = [], handoff = new PrairieHandoff()) {
+        this.milestones = milestones;
+        this.reached = new Set();
+        this.handoff = handoff;
+        this.progress = 0;
+        this.completed = false;
+    }
+
+    // Mark a named milestone; all of them completes the experience
+    reach(name) {
+        if (!this.milestones.includes(name) || this.reached.has(name)) return;
+        this.reached.add(name);
+        this.step(this.reached.size, this.milestones.length);
+    }
+
+    // done of total steps. Only ever goes up, and small gains (e.g. planting while dragging)
+    // are batched into whole percents.
+    step(done, total) {
+        if (this.completed || total <= 0) return;
+        if (done >= total) {
+            this.complete({ score: total, maxScore: total });
+            return;
+        }
+
+        const progress = Math.floor((done / total) * 100) / 100;
+        if (progress <= this.progress) return;
+        this.progress = progress;
+        this.handoff.report({ progress, score: done, maxScore: total });
+    }
+
+    complete(result = {}) {
+        if (this.completed) return;
+        this.completed = true;
+        this.progress = 1;
+        // Milestone experiences score full marks even when finished early (e.g. a catch on the first cast)
+        const total = this.milestones.length;
+        const score = total ? { score: total, maxScore: total } : {};
+        this.handoff.report({ ...score, ...result, progress: 1, completed: true });
+    }
+}
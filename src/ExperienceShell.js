@@ -0,0 +1,402 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { ExperienceProgress } from './ExperienceProgress.js';
+
+// Shared bootstrap for the experience pages: scene, camera, renderer, orbit controls, optional
+// bloom, resizing, the render loop and WebGL context-loss recovery, plus common UI (title card,
+// info panel, back button, custom cursor) and the progress hook. A page supplies its content:
+//
+//   const shell = new ExperienceShell({
+//       camera: { fov: 50, far: 100, position: [8, 6, 10] },
+//       background: 0x1a1510,
+//       exposure: 1.2,
+//       controls: { minDistance: 5, maxDistance: 25, target: [0, 2, 0] },
+//       bloom: { strength: 1.5, radius: 0.4, threshold: 0.85 },
+//       shadows: true,
+//       milestones: ['cast', 'catch']
+//   });
+//   shell.scene.add(...);
+//   shell.start((delta, elapsed) => { ...animate content... });
+//
+// Every page renders the same way (ACES tone mapping, pixel ratio capped at 2, soft shadows for
+// the pages that ask for them), so renderer fixes land in one place. The shared UI is plain
+// classes (.experience-back-button, .experience-info-panel, ...); a page restyles them in its
+// own stylesheet to match its look.
+
+const MAX_PIXEL_RATIO = 2;
+
+export class ExperienceShell {
+    constructor({
+        container = document.body,
+        camera = {},
+        background = null,
+        exposure = 1.0,
+        shadows = false,
+        alpha = false,
+        controls = {},
+        bloom = null,
+        backButton = '← Back to Prairie',
+        milestones = []
+    } = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.resizeCallbacks = [];
+        this.update = null;
+        this.running = false;
+
+        // Real engagement, reported back to the prairie (see ExperienceProgress)
+        this.progress = new ExperienceProgress(milestones);
+
+        // The way back comes first, so it's there even when WebGL isn't. Any other element marked
+        // data-prairie-return (e.g. a "Return" button on a page's end screen) goes back the same way.
+        this.injectStyles();
+        if (backButton) this.addBackButton(backButton);
+        this.progress.handoff.wireBackButtons();
+
+        // Scene
+        this.scene = new THREE.Scene();
+        if (background !== null) this.scene.background = new THREE.Color(background);
+
+        // Camera
+        const { fov = 50, near = 0.1, far = 1000, position = [0, 5, 10] } = camera;
+        this.camera = new THREE.PerspectiveCamera(fov, window.innerWidth / window.innerHeight, near, far);
+        this.camera.position.set(...position);
+
+        // Renderer
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, MAX_PIXEL_RATIO));
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.renderer.toneMappingExposure = exposure;
+        this.renderer.shadowMap.enabled = shadows;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.container.appendChild(this.renderer.domElement);
+
+        // Orbit controls (pass false for pages that move the camera themselves)
+        this.controls = null;
+        if (controls) {
+            const { target, ...settings } = controls;
+            this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+            this.controls.enableDamping = true;
+            this.controls.dampingFactor = 0.05;
+            Object.assign(this.controls, settings);
+            if (target) this.controls.target.set(...target);
+            this.controls.update();
+        }
+
+        // Bloom composer (OutputPass applies the tone mapping after the effects)
+        this.composer = null;
+        this.bloomPass = null;
+        if (bloom) {
+            const { strength = 1.5, radius = 0.4, threshold = 0.85 } = bloom;
+            this.composer = new EffectComposer(this.renderer);
+            this.composer.addPass(new RenderPass(this.scene, this.camera));
+            this.bloomPass = new UnrealBloomPass(new THREE.Vector2(window.innerWidth, window.innerHeight), strength, radius, threshold);
+            this.composer.addPass(this.bloomPass);
+            this.composer.addPass(new OutputPass());
+        }
+
+        this.clock = new THREE.Clock();
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        window.addEventListener('resize', () => this.onResize());
+
+        // Drivers, tab switches and GPU resets can take the context away. Keep the page alive,
+        // say what's happening and pick up again once the browser gives it back.
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.running = false;
+            this.showNotice('Graphics paused - restoring the scene…');
+        });
+        canvas.addEventListener('webglcontextrestored', () => {
+            this.hideNotice();
+            if (this.update !== null) this.start(this.update);
+        });
+    }
+
+    // Extra work a page needs on resize (labels, custom render targets)
+    onResize(callback) {
+        if (callback) {
+            this.resizeCallbacks.push(callback);
+            return;
+        }
+
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        if (this.composer) this.composer.setSize(width, height);
+        if (this.bloomPass) this.bloomPass.resolution.set(width, height);
+        this.resizeCallbacks.forEach(fn => fn(width, height));
+    }
+
+    // Run the loop: update(deltaSeconds, elapsedSeconds) moves the content, then the shell renders
+    start(update = () => {}) {
+        this.update = update;
+        if (this.running) return;
+        this.running = true;
+        this.clock.getDelta(); // Don't count the time spent stopped
+
+        const loop = () => {
+            if (!this.running) return;
+            requestAnimationFrame(loop);
+
+            const delta = Math.min(this.clock.getDelta(), 0.1);
+            if (this.controls) this.controls.update();
+            this.update(delta, this.clock.elapsedTime);
+            this.render();
+        };
+        requestAnimationFrame(loop);
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    render() {
+        if (this.composer) {
+            this.composer.render();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    // --- Common UI ---
+
+    // Centred title that fades out after a few seconds
+    showTitleCard({ title, subtitle = '', duration = 4000 }) {
+        const card = document.createElement('div');
+        card.className = 'experience-title-card';
+        card.innerHTML = '<h1></h1><p></p>';
+        card.querySelector('h1').textContent = title;
+        card.querySelector('p').textContent = subtitle;
+        document.body.appendChild(card);
+
+        requestAnimationFrame(() => card.classList.add('visible'));
+        setTimeout(() => {
+            card.classList.remove('visible');
+            setTimeout(() => card.remove(), 1000);
+        }, duration);
+        return card;
+    }
+
+    // Side panel for whatever the student picked: title, Michif name, description (trusted HTML).
+    // onClose runs when the student closes it with its × button.
+    showInfo({ title, subtitle = '', html = '', onClose = null }) {
+        if (!this.infoPanel) {
+            this.infoPanel = document.createElement('aside');
+            this.infoPanel.className = 'experience-info-panel';
+            this.infoPanel.innerHTML = `
+                <button class="experience-info-close" aria-label="Close">×</button>
+                <h2></h2>
+                <h3></h3>
+                <div class="experience-info-body"></div>
+            `;
+            this.infoPanel.querySelector('.experience-info-close').addEventListener('click', () => {
+                this.hideInfo();
+                if (this.onInfoClose) this.onInfoClose();
+            });
+            document.body.appendChild(this.infoPanel);
+        }
+        this.infoPanel.querySelector('h2').textContent = title;
+        this.infoPanel.querySelector('h3').textContent = subtitle;
+        this.infoPanel.querySelector('.experience-info-body').innerHTML = html;
+        this.infoPanel.classList.add('visible');
+        this.onInfoClose = onClose;
+    }
+
+    hideInfo() {
+        if (this.infoPanel) this.infoPanel.classList.remove('visible');
+    }
+
+    // The back link that resumes the prairie (see PrairieHandoff). The constructor adds it; pass
+    // backButton: 'label' to change its text, or false for a page that leaves some other way.
+    addBackButton(label = '← Back to Prairie') {
+        const link = document.createElement('a');
+        link.href = '../index.html';
+        link.className = 'experience-back-button';
+        link.setAttribute('data-prairie-return', '');
+        link.textContent = label;
+        document.body.appendChild(link);
+        return link;
+    }
+
+    // Ring-and-dot cursor; setCursorActive(true) grows the ring over something clickable
+    addCursor() {
+        this.cursorRing = document.createElement('div');
+        this.cursorRing.className = 'experience-cursor-ring';
+        this.cursorDot = document.createElement('div');
+        this.cursorDot.className = 'experience-cursor-dot';
+        document.body.append(this.cursorRing, this.cursorDot);
+
+        window.addEventListener('mousemove', (e) => {
+            this.cursorDot.style.left = e.clientX + 'px';
+            this.cursorDot.style.top = e.clientY + 'px';
+            // The ring trails slightly for a "heavy" feel
+            setTimeout(() => {
+                this.cursorRing.style.left = e.clientX + 'px';
+                this.cursorRing.style.top = e.clientY + 'px';
+            }, 50);
+        });
+    }
+
+    setCursorActive(active) {
+        document.body.style.cursor = active ? 'pointer' : 'default';
+        if (this.cursorRing) this.cursorRing.classList.toggle('active', active);
+    }
+
+    showNotice(text) {
+        if (!this.notice) {
+            this.notice = document.createElement('div');
+            this.notice.className = 'experience-notice';
+            this.notice.setAttribute('role', 'status');
+            document.body.appendChild(this.notice);
+        }
+        this.notice.textContent = text;
+        this.notice.style.display = 'block';
+    }
+
+    hideNotice() {
+        if (this.notice) this.notice.style.display = 'none';
+    }
+
+    injectStyles() {
+        if (document.getElementById('experience-shell-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'experience-shell-styles';
+        style.textContent = `
+            .experience-title-card {
+                position: fixed;
+                top: 40%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                text-align: center;
+                color: white;
+                pointer-events: none;
+                opacity: 0;
+                transition: opacity 1s ease;
+                z-index: 150;
+                text-shadow: 0 2px 12px rgba(0, 0, 0, 0.6);
+            }
+            .experience-title-card.visible {
+                opacity: 1;
+            }
+            .experience-title-card h1 {
+                font-family: 'Georgia', serif;
+                font-size: 2.6rem;
+                color: #FFD700;
+                margin: 0 0 8px 0;
+            }
+            .experience-title-card p {
+                font-size: 1.1rem;
+                margin: 0;
+                opacity: 0.85;
+            }
+            .experience-info-panel {
+                position: fixed;
+                top: 50%;
+                right: 24px;
+                width: 320px;
+                max-height: 80vh;
+                overflow-y: auto;
+                transform: translate(120%, -50%);
+                transition: transform 0.4s ease;
+                padding: 20px 22px;
+                background: rgba(20, 15, 10, 0.88);
+                border: 1px solid rgba(255, 215, 0, 0.4);
+                border-radius: 10px;
+                color: #e0d0c0;
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                z-index: 120;
+            }
+            .experience-info-panel.visible {
+                transform: translate(0, -50%);
+            }
+            .experience-info-panel h2 {
+                font-family: 'Georgia', serif;
+                color: #FFD700;
+                margin: 0 0 4px 0;
+            }
+            .experience-info-panel h3 {
+                color: #c9a86c;
+                font-style: italic;
+                font-weight: normal;
+                margin: 0 0 12px 0;
+            }
+            .experience-info-close {
+                position: absolute;
+                top: 8px;
+                right: 10px;
+                background: none;
+                border: none;
+                color: white;
+                font-size: 1.4rem;
+                cursor: pointer;
+            }
+            .experience-back-button {
+                position: fixed;
+                top: 20px;
+                left: 20px;
+                padding: 10px 18px;
+                background: rgba(0, 0, 0, 0.5);
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                border-radius: 6px;
+                color: white;
+                text-decoration: none;
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                z-index: 200;
+            }
+            .experience-back-button:hover {
+                background: rgba(50, 50, 50, 0.7);
+            }
+            .experience-cursor-ring,
+            .experience-cursor-dot {
+                position: fixed;
+                border-radius: 50%;
+                pointer-events: none;
+                transform: translate(-50%, -50%);
+                z-index: 300;
+            }
+            .experience-cursor-ring {
+                width: 40px;
+                height: 40px;
+                border: 2px solid rgba(255, 255, 255, 0.5);
+                transition: width 0.2s, height 0.2s, background 0.2s, border-color 0.2s;
+            }
+            .experience-cursor-ring.active {
+                width: 60px;
+                height: 60px;
+                border-color: rgba(255, 255, 255, 1);
+                background: rgba(255, 255, 255, 0.1);
+            }
+            .experience-cursor-dot {
+                width: 6px;
+                height: 6px;
+                background: white;
+            }
+            .experience-notice {
+                display: none;
+                position: fixed;
+                bottom: 30px;
+                left: 50%;
+                transform: translateX(-50%);
+                padding: 10px 18px;
+                background: rgba(0, 0, 0, 0.75);
+                border-radius: 6px;
+                color: white;
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                z-index: 300;
+            }
+        `;
+        // First in <head>, so a page's own rules for these classes win
+        document.head.prepend(style);
+    }
+}
@@ -0,0 +1,385 @@
+// Small algebra parser for free-response Elder answers.
+// Understands numbers, the variables x/y (any single letter), + - * / ^, brackets, implicit
+// multiplication ("2x", "(x+1)(x-1)"), superscripts (x², y³), unicode minus/times and one "=".
+// Expressions are expanded into polynomials so any algebraically equivalent answer compares equal.
+
+const EPSILON = 1e-9;
+
+// Limits on expanding a student's answer, so something like (a+b+c+d+x+y+1)^12 is turned away
+// instead of freezing the page. Elder answers stay far below them.
+const MAX_EXPONENT = 12;
+const MAX_DEGREE = 24;
+const MAX_TERMS = 200;
+const TOO_BIG = 'That expression is too big to check.';
+
+// Limits on reading it: the parser and the expansion recurse, so a pasted wall of brackets or
+// symbols would otherwise overflow the stack
+const MAX_TOKENS = 400;
+const MAX_NESTING = 40;
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+
+export class ExpressionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExpressionError';
+    }
+}
+
+// Polynomial as a map of monomial key ("x^2*y") -> coefficient
+class Polynomial {
+    constructor(terms = new Map()) {
+        this.terms = terms;
+    }
+
+    static constant(value) {
+        return new Polynomial(new Map(value === 0 ? [] : [['', value]]));
+    }
+
+    static variable(name) {
+        return new Polynomial(new Map([[name, 1]]));
+    }
+
+    static parseKey(key) {
+        const powers = {};
+        if (key) {
+            key.split('*').forEach(part => {
+                const [name, power] = part.split('^');
+                powers[name] = power ? parseInt(power, 10) : 1;
+            });
+        }
+        return powers;
+    }
+
+    static makeKey(powers) {
+        return Object.keys(powers)
+            .filter(name => powers[name] > 0)
+            .sort()
+            .map(name => (powers[name] === 1 ? name : `${name}^${powers[name]}`))
+            .join('*');
+    }
+
+    addTerm(key, coefficient) {
+        const value = (this.terms.get(key) || 0) + coefficient;
+        if (Math.abs(value) < EPSILON) {
+            this.terms.delete(key);
+        } else {
+            this.terms.set(key, value);
+        }
+    }
+
+    add(other) {
+        const result = new Polynomial(new Map(this.terms));
+        other.terms.forEach((coefficient, key) => result.addTerm(key, coefficient));
+        return result;
+    }
+
+    scale(factor) {
+        const result = new Polynomial();
+        this.terms.forEach((coefficient, key) => result.addTerm(key, coefficient * factor));
+        return result;
+    }
+
+    sub(other) {
+        return this.add(other.scale(-1));
+    }
+
+    mul(other) {
+        const result = new Polynomial();
+        this.terms.forEach((a, keyA) => {
+            const powersA = Polynomial.parseKey(keyA);
+            other.terms.forEach((b, keyB) => {
+                const powers = { ...powersA };
+                Object.entries(Polynomial.parseKey(keyB)).forEach(([name, power]) => {
+                    powers[name] = (powers[name] || 0) + power;
+                });
+                if (Object.values(powers).reduce((sum, power) => sum + power, 0) > MAX_DEGREE) {
+                    throw new ExpressionError(TOO_BIG);
+                }
+                result.addTerm(Polynomial.makeKey(powers), a * b);
+                if (result.terms.size > MAX_TERMS) throw new ExpressionError(TOO_BIG);
+            });
+        });
+        return result;
+    }
+
+    pow(exponent) {
+        if (exponent > MAX_EXPONENT) throw new ExpressionError(TOO_BIG);
+        let result = Polynomial.constant(1);
+        for (let i = 0; i < exponent; i++) {
+            result = result.mul(this);
+        }
+        return result;
+    }
+
+    get degree() {
+        let degree = 0;
+        this.terms.forEach((coefficient, key) => {
+            const powers = Polynomial.parseKey(key);
+            degree = Math.max(degree, Object.values(powers).reduce((sum, power) => sum + power, 0));
+        });
+        return degree;
+    }
+
+    get isConstant() {
+        return this.degree === 0;
+    }
+
+    get constantValue() {
+        return this.terms.get('') || 0;
+    }
+
+    equals(other) {
+        return this.sub(other).terms.size === 0;
+    }
+
+    // True if this = k * other for some non-zero constant k
+    isMultipleOf(other) {
+        if (other.terms.size === 0) return this.terms.size === 0;
+
+        const [key, coefficient] = other.terms.entries().next().value;
+        const k = (this.terms.get(key) || 0) / coefficient;
+        return Math.abs(k) > EPSILON && this.equals(other.scale(k));
+    }
+}
+
+class Parser {
+    constructor(text) {
+        this.tokens = Parser.tokenize(text);
+        this.index = 0;
+        this.depth = 0;
+        if (this.tokens.length > MAX_TOKENS) throw new ExpressionError(TOO_BIG);
+    }
+
+    static tokenize(text) {
+        const source = text
+            .replace(/[−–—]/g, '-')
+            .replace(/[×·]/g, '*')
+            .replace(/÷/g, '/')
+            .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]+/g, match => `^${[...match].map(c => SUPERSCRIPTS[c]).join('')}`)
+            .replace(/\[/g, '(')
+            .replace(/\]/g, ')');
+
+        const tokens = [];
+        let i = 0;
+        while (i < source.length) {
+            const char = source[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (/[0-9.]/.test(char)) {
+                // 3, 3.5, .5 and 3. (read as 3)
+                const match = source.slice(i).match(/^\d+\.?\d*|^\.\d+/);
+                if (!match) {
+                    throw new ExpressionError('I don\'t understand the symbol ".".');
+                }
+                tokens.push({ type: 'num', value: parseFloat(match[0]) });
+                i += match[0].length;
+            } else if (/[a-zA-Z]/.test(char)) {
+                // Single-letter variables, so "xy" means x * y
+                tokens.push({ type: 'var', value: char.toLowerCase() });
+                i++;
+            } else if ('+-*/^()='.includes(char)) {
+                tokens.push({ type: char });
+                i++;
+            } else {
+                throw new ExpressionError(`I don't understand the symbol "${char}".`);
+            }
+        }
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.index] || { type: 'end' };
+    }
+
+    next() {
+        return this.tokens[this.index++] || { type: 'end' };
+    }
+
+    expect(type) {
+        if (this.peek().type !== type) {
+            throw new ExpressionError(type === ')' ? 'A bracket is missing its closing ")".' : 'That answer looks incomplete.');
+        }
+        return this.next();
+    }
+
+    parse() {
+        if (this.tokens.length === 0) {
+            throw new ExpressionError('Type an answer first.');
+        }
+
+        const left = this.parseExpression();
+        let node = left;
+        if (this.peek().type === '=') {
+            this.next();
+            node = { type: '=', left, right: this.parseExpression() };
+        }
+
+        if (this.peek().type !== 'end') {
+            throw new ExpressionError(this.peek().type === '='
+                ? 'An answer can only have one "=".'
+                : 'Something in that answer is out of place—check the brackets.');
+        }
+        return node;
+    }
+
+    parseExpression() {
+        let node = this.parseTerm();
+        while (this.peek().type === '+' || this.peek().type === '-') {
+            const op = this.next().type;
+            node = { type: op, left: node, right: this.parseTerm() };
+        }
+        return node;
+    }
+
+    parseTerm() {
+        let node = this.parseUnary();
+        for (;;) {
+            const type = this.peek().type;
+            if (type === '*' || type === '/') {
+                this.next();
+                node = { type, left: node, right: this.parseUnary() };
+            } else if (type === 'num' || type === 'var' || type === '(') {
+                // Implicit multiplication: 2x, x(x + 1), (x - 3)(x + 3)
+                node = { type: '*', left: node, right: this.parsePower() };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    // Brackets, signs and exponents all nest through here, so it counts how deep the answer goes
+    parseUnary() {
+        if (++this.depth > MAX_NESTING) {
+            throw new ExpressionError('That answer has too many brackets inside each other to check.');
+        }
+        const type = this.peek().type;
+        let node;
+        if (type === '-' || type === '+') {
+            this.next();
+            const operand = this.parseUnary();
+            node = type === '-' ? { type: 'neg', operand } : operand;
+        } else {
+            node = this.parsePower();
+        }
+        this.depth--;
+        return node;
+    }
+
+    parsePower() {
+        const base = this.parsePrimary();
+        if (this.peek().type === '^') {
+            this.next();
+            return { type: '^', base, exponent: this.parseUnary() };
+        }
+        return base;
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (token.type === 'num') return { type: 'num', value: token.value };
+        if (token.type === 'var') return { type: 'var', name: token.value };
+        if (token.type === '(') {
+            const node = this.parseExpression();
+            this.expect(')');
+            return { type: 'group', inner: node };
+        }
+        throw new ExpressionError('That answer looks incomplete.');
+    }
+}
+
+function toPolynomial(node) {
+    switch (node.type) {
+        case 'num': return Polynomial.constant(node.value);
+        case 'var': return Polynomial.variable(node.name);
+        case 'group': return toPolynomial(node.inner);
+        case 'neg': return toPolynomial(node.operand).scale(-1);
+        case '+': return toPolynomial(node.left).add(toPolynomial(node.right));
+        case '-': return toPolynomial(node.left).sub(toPolynomial(node.right));
+        case '*': return toPolynomial(node.left).mul(toPolynomial(node.right));
+        case '/': {
+            const divisor = toPolynomial(node.right);
+            if (!divisor.isConstant) {
+                throw new ExpressionError('Dividing by an expression isn\'t supported—try writing it without the fraction.');
+            }
+            if (Math.abs(divisor.constantValue) < EPSILON) {
+                throw new ExpressionError('That answer divides by zero.');
+            }
+            return toPolynomial(node.left).scale(1 / divisor.constantValue);
+        }
+        case '^': {
+            const exponent = toPolynomial(node.exponent);
+            const power = exponent.constantValue;
+            if (!exponent.isConstant || !Number.isInteger(power) || power < 0) {
+                throw new ExpressionError('Exponents must be whole numbers, like x^2.');
+            }
+            return toPolynomial(node.base).pow(power);
+        }
+        case '=': return toPolynomial(node.left).sub(toPolynomial(node.right));
+        default: throw new ExpressionError('That answer looks incomplete.');
+    }
+}
+
+// Flatten a product into its factors: (x + 1)(x - 1) -> [(x + 1), (x - 1)]. Dividing by a
+// number only scales the product, so 2(x - 5)(x + 5)/2 is still factored.
+function factorsOf(node) {
+    if (node.type === 'group') return factorsOf(node.inner);
+    if (node.type === 'neg') return factorsOf(node.operand);
+    if (node.type === '*') return [...factorsOf(node.left), ...factorsOf(node.right)];
+    if (node.type === '/' && toPolynomial(node.right).isConstant) return [...factorsOf(node.left), node.right];
+    if (node.type === '^') {
+        const exponent = toPolynomial(node.exponent).constantValue;
+        return Array(exponent).fill(node.base);
+    }
+    return [node];
+}
+
+export class Expression {
+    constructor(text) {
+        this.text = text;
+        this.ast = new Parser(text).parse();
+        this.polynomial = toPolynomial(this.ast);
+    }
+
+    static parse(text) {
+        return new Expression(text);
+    }
+
+    static tryParse(text) {
+        try {
+            return new Expression(text);
+        } catch (error) {
+            if (error instanceof ExpressionError) return null;
+            throw error;
+        }
+    }
+
+    get isEquation() {
+        return this.ast.type === '=';
+    }
+
+    get isConstant() {
+        return !this.isEquation && this.polynomial.isConstant;
+    }
+
+    get value() {
+        return this.polynomial.constantValue;
+    }
+
+    // Written as a product of at least two non-constant factors, e.g. (x + 10)(x - 10)
+    isFactored() {
+        if (this.isEquation) return false;
+        const factors = factorsOf(this.ast).filter(factor => !toPolynomial(factor).isConstant);
+        return factors.length >= 2;
+    }
+
+    // Same polynomial; equations match if one side-difference is a multiple of the other,
+    // so "25 = x² + y²" is the same circle as "x² + y² = 25"
+    equivalentTo(other) {
+        if (this.isEquation !== other.isEquation) return false;
+        if (this.isEquation) {
+            return this.polynomial.isMultipleOf(other.polynomial);
+        }
+        return this.polynomial.equals(other.polynomial);
+    }
+}
@@ -0,0 +1,123 @@
+// Adaptive resolution - keeps the prairie near a target frame rate on whatever preset was chosen
+// (see GraphicsQuality). World.animate reports every frame; once a second the governor compares
+// the measured rate with the target and steps the render scale down (pixel ratio, bloom
+// resolution, god-ray samples) when frames are slow, and back up when there has been headroom
+// for a while. Behind any dialogue or panel (an Elder visit, a station popup, the profile picker...)
+// the bloom and god rays are paused, and nothing renders while the tab is hidden.
+
+const WINDOW = 1;           // Seconds of frames averaged per decision
+const STEP = 0.1;           // Render scale change per decision
+const HEADROOM = 1.15;      // Step back up only when this much faster than the target
+const MAX_FRAME = 0.25;     // Longer frames are hitches (tab switch, shader compile), not a trend
+const UPGRADE_WAIT = 3;     // Seconds of headroom before stepping back up...
+const MAX_UPGRADE_WAIT = 30; // ...doubling each time a step up has to be undone
+
+export class FrameGovernor {
+    constructor(renderer, { composer = null, bloomPass = null, godRaysPass = null } = {}, config = {}) {
+        this.renderer = renderer;
+        this.composer = composer;
+        this.bloomPass = bloomPass;
+        this.godRaysPass = godRaysPass;
+
+        this.enabled = config.adaptive !== false;
+        this.targetFps = config.targetFps || 50;
+        this.minScale = config.minResolution || 0.5;
+        this.basePixelRatio = renderer.getPixelRatio();
+        this.baseSamples = godRaysPass ? godRaysPass.uniforms['samples'].value : 0;
+
+        this.scale = 1;
+        this.passesPaused = false;
+        this.hidden = document.hidden;
+        this.upgradeWait = UPGRADE_WAIT;
+        this.headroomTime = 0;
+        this.sinceUpgrade = Infinity;
+        this.resetWindow();
+
+        document.addEventListener('visibilitychange', () => {
+            this.hidden = document.hidden;
+            this.resetWindow();
+        });
+    }
+
+    resetWindow() {
+        this.frames = 0;
+        this.elapsed = 0;
+    }
+
+    // Call once per frame with its length in seconds. Returns false when the frame shouldn't be
+    // drawn at all (tab hidden).
+    update(deltaTime, { overlayOpen = false } = {}) {
+        if (this.hidden) return false;
+
+        this.pausePasses(overlayOpen);
+
+        // Frames behind an overlay (with passes paused) say nothing about the scene's cost
+        if (!this.enabled || overlayOpen || deltaTime > MAX_FRAME) {
+            this.resetWindow();
+            return true;
+        }
+
+        this.frames++;
+        this.elapsed += deltaTime;
+        this.sinceUpgrade += deltaTime;
+        if (this.elapsed < WINDOW) return true;
+
+        const fps = this.frames / this.elapsed;
+        this.resetWindow();
+
+        if (fps < this.targetFps) {
+            this.headroomTime = 0;
+            if (this.scale > this.minScale) {
+                // Undoing a recent step up - wait longer before trying again
+                if (this.sinceUpgrade < this.upgradeWait) {
+                    this.upgradeWait = Math.min(this.upgradeWait * 2, MAX_UPGRADE_WAIT);
+                }
+                this.setScale(this.scale - STEP);
+            }
+        } else if (fps >= this.targetFps * HEADROOM && this.scale < 1) {
+            this.headroomTime += WINDOW;
+            if (this.headroomTime >= this.upgradeWait) {
+                this.headroomTime = 0;
+                this.sinceUpgrade = 0;
+                this.setScale(this.scale + STEP);
+            }
+        } else {
+            this.headroomTime = 0;
+        }
+        return true;
+    }
+
+    setScale(scale) {
+        this.scale = Math.round(Math.min(1, Math.max(this.minScale, scale)) * 100) / 100;
+        this.apply();
+    }
+
+    // Push the current scale to the renderer and passes (also after a resize resets their sizes)
+    apply() {
+        const pixelRatio = this.basePixelRatio * this.scale;
+        this.renderer.setPixelRatio(pixelRatio);
+
+        if (this.composer) {
+            // Resizes every pass to the new drawing buffer size
+            this.composer.setPixelRatio(pixelRatio);
+        }
+
+        // Bloom is a blur, so it can drop faster than the scene itself
+        if (this.bloomPass) {
+            const width = Math.round(window.innerWidth * pixelRatio * this.scale);
+            const height = Math.round(window.innerHeight * pixelRatio * this.scale);
+            this.bloomPass.setSize(width, height);
+        }
+
+        if (this.godRaysPass) {
+            this.godRaysPass.uniforms['samples'].value = Math.max(8, Math.round(this.baseSamples * this.scale));
+        }
+    }
+
+    pausePasses(paused) {
+        if (paused === this.passesPaused) return;
+        this.passesPaused = paused;
+        if (this.bloomPass) this.bloomPass.enabled = !paused;
+        if (this.godRaysPass) this.godRaysPass.enabled = !paused;
+    }
+}
@@ -0,0 +1,68 @@
+import { QUALITY_PRESETS } from './GraphicsQuality.js';
+
+// Graphics settings panel - lets a student (or teacher) pick Low/Medium/High/Ultra on this
+// device, or go back to the automatic choice. Counts like grass blades are fixed when the scene is
+// built, so choosing reloads the page; the URL hash (see DeepLinks) brings the view back.
+// Markup lives in index.html (#graphics-panel), styles in styles.css.
+
+export class GraphicsPanel {
+    constructor(quality, modals) {
+        this.quality = quality;
+        this.modals = modals;
+
+        this.element = document.getElementById('graphics-panel');
+        this.options = document.getElementById('graphics-options');
+        this.detected = document.getElementById('graphics-detected');
+        this.openBtn = document.getElementById('graphics-btn');
+        this.closeBtn = document.getElementById('graphics-close-btn');
+        this.presetLabel = document.getElementById('graphics-preset');
+
+        this.modal = modals.register(this.element);
+        this.presetLabel.textContent = QUALITY_PRESETS[quality.preset].label;
+
+        this.openBtn.addEventListener('click', () => this.show());
+        this.closeBtn.addEventListener('click', () => this.modals.close(this.modal));
+    }
+
+    show() {
+        this.render();
+        this.modals.open(this.modal);
+    }
+
+    render() {
+        const saved = this.quality.saved;
+        const automatic = !QUALITY_PRESETS[saved.override];
+
+        this.detected.textContent = saved.detected
+            ? `This device measured ${saved.benchmarkMs ?? '?'} ms per test frame - Auto picks ${QUALITY_PRESETS[saved.detected].label}.`
+            : 'Auto measures this device the next time the prairie starts.';
+
+        this.options.innerHTML = '';
+        const choices = [
+            ['auto', { label: 'Auto', description: 'Chosen for this device from a quick test' }],
+            ...Object.entries(QUALITY_PRESETS)
+        ];
+        choices.forEach(([name, preset]) => {
+            const selected = name === 'auto' ? automatic : !automatic && saved.override === name;
+
+            const option = document.createElement('button');
+            option.className = 'graphics-option';
+            option.classList.toggle('selected', selected);
+            option.setAttribute('aria-pressed', String(selected));
+            option.innerHTML = '<span class="graphics-option-label"></span><span class="graphics-option-description"></span>';
+            option.querySelector('.graphics-option-label').textContent = preset.label;
+            option.querySelector('.graphics-option-description').textContent = preset.description;
+            option.addEventListener('click', () => this.choose(name, selected));
+            this.options.appendChild(option);
+        });
+    }
+
+    choose(name, alreadySelected) {
+        if (alreadySelected) {
+            this.modals.close(this.modal);
+            return;
+        }
+        this.quality.choose(name);
+        window.location.reload();
+    }
+}
@@ -0,0 +1,223 @@
+import * as THREE from 'three';
+
+// Graphics quality presets - how much of the renderer's budget the prairie spends on shadows,
+// post-processing and instanced detail. Classroom Chromebooks get Low or Medium; a gaming laptop
+// gets everything. Chosen at startup from a short benchmark (a stand-in scene rendered for a
+// few frames), remembered per device, and overridable from the settings panel (GraphicsPanel).
+//
+//   const quality = new GraphicsQuality(CONFIG.graphics);
+//   quality.resolve();                          // 'medium' (override, saved result or benchmark)
+//   const world = new World(container, quality.configure(CONFIG), stations);
+
+const STORAGE_KEY = 'metisPrairieGraphics';
+
+// Detail scales multiply the counts in CONFIG (grass blades, dust motes, fireflies, trees...), so educators'
+// numbers stay the Ultra baseline.
+export const QUALITY_PRESETS = {
+    low: {
+        label: 'Low',
+        description: 'No shadows or effects, sparse grass - for older Chromebooks',
+        pixelRatio: 1, antialias: false,
+        shadows: false, softShadows: false, shadowMapSize: 512, fireShadows: false,
+        bloom: false, godRays: false, godRaySamples: 0, heightFog: false, colorGrading: false,
+        detail: 0.15, trees: 0.5
+    },
+    medium: {
+        label: 'Medium',
+        description: 'Hard shadows, glow and fog, lighter grass',
+        pixelRatio: 1, antialias: true,
+        shadows: true, softShadows: false, shadowMapSize: 1024, fireShadows: false,
+        bloom: true, godRays: false, godRaySamples: 0, heightFog: true, colorGrading: true,
+        detail: 0.4, trees: 0.75
+    },
+    high: {
+        label: 'High',
+        description: 'Soft shadows and light shafts from the sun',
+        pixelRatio: 1.5, antialias: true,
+        shadows: true, softShadows: true, shadowMapSize: 2048, fireShadows: true,
+        bloom: true, godRays: true, godRaySamples: 30, heightFog: true, colorGrading: true,
+        detail: 0.7, trees: 1
+    },
+    ultra: {
+        label: 'Ultra',
+        description: 'Everything at full detail',
+        pixelRatio: 2, antialias: true,
+        shadows: true, softShadows: true, shadowMapSize: 2048, fireShadows: true,
+        bloom: true, godRays: true, godRaySamples: 60, heightFog: true, colorGrading: true,
+        detail: 1, trees: 1
+    }
+};
+
+// Median benchmark frame time (ms) under which each preset runs smoothly, best first
+const THRESHOLDS = [['ultra', 6], ['high', 12], ['medium', 24]];
+
+export class GraphicsQuality {
+    constructor(config = {}, storage = window.localStorage) {
+        this.config = config;
+        this.storage = storage;
+        this.preset = null;
+    }
+
+    // { override, detected, benchmarkMs } for this device
+    get saved() {
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    save(data) {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify({ ...this.saved, ...data }));
+    }
+
+    // The student's choice wins, then a preset set by the educator in CONFIG, then the benchmark
+    // (run once per device and remembered)
+    resolve() {
+        const saved = this.saved;
+        if (QUALITY_PRESETS[saved.override]) {
+            this.preset = saved.override;
+        } else if (QUALITY_PRESETS[this.config.preset]) {
+            this.preset = this.config.preset;
+        } else if (QUALITY_PRESETS[saved.detected]) {
+            this.preset = saved.detected;
+        } else {
+            const benchmarkMs = this.benchmark();
+            this.preset = GraphicsQuality.presetFor(benchmarkMs);
+            this.save({ detected: this.preset, benchmarkMs });
+        }
+        return this.preset;
+    }
+
+    get settings() {
+        return QUALITY_PRESETS[this.preset || 'high'];
+    }
+
+    // 'auto' forgets the override and the last benchmark, so the next start measures again
+    choose(preset) {
+        if (preset === 'auto') {
+            this.save({ override: null, detected: null, benchmarkMs: null });
+        } else if (QUALITY_PRESETS[preset]) {
+            this.save({ override: preset });
+        }
+    }
+
+    static presetFor(benchmarkMs) {
+        if (!Number.isFinite(benchmarkMs)) return 'medium'; // Couldn't measure - play it safe
+        const match = THRESHOLDS.find(([, ms]) => benchmarkMs <= ms);
+        return match ? match[0] : 'low';
+    }
+
+    // A copy of the scene CONFIG with the preset applied: instanced counts scaled and the renderer
+    // settings under config.graphics (read by World and Lighting)
+    configure(config) {
+        const settings = this.settings;
+        const vegetation = config.vegetation || {};
+        const particles = config.particles || {};
+        const wildlife = config.wildlife || {};
+        const scale = (value, fallback, factor) => Math.max(1, Math.round((value || fallback) * factor));
+        const scaleAnimals = (value, fallback, factor) => (value === 0 ? 0 : scale(value, fallback, factor)); // 0 = none
+
+        return {
+            ...config,
+            graphics: { ...config.graphics, ...settings, preset: this.preset },
+            vegetation: {
+                ...vegetation,
+                grassDensity: scale(vegetation.grassDensity, 50000, settings.detail),
+                treeCount: scale(vegetation.treeCount, 80, settings.trees),
+                bushCount: scale(vegetation.bushCount, 40, settings.trees),
+                reedClusterCount: scale(vegetation.reedClusterCount, 30, settings.trees)
+            },
+            particles: {
+                ...particles,
+                dustMoteCount: scale(particles.dustMoteCount, 1500, settings.detail),
+                fireflyCount: scale(particles.fireflyCount, 200, settings.detail),
+                precipitationCount: scale(particles.precipitationCount, 6000, settings.detail)
+            },
+            wildlife: {
+                ...wildlife,
+                bisonCount: scaleAnimals(wildlife.bisonCount, 14, settings.trees),
+                deerCount: scaleAnimals(wildlife.deerCount, 5, settings.trees)
+            }
+        };
+    }
+
+    // Median frame time of a stand-in for the prairie at High: a shadowed sun over thousands of
+    // instanced blades, at the screen's real resolution. Reading a pixel back after each frame
+    // waits for the GPU, so the time is the GPU's and not just the draw calls'.
+    benchmark() {
+        const frames = this.config.benchmarkFrames || 20;
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, 1.5);
+        const width = Math.round(window.innerWidth * pixelRatio);
+        const height = Math.round(window.innerHeight * pixelRatio);
+
+        let renderer;
+        try {
+            renderer = new THREE.WebGLRenderer({ canvas: document.createElement('canvas'), antialias: true, powerPreference: 'high-performance' });
+        } catch {
+            return null;
+        }
+        renderer.setSize(width, height, false);
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+        const scene = new THREE.Scene();
+        const camera = new THREE.PerspectiveCamera(60, width / height, 0.1, 500);
+        camera.position.set(0, 15, 40);
+        camera.lookAt(0, 0, 0);
+
+        const sun = new THREE.DirectionalLight(0xffaa55, 2.5);
+        sun.position.set(-10, 5, 10);
+        sun.castShadow = true;
+        sun.shadow.mapSize.set(2048, 2048);
+        scene.add(sun, new THREE.HemisphereLight(0xffcc88, 0x3a5f0b, 0.6));
+
+        const groundGeo = new THREE.PlaneGeometry(200, 200, 100, 100);
+        const groundMat = new THREE.MeshStandardMaterial({ color: 0x3a5f0b });
+        const ground = new THREE.Mesh(groundGeo, groundMat);
+        ground.rotation.x = -Math.PI / 2;
+        ground.receiveShadow = true;
+        scene.add(ground);
+
+        const bladeCount = 30000;
+        const bladeGeo = new THREE.ConeGeometry(0.05, 0.8, 3);
+        const bladeMat = new THREE.MeshStandardMaterial({ color: 0x4a6f1b });
+        const blades = new THREE.InstancedMesh(bladeGeo, bladeMat, bladeCount);
+        blades.castShadow = true;
+        const dummy = new THREE.Object3D();
+        for (let i = 0; i < bladeCount; i++) {
+            // Deterministic scatter so every device draws the same scene
+            dummy.position.set(((i * 37) % 200) - 100, 0.4, ((i * 91) % 199) - 100 + (i % 7) * 0.1);
+            dummy.updateMatrix();
+            blades.setMatrixAt(i, dummy.matrix);
+        }
+        scene.add(blades);
+
+        const gl = renderer.getContext();
+        const pixel = new Uint8Array(4);
+        const frame = () => {
+            renderer.render(scene, camera);
+            gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+        };
+
+        // The first frames compile shaders and upload buffers
+        frame();
+        frame();
+
+        const times = [];
+        for (let i = 0; i < frames; i++) {
+            blades.rotation.y = i * 0.01;
+            const start = performance.now();
+            frame();
+            times.push(performance.now() - start);
+        }
+
+        [groundGeo, groundMat, bladeGeo, bladeMat].forEach(resource => resource.dispose());
+        blades.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss();
+
+        times.sort((a, b) => a - b);
+        return Math.round(times[Math.floor(times.length / 2)] * 10) / 10;
+    }
+}
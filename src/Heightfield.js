@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+import { fbm, smoothstep } from './Utils.js';
+
+// The ground - one height for every place on the prairie. The hills, bluffs, river channel,
+// sandbars and cart trails are worked out once per terrain vertex (the same grid as the Terrain
+// mesh) and everything else reads the grid: Props stand cabins and fires on it, Vegetation
+// scatters on it, WalkController keeps your eyes above it and Minimap shades its relief.
+// Between grid points heights are blended bilinearly, so a prop sits where the mesh is.
+//
+//   const heightfield = new Heightfield(CONFIG, stations); // after seedNoise()
+//   heightfield.getHeight(x, z);       // ground height
+//   heightfield.getNormal(x, z);       // which way the ground faces
+//   heightfield.getSlope(x, z);        // steepness in radians (0 = flat)
+
+// Feature flags kept per grid point, for the terrain's colours
+export const SANDBAR = 1;
+export const BLUFF = 2;
+
+const _normal = new THREE.Vector3();
+
+export class Heightfield {
+    constructor(config, stations) {
+        const cfg = config.terrain || {};
+        this.size = cfg.size || 400;
+        this.segments = cfg.segments || 200;
+        this.step = this.size / this.segments;
+        this.cabins = stations ? stations.byType('cabin') : [];
+
+        // Row-major from (-size/2, -size/2), like the vertices of the rotated PlaneGeometry
+        const points = (this.segments + 1) * (this.segments + 1);
+        this.heights = new Float32Array(points);
+        this.trails = new Float32Array(points);   // 0-1, how much of a trail or cabin path is here
+        this.features = new Uint8Array(points);   // SANDBAR | BLUFF
+
+        const half = this.size / 2;
+        for (let i = 0; i < points; i++) {
+            const x = -half + (i % (this.segments + 1)) * this.step;
+            const z = -half + Math.floor(i / (this.segments + 1)) * this.step;
+            const sample = this.sample(x, z);
+            this.heights[i] = sample.height;
+            this.trails[i] = sample.trail;
+            this.features[i] = sample.features;
+        }
+    }
+
+    // The full terrain recipe at one point. Slow - use getHeight() outside of building the grid.
+    sample(x, z) {
+        // === BASE TERRAIN HEIGHT ===
+        // Large scale rolling hills
+        let h = fbm(x * 0.015, z * 0.015, 4) * 6;
+        // Medium details
+        h += fbm(x * 0.05, z * 0.05, 3) * 1.5;
+        // Small details
+        h += fbm(x * 0.15, z * 0.15, 2) * 0.3;
+
+        // === BLUFFS AND CUTBANKS ===
+        // Create occasional steep sections along the river
+        const bluffNoise = fbm(x * 0.008, z * 0.01, 2);
+        const isBluffZone = bluffNoise > 0.3 && Math.abs(z) > 10 && Math.abs(z) < 25;
+        if (isBluffZone) {
+            // Steeper terrain near bluffs
+            h += Math.abs(bluffNoise) * 4;
+        }
+
+        // === RIVER CHANNEL ===
+        // Meandering river with variable width
+        const { center, width: riverWidth } = this.getRiverAt(x);
+        const distToRiver = Math.abs(z - center);
+        const riverFactor = smoothstep(riverWidth * 0.5, riverWidth * 1.5, distToRiver);
+
+        // Deeper in center, shallow at edges
+        const riverDepth = -2.5 + smoothstep(0, riverWidth * 0.5, distToRiver) * 1.5;
+        h = THREE.MathUtils.lerp(riverDepth, h, riverFactor);
+
+        // === SANDBARS ===
+        // Occasional sandy areas in the river
+        const sandbarNoise = fbm(x * 0.05 + 100, z * 0.05, 2);
+        const isSandbar = sandbarNoise > 0.4 && distToRiver < riverWidth * 0.8 && distToRiver > riverWidth * 0.3;
+        if (isSandbar) {
+            h = Math.max(h, -0.5); // Raise sandbars above water
+        }
+
+        // === SMALL HILLS ===
+        // Occasional small hills/mounds
+        const hillNoise = fbm(x * 0.03 + 50, z * 0.03 + 50, 2);
+        if (hillNoise > 0.5 && riverFactor > 0.8) {
+            h += (hillNoise - 0.5) * 6;
+        }
+
+        // === MAIN CART TRAIL ===
+        const trailZ = Math.sin(x * 0.04) * 25 + Math.cos(x * 0.02) * 10 + 25;
+        const distToTrail = Math.abs(z - trailZ);
+        let trailFactor = smoothstep(3, 0.5, distToTrail);
+
+        // === CABIN PATHS - paths from each cabin to the main trail ===
+        let cabinPathFactor = 0;
+        for (const cabin of this.cabins) {
+            // Path runs from cabin position to main trail
+            const cabinTrailZ = Math.sin(cabin.x * 0.04) * 25 + Math.cos(cabin.x * 0.02) * 10 + 25;
+
+            // Check if we're within the x-range of this cabin's path (with some width)
+            const pathWidth = 3;
+            if (Math.abs(x - cabin.x) < pathWidth) {
+                // Check if z is between cabin and trail
+                const minZ = Math.min(cabin.z, cabinTrailZ);
+                const maxZ = Math.max(cabin.z, cabinTrailZ);
+                if (z >= minZ - 2 && z <= maxZ + 2) {
+                    // Distance from center of path
+                    const distFromPathCenter = Math.abs(x - cabin.x);
+                    const pathFactor = smoothstep(pathWidth, 0.5, distFromPathCenter);
+                    cabinPathFactor = Math.max(cabinPathFactor, pathFactor);
+                }
+            }
+        }
+
+        // Combine main trail and cabin paths
+        trailFactor = Math.max(trailFactor, cabinPathFactor);
+
+        // Flatten and slightly lower the trail - only on land
+        const onLand = riverFactor > 0.9;
+        if (onLand) {
+            h = THREE.MathUtils.lerp(h, Math.max(h * 0.7, 0.2), trailFactor);
+        }
+
+        return {
+            height: h,
+            trail: onLand ? trailFactor : 0,
+            features: (isSandbar ? SANDBAR : 0) | (isBluffZone ? BLUFF : 0)
+        };
+    }
+
+    // Ground height at any (x, z), bilinear between grid points (clamped at the terrain's edge)
+    getHeight(x, z) {
+        const last = this.segments;
+        const gx = THREE.MathUtils.clamp((x + this.size / 2) / this.step, 0, last);
+        const gz = THREE.MathUtils.clamp((z + this.size / 2) / this.step, 0, last);
+        const ix = Math.min(Math.floor(gx), last - 1);
+        const iz = Math.min(Math.floor(gz), last - 1);
+        const fx = gx - ix;
+        const fz = gz - iz;
+
+        const row = last + 1;
+        const i = iz * row + ix;
+        const h00 = this.heights[i];
+        const h10 = this.heights[i + 1];
+        const h01 = this.heights[i + row];
+        const h11 = this.heights[i + row + 1];
+        return THREE.MathUtils.lerp(
+            THREE.MathUtils.lerp(h00, h10, fx),
+            THREE.MathUtils.lerp(h01, h11, fx),
+            fz
+        );
+    }
+
+    // Unit normal of the ground at (x, z), from the heights one grid step either side
+    getNormal(x, z, target = new THREE.Vector3()) {
+        const d = this.step;
+        const dx = this.getHeight(x + d, z) - this.getHeight(x - d, z);
+        const dz = this.getHeight(x, z + d) - this.getHeight(x, z - d);
+        return target.set(-dx, 2 * d, -dz).normalize();
+    }
+
+    // Angle of the ground from level at (x, z), in radians
+    getSlope(x, z) {
+        return Math.acos(this.getNormal(x, z, _normal).y);
+    }
+
+    // The river channel at x: centre line (z), width and flow direction (downstream is +x)
+    getRiverAt(x) {
+        const center = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5;
+        const width = 8 + Math.sin(x * 0.02) * 4;
+        const slope = Math.cos(x * 0.03) * 0.36 + Math.cos(x * 0.01) * 0.05; // d(center)/dx
+        const direction = new THREE.Vector2(1, slope).normalize();
+        return { center, width, direction };
+    }
+
+    // Check if position is near water. reach is in river widths from the centre line:
+    // the default 2 covers the banks, about 0.7 is the water's edge.
+    isNearWater(x, z, reach = 2) {
+        const { center, width } = this.getRiverAt(x);
+        return Math.abs(z - center) < width * reach;
+    }
+}
@@ -0,0 +1,168 @@
+// Journey files - a learner's progress exported as JSON so it can move between school and home,
+// or be handed in to a teacher. Each file carries a SHA-256 checksum over its contents; editing
+// the file by hand (e.g. adding stations) breaks the checksum. This makes tampering evident, it is
+// not a cryptographic signature - anyone who reads this source could recompute it.
+
+const FORMAT = 'metis-prairie-journey';
+const CHECKSUM_SALT = 'metis-prairie:journey:v1';
+
+// SHA-256 round constants
+const K = Uint32Array.from([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// Plain SHA-256 for pages without crypto.subtle - it only exists in secure contexts (https or
+// localhost), and a school server on the LAN often serves plain http
+function sha256(bytes) {
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(length);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, bytes.length * 8);
+
+    const hash = Uint32Array.from([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] += value; });
+    }
+
+    const digest = new Uint8Array(32);
+    const out = new DataView(digest.buffer);
+    hash.forEach((value, i) => out.setUint32(i * 4, value));
+    return digest;
+}
+
+export class JourneyFile {
+    // Bump when the file layout changes and add a migration below
+    static VERSION = 1;
+
+    // Upgrade older files to the current layout, one version at a time
+    static MIGRATIONS = {
+        // 1: (data) => ({ ...data, version: 2, ... })
+    };
+
+    static async fromProfile(profile, stations) {
+        const payload = {
+            format: FORMAT,
+            version: JourneyFile.VERSION,
+            stationSetVersion: stations.version,
+            exportedAt: new Date().toISOString(),
+            profile: {
+                id: profile.id,
+                name: profile.name,
+                color: profile.color,
+                createdAt: profile.createdAt
+            },
+            progress: [...profile.progress],
+            visitedAt: profile.visitedAt || {},
+            visitDetails: profile.visitDetails,
+            gifts: [...profile.gifts],
+            experiences: profile.experiences
+        };
+        return { ...payload, checksum: await JourneyFile.checksum(payload) };
+    }
+
+    static fileName(profile) {
+        const name = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'explorer';
+        return `metis-prairie-journey-${name}-${new Date().toISOString().slice(0, 10)}.json`;
+    }
+
+    // Trigger a browser download of the profile's journey
+    static async download(profile, stations) {
+        const file = await JourneyFile.fromProfile(profile, stations);
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = JourneyFile.fileName(profile);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Parse and verify a journey file. Returns { data, valid } where valid is false if the
+    // checksum doesn't match; throws for files that aren't journeys at all.
+    static async parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not a journey file (it is not valid JSON).');
+        }
+        if (!data || data.format !== FORMAT) {
+            throw new Error('This file is not a Métis Prairie journey file.');
+        }
+
+        const { checksum, ...payload } = data;
+        const valid = checksum === await JourneyFile.checksum(payload);
+
+        return { data: JourneyFile.migrate(payload), valid };
+    }
+
+    static migrate(data) {
+        let migrated = data;
+        while (migrated.version < JourneyFile.VERSION) {
+            const migration = JourneyFile.MIGRATIONS[migrated.version];
+            if (!migration) {
+                throw new Error(`Journey files from version ${migrated.version} can't be read any more.`);
+            }
+            migrated = migration(migrated);
+        }
+        // Newer files still import: unknown fields are ignored and station keys this build doesn't
+        // know about are kept, so they count again once the station set catches up
+        return {
+            ...migrated,
+            progress: Array.isArray(migrated.progress) ? migrated.progress.filter(key => typeof key === 'string') : [],
+            visitedAt: migrated.visitedAt || {},
+            visitDetails: migrated.visitDetails || {},
+            gifts: Array.isArray(migrated.gifts) ? migrated.gifts : [],
+            experiences: migrated.experiences || {}
+        };
+    }
+
+    static async checksum(payload) {
+        const bytes = new TextEncoder().encode(CHECKSUM_SALT + JourneyFile.canonicalize(payload));
+        const digest = globalThis.crypto?.subtle
+            ? new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+            : sha256(bytes);
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // JSON with sorted object keys, so the checksum doesn't depend on key order
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => JourneyFile.canonicalize(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${JourneyFile.canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+}
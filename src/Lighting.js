@@ -1,10 +1,75 @@
 import * as THREE from 'three';
 import { Sky } from 'three/addons/objects/Sky.js';
+import { createRandom } from './Utils.js';
+
+// How the light looks at each height of the sun (degrees above the horizon), from deep night to
+// midday. setSun() blends between the two nearest; the golden-hour frame is CONFIG's own lighting,
+// so the prairie looks as configured at 8 degrees. tint darkens the hand-lit grass and tree shaders.
+function buildKeyframes(config) {
+    const lightCfg = config.lighting || {};
+    const skyCfg = config.sky || {};
+    const ambient = lightCfg.ambientIntensity || 0.6;
+    const sun = lightCfg.sunIntensity || 2.5;
+    const grass = config.terrain?.grassColor || 0x3a5f0b;
+
+    return [
+        { elevation: -18, fog: 0x0c1428, hemiSky: 0x223355, hemiGround: 0x0c140a, hemiIntensity: 0.35,
+            light: 0x8fa4d8, lightIntensity: 0.4, exposure: 0.8, warmth: -1, clouds: 0x1c2438,
+            stars: 1, fireflies: 1, dust: 0, tint: 0x2a3550 },
+        { elevation: -6, fog: 0x3a3d5c, hemiSky: 0x545a88, hemiGround: 0x1a2410, hemiIntensity: 0.4,
+            light: 0x8fa4d8, lightIntensity: 0, exposure: 0.85, warmth: -0.3, clouds: 0x4a4a66,
+            stars: 0.6, fireflies: 0.8, dust: 0, tint: 0x5a6080 },
+        { elevation: 0, fog: 0xd08a6a, hemiSky: 0xff9966, hemiGround: grass, hemiIntensity: ambient * 0.8,
+            light: 0xff7733, lightIntensity: sun * 0.3, exposure: 0.95, warmth: 1, clouds: 0xffb899,
+            stars: 0, fireflies: 0.2, dust: 0.5, tint: 0xb0a0a0 },
+        { elevation: 8, fog: config.fog?.color || 0xeedd99, hemiSky: skyCfg.horizonColor || 0xffcc88,
+            hemiGround: grass, hemiIntensity: ambient, light: lightCfg.sunColor || 0xffaa55, lightIntensity: sun,
+            exposure: 1, warmth: 1, clouds: config.clouds?.color || 0xffeedd,
+            stars: 0, fireflies: 0, dust: 1, tint: 0xffffff },
+        { elevation: 30, fog: 0xd8e2e8, hemiSky: 0xcfe0ff, hemiGround: grass, hemiIntensity: ambient * 1.2,
+            light: 0xfff4e0, lightIntensity: sun * 1.1, exposure: 1, warmth: 0.3, clouds: 0xffffff,
+            stars: 0, fireflies: 0, dust: 1, tint: 0xffffff }
+    ].map(frame => ({
+        ...frame,
+        fog: new THREE.Color(frame.fog),
+        hemiSky: new THREE.Color(frame.hemiSky),
+        hemiGround: new THREE.Color(frame.hemiGround),
+        light: new THREE.Color(frame.light),
+        clouds: new THREE.Color(frame.clouds),
+        tint: new THREE.Color(frame.tint)
+    }));
+}
+
+const MOONLIGHT_BELOW = -6; // Sun elevation under which the moon takes over the directional light
+const SKY_DISTANCE = 700;   // Stars and moon, kept around the camera inside its far plane
+const OVERCAST_OPACITY = 0.92; // Clouds under full cover
+const _grey = new THREE.Color();
+
+// A colour washed towards grey (and darkened) under cloud - see setWeather()
+function overcast(color, cover, darkness) {
+    const luminance = color.r * 0.2126 + color.g * 0.7152 + color.b * 0.0722;
+    _grey.setRGB(luminance, luminance, luminance * 1.05).multiplyScalar(1 - darkness * 0.5);
+    return color.lerp(_grey, cover * 0.8);
+}
 
 export class Lighting {
-    constructor(scene, config) {
+    constructor(scene, config, heightfield = null) {
         this.scene = scene;
         this.config = config;
+        this.heightfield = heightfield;
+
+        // Blended light for the current sun, read by World for exposure, grading and shaders
+        this.keyframes = buildKeyframes(config);
+        this.sunDirection = new THREE.Vector3();
+        this.lightDirection = new THREE.Vector3(); // The directional light's: the sun's, or the moon's at night
+        this.fogColor = new THREE.Color();
+        this.skyColor = new THREE.Color();
+        this.tint = new THREE.Color(0xffffff);
+        this.exposure = 1;
+        this.warmth = 1;
+        this.sunElevation = 0;
+        this.night = 0;
+        this.weather = {}; // Weather's blend - clear until World sets it
 
         this.init();
     }
@@ -29,8 +94,9 @@ export class Lighting {
         );
         this.sunLight.position.set(-10, 5, 10);
         this.sunLight.castShadow = true;
-        this.sunLight.shadow.mapSize.width = 2048;
-        this.sunLight.shadow.mapSize.height = 2048;
+        const shadowMapSize = this.config.graphics?.shadowMapSize || 2048;
+        this.sunLight.shadow.mapSize.width = shadowMapSize;
+        this.sunLight.shadow.mapSize.height = shadowMapSize;
         this.sunLight.shadow.camera.near = 0.5;
         this.sunLight.shadow.camera.far = 50;
         this.sunLight.shadow.bias = -0.0001;
@@ -45,16 +111,22 @@ export class Lighting {
         this.scene.add(this.sunLight);
 
         // Fog - exponential fog for depth
+        this.fogDensity = fogCfg.density || 0.012;
         this.scene.fog = new THREE.FogExp2(
             fogCfg.color || 0xeedd99,
-            fogCfg.density || 0.012
+            this.fogDensity
         );
 
         // Sky Shader
         this.initSky();
         this.initParticles();
+        this.initFireflies();
         this.initClouds();
         this.initBirds();
+        this.initNightSky();
+
+        // The fixed golden-hour sun until a WorldClock moves it (see World)
+        this.setSun(lightCfg.sunElevation || 8, lightCfg.sunAzimuth || 200);
     }
 
     initSky() {
@@ -69,11 +141,51 @@ export class Lighting {
         uniforms['rayleigh'].value = skyCfg.rayleigh || 2;
         uniforms['mieCoefficient'].value = skyCfg.mieCoefficient || 0.005;
         uniforms['mieDirectionalG'].value = skyCfg.mieDirectionalG || 0.8;
+        // Clear-sky values, for setSun() to haze over
+        this.skyBase = {
+            turbidity: uniforms['turbidity'].value,
+            rayleigh: uniforms['rayleigh'].value,
+            mieCoefficient: uniforms['mieCoefficient'].value
+        };
+    }
+
+    // Stars and the moon, faded in by setSun()
+    initNightSky() {
+        const random = createRandom(this.config.seed, 'stars');
+        this.nightSky = new THREE.Group();
+
+        const starCount = 1500;
+        const positions = new Float32Array(starCount * 3);
+        const direction = new THREE.Vector3();
+        for (let i = 0; i < starCount; i++) {
+            // Upper half of a sphere, a little below the horizon so none pop in over the hills
+            direction.setFromSphericalCoords(SKY_DISTANCE, Math.acos(random() * 1.1 - 0.1), random() * Math.PI * 2);
+            direction.toArray(positions, i * 3);
+        }
+        const starGeo = new THREE.BufferGeometry();
+        starGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.stars = new THREE.Points(starGeo, new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 1.6,
+            sizeAttenuation: false,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+            fog: false
+        }));
+        this.nightSky.add(this.stars);
+
+        this.moon = new THREE.Mesh(
+            new THREE.SphereGeometry(12, 16, 12),
+            new THREE.MeshBasicMaterial({ color: 0xf2efe0, transparent: true, opacity: 0, fog: false })
+        );
+        this.nightSky.add(this.moon);
 
-        this.updateSunPosition();
+        this.scene.add(this.nightSky);
     }
 
     initClouds() {
+        const random = createRandom(this.config.seed, 'clouds');
         const cloudCfg = this.config.clouds || {};
 
         // Create fluffy clouds using sprite-like planes
@@ -84,7 +196,8 @@ export class Lighting {
         const baseSpeed = cloudCfg.speed || 0.5;
 
         // Cloud material - soft white/orange tinted for golden hour
-        const cloudMat = new THREE.MeshBasicMaterial({
+        this.cloudOpacity = cloudCfg.opacity || 0.6;
+        const cloudMat = this.cloudMaterial = new THREE.MeshBasicMaterial({
             color: cloudCfg.color || 0xffeedd,
             transparent: true,
             opacity: cloudCfg.opacity || 0.6,
@@ -96,34 +209,35 @@ export class Lighting {
             const cloudGroup = new THREE.Group();
 
             // Each cloud is made of several overlapping ellipsoids
-            const puffs = 3 + Math.floor(Math.random() * 4);
+            const puffs = 3 + Math.floor(random() * 4);
             for (let j = 0; j < puffs; j++) {
                 const puff = new THREE.Mesh(
-                    new THREE.SphereGeometry(15 + Math.random() * 20, 8, 6),
+                    new THREE.SphereGeometry(15 + random() * 20, 8, 6),
                     cloudMat
                 );
-                puff.scale.set(1 + Math.random() * 0.5, 0.4 + Math.random() * 0.3, 1 + Math.random() * 0.5);
+                puff.scale.set(1 + random() * 0.5, 0.4 + random() * 0.3, 1 + random() * 0.5);
                 puff.position.set(
-                    (Math.random() - 0.5) * 30,
-                    (Math.random() - 0.5) * 5,
-                    (Math.random() - 0.5) * 30
+                    (random() - 0.5) * 30,
+                    (random() - 0.5) * 5,
+                    (random() - 0.5) * 30
                 );
                 cloudGroup.add(puff);
             }
 
             cloudGroup.position.set(
-                (Math.random() - 0.5) * 400,
-                minHeight + Math.random() * (maxHeight - minHeight),
-                (Math.random() - 0.5) * 400
+                (random() - 0.5) * 400,
+                minHeight + random() * (maxHeight - minHeight),
+                (random() - 0.5) * 400
             );
 
-            cloudGroup.userData.speed = baseSpeed + Math.random() * baseSpeed;
+            cloudGroup.userData.speed = baseSpeed + random() * baseSpeed;
             this.clouds.push(cloudGroup);
             this.scene.add(cloudGroup);
         }
     }
 
     initBirds() {
+        const random = createRandom(this.config.seed, 'birds');
         const birdCfg = this.config.birds || {};
 
         // Simple birds as small triangles flying in flocks
@@ -135,7 +249,7 @@ export class Lighting {
 
         for (let f = 0; f < flockCount; f++) {
             const flock = new THREE.Group();
-            const birdCount = Math.floor(birdsPerFlock * 0.6) + Math.floor(Math.random() * birdsPerFlock * 0.8);
+            const birdCount = Math.floor(birdsPerFlock * 0.6) + Math.floor(random() * birdsPerFlock * 0.8);
 
             const birdMat = new THREE.MeshBasicMaterial({ color: 0x333333, side: THREE.DoubleSide });
 
@@ -154,21 +268,21 @@ export class Lighting {
 
                 const bird = new THREE.Mesh(birdGeo, birdMat);
                 bird.position.set(
-                    (Math.random() - 0.5) * 10,
-                    (Math.random() - 0.5) * 3,
-                    (Math.random() - 0.5) * 10
+                    (random() - 0.5) * 10,
+                    (random() - 0.5) * 3,
+                    (random() - 0.5) * 10
                 );
-                bird.userData.wingPhase = Math.random() * Math.PI * 2;
+                bird.userData.wingPhase = random() * Math.PI * 2;
                 flock.add(bird);
             }
 
             flock.position.set(
-                (Math.random() - 0.5) * 200,
-                flightHeight - 10 + Math.random() * 20,
-                (Math.random() - 0.5) * 200
+                (random() - 0.5) * 200,
+                flightHeight - 10 + random() * 20,
+                (random() - 0.5) * 200
             );
-            flock.userData.speed = flightSpeed * 0.7 + Math.random() * flightSpeed * 0.6;
-            flock.userData.angle = Math.random() * Math.PI * 2;
+            flock.userData.speed = flightSpeed * 0.7 + random() * flightSpeed * 0.6;
+            flock.userData.angle = random() * Math.PI * 2;
 
             this.birds.push(flock);
             this.scene.add(flock);
@@ -176,6 +290,7 @@ export class Lighting {
     }
 
     initParticles() {
+        const random = createRandom(this.config.seed, 'dust');
         const particleCfg = this.config.particles || {};
 
         // Dust motes / Fireflies
@@ -185,10 +300,10 @@ export class Lighting {
         const speeds = new Float32Array(count);
 
         for (let i = 0; i < count; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 150;
-            positions[i * 3 + 1] = Math.random() * 15;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 150;
-            speeds[i] = Math.random();
+            positions[i * 3] = (random() - 0.5) * 150;
+            positions[i * 3 + 1] = random() * 15;
+            positions[i * 3 + 2] = (random() - 0.5) * 150;
+            speeds[i] = random();
         }
 
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -207,21 +322,161 @@ export class Lighting {
         this.scene.add(this.particles);
     }
 
-    updateSunPosition() {
-        const lightCfg = this.config.lighting || {};
-        const phi = THREE.MathUtils.degToRad(90 - (lightCfg.sunElevation || 8));
-        const theta = THREE.MathUtils.degToRad(lightCfg.sunAzimuth || 200);
+    // Fireflies over the riverbanks, blinking after dark
+    initFireflies() {
+        const random = createRandom(this.config.seed, 'fireflies');
+        const particleCfg = this.config.particles || {};
+        const count = particleCfg.fireflyCount || 200;
+
+        const positions = new Float32Array(count * 3);
+        this.fireflyBase = new Float32Array(count * 3);
+        this.fireflyPhases = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const x = (random() - 0.5) * 300;
+            const river = this.heightfield ? this.heightfield.getRiverAt(x) : { center: 0, width: 8 };
+            const side = random() > 0.5 ? 1 : -1;
+            const z = river.center + side * river.width * (0.8 + random() * 2);
+            const ground = this.heightfield ? Math.max(this.heightfield.getHeight(x, z), 0) : 0;
+            this.fireflyBase.set([x, ground + 0.5 + random() * 2, z], i * 3);
+            this.fireflyPhases[i] = random() * Math.PI * 2;
+        }
+        positions.set(this.fireflyBase);
 
-        const sunPosition = new THREE.Vector3();
-        sunPosition.setFromSphericalCoords(1, phi, theta);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
 
-        this.sky.material.uniforms['sunPosition'].value.copy(sunPosition);
-        this.sunLight.position.copy(sunPosition).multiplyScalar(20);
+        this.fireflyColor = new THREE.Color(particleCfg.fireflyColor || 0xffff88);
+        this.fireflies = new THREE.Points(geometry, new THREE.PointsMaterial({
+            size: 0.25,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        this.fireflies.visible = false;
+        this.scene.add(this.fireflies);
     }
 
-    update(time) {
-        // Animate particles
+    // The weather's blend (see Weather) - cloud cover, how grey and dim, haze, rain and snow.
+    // Takes effect at the next setSun().
+    setWeather(weather) {
+        this.weather = weather;
+    }
+
+    // Put the sun at an elevation and azimuth (degrees) and light the scene to match: sky, fog,
+    // hemisphere and directional light, clouds, stars, moon, dust and fireflies - under the weather
+    setSun(elevation, azimuth) {
+        const { cover = 0, darkness = 0, dim = 0, haze = 0, rain = 0, snow = 0 } = this.weather;
+        const frame = this.blend(elevation);
+        this.sunElevation = elevation;
+
+        this.sunDirection.setFromSphericalCoords(1,
+            THREE.MathUtils.degToRad(90 - elevation), THREE.MathUtils.degToRad(azimuth));
+        this.sky.material.uniforms['sunPosition'].value.copy(this.sunDirection);
+
+        // The moon rides opposite the sun and lights the night
+        const moonDirection = this.sunDirection.clone().negate();
+        const lightDirection = elevation < MOONLIGHT_BELOW ? moonDirection : this.sunDirection.clone();
+        lightDirection.y = Math.max(lightDirection.y, 0.05); // Never light from under the ground
+        this.lightDirection.copy(lightDirection).normalize();
+        this.sunLight.position.copy(this.lightDirection).multiplyScalar(20);
+        this.sunLight.color.copy(frame.light);
+        this.sunLight.intensity = frame.lightIntensity * (1 - dim);
+
+        this.ambientLight.color.copy(frame.hemiSky);
+        this.ambientLight.groundColor.copy(frame.hemiGround);
+        this.ambientLight.intensity = frame.hemiIntensity * (1 - dim * 0.4);
+
+        overcast(this.fogColor.copy(frame.fog), cover, darkness);
+        this.scene.fog.color.copy(this.fogColor);
+        this.scene.fog.density = this.fogDensity * (1 + haze * 1.5);
+        overcast(this.skyColor.copy(frame.hemiSky), cover, darkness);
+        this.tint.copy(frame.tint).multiplyScalar(1 - dim * 0.4);
+        this.exposure = frame.exposure * (1 - dim * 0.15);
+        this.warmth = frame.warmth * (1 - cover * 0.8);
+
+        // A hazier, less blue sky under cloud
+        const skyUniforms = this.sky.material.uniforms;
+        skyUniforms['turbidity'].value = Math.min(this.skyBase.turbidity + cover * 12, 20);
+        skyUniforms['rayleigh'].value = this.skyBase.rayleigh * (1 - cover * 0.8);
+        skyUniforms['mieCoefficient'].value = this.skyBase.mieCoefficient * (1 + cover * 3);
+        // 0 by day, 1 once the sun is well down - the station fires take over (see Props)
+        this.night = 1 - THREE.MathUtils.smoothstep(elevation, MOONLIGHT_BELOW, 4);
+
+        // Heavier, greyer clouds spread over the sky
+        if (this.cloudMaterial) {
+            this.cloudMaterial.color.copy(frame.clouds).lerp(_grey.setScalar(0.5), cover * 0.6)
+                .multiplyScalar(1 - darkness * 0.7);
+            this.cloudMaterial.opacity = THREE.MathUtils.lerp(this.cloudOpacity, OVERCAST_OPACITY, cover);
+            this.clouds.forEach(cloud => cloud.scale.set(1 + cover * 0.8, 1 + cover * 0.3, 1 + cover * 0.8));
+        }
+
+        const clearSky = 1 - cover;
+        const stars = frame.stars * clearSky;
+        this.stars.material.opacity = stars;
+        this.stars.visible = stars > 0.01;
+        this.moon.position.copy(moonDirection).multiplyScalar(SKY_DISTANCE * 0.9);
+        this.moon.material.opacity = THREE.MathUtils.clamp(moonDirection.y * 10, 0, 1) * Math.max(frame.stars, 0.3) * clearSky;
+        this.moon.visible = moonDirection.y > 0 && clearSky > 0.01;
+
+        // Dust settles and fireflies shelter when it rains or snows
+        const wet = Math.max(rain, snow);
+        const dust = frame.dust * (1 - Math.max(cover * 0.6, wet));
         if (this.particles) {
+            this.particles.material.opacity = 0.6 * dust;
+            this.particles.visible = dust > 0.01;
+        }
+        const fireflies = frame.fireflies * (1 - wet);
+        this.fireflies.material.opacity = fireflies;
+        this.fireflies.visible = fireflies > 0.01;
+    }
+
+    // Lighting keyframes blended for a sun elevation (held at the first and last frames)
+    blend(elevation) {
+        const frames = this.keyframes;
+        let next = frames.findIndex(frame => frame.elevation >= elevation);
+        if (next === -1) return frames[frames.length - 1];
+        if (next === 0) return frames[0];
+
+        const a = frames[next - 1];
+        const b = frames[next];
+        const t = THREE.MathUtils.smoothstep(elevation, a.elevation, b.elevation);
+        const blended = {};
+        Object.keys(b).forEach(key => {
+            blended[key] = b[key].isColor
+                ? a[key].clone().lerp(b[key], t)
+                : THREE.MathUtils.lerp(a[key], b[key], t);
+        });
+        return blended;
+    }
+
+    update(time, camera) {
+        // Stars and moon stay at the same distance wherever the camera goes
+        if (camera) this.nightSky.position.copy(camera.position);
+
+        // Fireflies drift and blink out of step
+        if (this.fireflies.visible) {
+            const positions = this.fireflies.geometry.attributes.position.array;
+            const colors = this.fireflies.geometry.attributes.color.array;
+            for (let i = 0; i < this.fireflyPhases.length; i++) {
+                const phase = this.fireflyPhases[i];
+                positions[i * 3] = this.fireflyBase[i * 3] + Math.sin(time * 0.3 + phase) * 1.5;
+                positions[i * 3 + 1] = this.fireflyBase[i * 3 + 1] + Math.sin(time * 0.7 + phase * 2) * 0.4;
+                positions[i * 3 + 2] = this.fireflyBase[i * 3 + 2] + Math.cos(time * 0.25 + phase) * 1.5;
+
+                const glow = Math.pow(Math.max(Math.sin(time * 1.3 + phase * 3), 0), 6);
+                colors[i * 3] = this.fireflyColor.r * glow;
+                colors[i * 3 + 1] = this.fireflyColor.g * glow;
+                colors[i * 3 + 2] = this.fireflyColor.b * glow;
+            }
+            this.fireflies.geometry.attributes.position.needsUpdate = true;
+            this.fireflies.geometry.attributes.color.needsUpdate = true;
+        }
+
+        // Animate particles
+        if (this.particles && this.particles.visible) {
             const positions = this.particles.geometry.attributes.position.array;
             const speeds = this.particles.geometry.attributes.speed.array;
             const count = this.particleCount || 1500;
@@ -234,9 +489,10 @@ export class Lighting {
             this.particles.geometry.attributes.position.needsUpdate = true;
         }
 
-        // Animate clouds drifting
+        // Animate clouds drifting (faster in a wind)
+        const drift = this.weather.wind || 1;
         this.clouds.forEach(cloud => {
-            cloud.position.x += cloud.userData.speed * 0.02;
+            cloud.position.x += cloud.userData.speed * 0.02 * drift;
             if (cloud.position.x > 250) cloud.position.x = -250;
         });
 
@@ -0,0 +1,329 @@
+import { Expression, ExpressionError } from './Expression.js';
+
+// Math challenges for Elder visits.
+// Each Elder has a bank of question templates; every visit draws new numbers and new distractors,
+// so students sharing a screen can't just copy each other's answer.
+//
+// A bank entry is either a fixed question ({ label, question, options }) or a template:
+//   { template: 'gcf', label: "... {a} and {b} ...", question: "..." }
+// The template generator picks the numbers; {name} placeholders in label/question are filled from them.
+// With answerMode 'free' the student types the answer instead of picking an option (see Expression.js).
+
+// Not seeded (see createRandom in Utils.js) - new numbers every visit
+function randomInt(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+function shuffle(list) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+function divisorsOf(n) {
+    const divisors = [];
+    for (let d = 1; d <= n; d++) {
+        if (n % d === 0) divisors.push(d);
+    }
+    return divisors;
+}
+
+// "(x + 3)" / "(x - 3)" with the sign folded in
+function binomial(n) {
+    return n < 0 ? `(x - ${-n})` : `(x + ${n})`;
+}
+
+// Generators return the numbers to fill into the text, the correct answer and candidate
+// distractors. A distractor may carry targeted feedback for the mistake it represents; free-response
+// answers that are equivalent to a distractor get the same feedback.
+export const MATH_TEMPLATES = {
+    // Greatest common factor of a and b
+    gcf() {
+        const factor = randomInt(2, 9);
+        let m, n;
+        do {
+            m = randomInt(2, 7);
+            n = randomInt(2, 7);
+        } while (m === n || gcd(m, n) !== 1);
+
+        const a = factor * Math.min(m, n);
+        const b = factor * Math.max(m, n);
+        const smallerDivisors = [];
+        for (let d = 1; d < factor; d++) {
+            if (factor % d === 0) {
+                smallerDivisors.push({ text: `${d}`, feedback: `${d} divides both numbers, but there's a larger number that does too.` });
+            }
+        }
+        const doesItDivide = value => ({ text: `${value}`, feedback: `Check: does ${value} divide evenly into both ${a} and ${b}?` });
+
+        const divisorsB = divisorsOf(b);
+        return {
+            vars: {
+                a, b,
+                factorsA: divisorsOf(a).join(', '),
+                factorsB: divisorsB.join(', '),
+                common: divisorsOf(a).filter(d => divisorsB.includes(d)).join(', '),
+                groupsA: a / factor,
+                groupsB: b / factor
+            },
+            answer: `${factor}`,
+            distractors: [
+                ...smallerDivisors,
+                doesItDivide(factor * 2),
+                doesItDivide(factor + 1),
+                doesItDivide(b - a),
+                { text: `${a}`, feedback: `${a} divides into itself, but does it divide evenly into ${b}?` },
+                { text: `${a * b / factor}`, feedback: `That's a common multiple—we need a common factor, a number that goes into both.` }
+            ]
+        };
+    },
+
+    // Factor x² - n² as a difference of squares
+    differenceOfSquares() {
+        const n = randomInt(2, 12);
+        const square = n * n;
+        const signs = `Check your signs: multiply it back out and the middle terms don't cancel. One bracket needs +${n}, the other -${n}.`;
+        const multiplyBack = `Multiply it back out. x² - ${square} needs two numbers the same size with opposite signs, each the square root of ${square}.`;
+        return {
+            vars: { n, square },
+            answer: `${binomial(n)}${binomial(-n)}`,
+            notFactored: `That's the same expression—now break it into two brackets.`,
+            distractors: [
+                { text: `${binomial(-n)}${binomial(-n)}`, feedback: signs },
+                { text: `${binomial(n)}${binomial(n)}`, feedback: signs },
+                { text: `${binomial(square)}${binomial(-1)}`, feedback: multiplyBack },
+                { text: `${binomial(n * 2)}${binomial(-Math.ceil(n / 2))}`, feedback: multiplyBack }
+            ]
+        };
+    },
+
+    // Factor x² + bx + c where both roots are negative integers
+    trinomial() {
+        // p < q so "(x + 1)(x + 6)" and "(x + 6)(x + 1)" never both appear as options
+        const p = randomInt(1, 8);
+        const q = randomInt(p + 1, 9);
+
+        const sum = p + q;
+        const product = p * q;
+        const pairs = divisorsOf(product)
+            .filter(d => d * d <= product)
+            .map(d => `${d} × ${product / d}`)
+            .join(', ');
+        return {
+            vars: { sum, product, p, q, pairs },
+            answer: `${binomial(p)}${binomial(q)}`,
+            notFactored: `That's the same tune written out long—now factor it into two brackets.`,
+            distractors: [
+                { text: `${binomial(-p)}${binomial(-q)}`, feedback: `Sign error: -${p} and -${q} multiply to ${product}, but they add to -${sum}, not +${sum}.` },
+                { text: `${binomial(p)}${binomial(-q)}`, feedback: `Those multiply to -${product}. To get +${product}, both numbers need the same sign.` },
+                { text: `${binomial(1)}${binomial(product)}`, feedback: `1 and ${product} multiply to ${product}, but they add to ${product + 1}, not ${sum}.` },
+                { text: `${binomial(p + 1)}${binomial(q + 1)}`, feedback: `Multiply it back out—those numbers multiply to ${(p + 1) * (q + 1)}, not ${product}.` },
+                { text: `${binomial(sum)}${binomial(1)}`, feedback: `${sum} and 1 multiply to ${sum}—we need two numbers that multiply to ${product}.` }
+            ]
+        };
+    },
+
+    // Evaluate y = x² at a point
+    evaluateSquare() {
+        const x = randomInt(2, 12);
+        return {
+            vars: { x },
+            answer: `${x * x}`,
+            distractors: [
+                { text: `${x * 2}`, feedback: `x² means ${x} × ${x}, not ${x} × 2.` },
+                { text: `${x}`, feedback: `Remember to square it: ${x} × ${x}.` },
+                { text: `${x * x + x}`, feedback: `Close—check your multiplication of ${x} × ${x}.` },
+                { text: `${(x + 1) * (x + 1)}`, feedback: `That's ${x + 1} squared. The vine grew ${x} meters.` },
+                { text: `${x * x - 1}`, feedback: `Close—check your multiplication of ${x} × ${x}.` }
+            ]
+        };
+    },
+
+    // Equation of a circle centred at the origin
+    circleEquation() {
+        const r = randomInt(2, 12);
+        return {
+            vars: { r, r2: r * r },
+            answer: `x² + y² = ${r * r}`,
+            distractors: [
+                { text: `x² + y² = ${r}`, feedback: `Remember to square the radius: the right side is ${r}², not ${r}.` },
+                { text: `x² + y² = ${r * 2}`, feedback: `The radius is squared, not doubled: ${r} × ${r}.` },
+                { text: `x + y = ${r}`, feedback: `That's a straight line. A circle needs x² and y².` },
+                { text: `x² + y² = ${r * r * 2}`, feedback: `Check the right side: it should be the radius squared, ${r}² exactly.` }
+            ]
+        };
+    }
+};
+
+// Hints and worked-solution steps may come from the entry or be shared by the whole math block
+function fillAll(lines, vars) {
+    return (lines || []).map(line => fill(line, vars));
+}
+
+// Example shown in the free-response box, matching the shape of the expected answer
+function placeholderFor(answer) {
+    const expected = Expression.tryParse(answer);
+    if (!expected) return 'Type your answer';
+    if (expected.isEquation) return 'e.g. x^2 + y^2 = 4';
+    if (expected.isFactored()) return 'e.g. (x + 2)(x - 3)';
+    if (expected.isConstant) return 'Type a number';
+    return 'Type your answer (use ^ for powers)';
+}
+
+function fill(text, vars) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
+
+export class MathQuestionBank {
+    // math: the `math` block of an Elder visit ({ required, bank, success, answerMode, hints, solution })
+    constructor(math) {
+        this.math = math;
+        this.bank = math.bank;
+        this.required = math.required || 1;
+        this.optionCount = math.optionCount || 4;
+        this.answerMode = math.answerMode || 'choice';
+        // Misses on one question before the worked solution appears
+        this.solutionAfter = math.solutionAfter || 3;
+        this.queue = [];
+        this.lastText = null;
+    }
+
+    // Draw the next question. Cycles through the bank in a shuffled order so every
+    // kind of question comes up before any repeats.
+    next() {
+        if (this.queue.length === 0) {
+            this.queue = shuffle(this.bank);
+        }
+
+        let question = this.build(this.queue.pop());
+        // Avoid showing the exact same question twice in a row
+        const textOf = q => `${q.label} ${q.question}`;
+        for (let tries = 0; tries < 5 && textOf(question) === this.lastText; tries++) {
+            question = this.build(pick(this.bank));
+        }
+        this.lastText = textOf(question);
+        return question;
+    }
+
+    build(entry) {
+        const mode = entry.answerMode || this.answerMode;
+        const hints = entry.hints || this.math.hints;
+        const solution = entry.solution || this.math.solution;
+        // Stable per bank entry, so reports can group every draw of the same question
+        const id = `q${this.bank.indexOf(entry) + 1}`;
+
+        // Fixed question: shuffle the given options
+        if (!entry.template) {
+            return {
+                id,
+                label: entry.label,
+                question: entry.question,
+                mode,
+                answer: entry.options.find(opt => opt.correct).text,
+                placeholder: placeholderFor(entry.options.find(opt => opt.correct).text),
+                mistakes: entry.options.filter(opt => !opt.correct),
+                hints: hints || [],
+                solution: solution || [],
+                options: shuffle(entry.options)
+            };
+        }
+
+        const generate = MATH_TEMPLATES[entry.template];
+        if (!generate) {
+            throw new Error(`Unknown math template "${entry.template}"`);
+        }
+
+        const { vars, answer, distractors, notFactored } = generate();
+        vars.answer = answer;
+        const seen = new Set([answer]);
+        const mistakes = distractors
+            .map(d => (typeof d === 'string' ? { text: d } : d))
+            .filter(d => !seen.has(d.text) && seen.add(d.text));
+        const wrong = shuffle(mistakes).slice(0, this.optionCount - 1);
+
+        return {
+            id,
+            label: fill(entry.label, vars),
+            question: fill(entry.question, vars),
+            mode,
+            answer,
+            placeholder: placeholderFor(answer),
+            notFactored,
+            mistakes,
+            hints: fillAll(hints, vars),
+            solution: fillAll(solution, vars),
+            options: shuffle([
+                { text: answer, correct: true },
+                ...wrong.map(d => ({ text: d.text, correct: false, feedback: d.feedback }))
+            ])
+        };
+    }
+
+    // Check a free-response answer. Any algebraically equivalent answer counts, as long as it's
+    // in the same form as the expected one (factored, an equation, or a plain number).
+    // Returns { correct, feedback }.
+    check(question, text) {
+        const expected = Expression.tryParse(question.answer);
+        if (!expected) {
+            // Not algebra (a word answer on a fixed question): compare the text itself
+            const normalize = value => value.trim().toLowerCase().replace(/\s+/g, ' ');
+            return normalize(text) === normalize(question.answer)
+                ? { correct: true, feedback: null }
+                : { correct: false, feedback: 'Not quite—try again.' };
+        }
+
+        let given;
+        try {
+            given = Expression.parse(text);
+        } catch (error) {
+            if (error instanceof ExpressionError) {
+                return { correct: false, feedback: error.message };
+            }
+            throw error;
+        }
+
+        if (given.equivalentTo(expected)) {
+            if (expected.isFactored() && !given.isFactored()) {
+                return { correct: false, feedback: question.notFactored || 'That\'s equal, but it needs to be factored into brackets.' };
+            }
+            return { correct: true, feedback: null };
+        }
+
+        // Known mistakes get targeted feedback
+        const mistake = question.mistakes.find(m => {
+            const parsed = Expression.tryParse(m.text);
+            return parsed && m.feedback && given.equivalentTo(parsed);
+        });
+        if (mistake) {
+            return { correct: false, feedback: mistake.feedback };
+        }
+
+        if (expected.isEquation && !given.isEquation) {
+            return { correct: false, feedback: 'The answer should be an equation, with an "=" sign.' };
+        }
+        if (!expected.isEquation && given.isEquation) {
+            return { correct: false, feedback: 'No "=" needed here—just the answer itself.' };
+        }
+        if (given.polynomial.equals(expected.polynomial.scale(-1))) {
+            return { correct: false, feedback: 'Almost—check your signs.' };
+        }
+        if (expected.isConstant) {
+            return { correct: false, feedback: 'Not quite—try again.' };
+        }
+        if (expected.isEquation) {
+            return { correct: false, feedback: 'Not quite. Check each side of your equation.' };
+        }
+        return { correct: false, feedback: 'Not quite. Multiply your answer back out and compare.' };
+    }
+}
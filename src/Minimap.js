@@ -1,17 +1,12 @@
 import * as THREE from 'three';
 
 export class Minimap {
-    constructor(camera, controls, cabinPositions, fireplacePositions = [], herbPositions = [], logPilePositions = [], gardenPositions = [], cartPositions = [], fishingPositions = [], memorialPositions = []) {
+    constructor(camera, controls, stations, heightfield) {
         this.camera = camera;
         this.controls = controls;
-        this.cabinPositions = cabinPositions;
-        this.fireplacePositions = fireplacePositions;
-        this.herbPositions = herbPositions;
-        this.logPilePositions = logPilePositions;
-        this.gardenPositions = gardenPositions;
-        this.cartPositions = cartPositions;
-        this.fishingPositions = fishingPositions;
-        this.memorialPositions = memorialPositions;
+        this.stations = stations;
+        this.heightfield = heightfield;
+        this.cabinPositions = stations.byType('cabin');
 
         // World bounds (focused on where content is, not full terrain)
         this.worldBounds = {
@@ -31,32 +26,12 @@ export class Minimap {
     }
 
     init() {
-        // Add river SVG (should be first so it's behind markers)
+        // Shaded hills under everything else, then the river SVG (behind markers)
+        this.addRelief();
         this.addRiverPath();
 
-        // Add cabin markers to minimap
-        this.addCabinMarkers();
-
-        // Add fireplace markers to minimap
-        this.addFireplaceMarkers();
-
-        // Add herb bundle markers to minimap
-        this.addHerbMarkers();
-
-        // Add log pile markers to minimap
-        this.addLogPileMarkers();
-
-        // Add garden markers to minimap
-        this.addGardenMarkers();
-
-        // Add cart markers to minimap
-        this.addCartMarkers();
-
-        // Add fishing markers to minimap
-        this.addFishingMarkers();
-
-        // Add memorial markers to minimap
-        this.addMemorialMarkers();
+        // Add a marker for every registered station
+        this.addStationMarkers();
 
         // Set up click handler for navigation
         this.minimapEl.addEventListener('click', (e) => this.onMinimapClick(e));
@@ -75,6 +50,52 @@ export class Minimap {
         this.initialTarget = this.controls.target.clone();
     }
 
+    // Hills shaded from the heightfield: water, lush lowland and dry hilltops coloured like the
+    // terrain, lit from the northwest so the slopes read at a glance
+    addRelief() {
+        const width = 196;
+        const height = 140;
+        const canvas = document.createElement('canvas');
+        canvas.id = 'minimap-relief';
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        const water = new THREE.Color(0x2d7a7a);
+        const lush = new THREE.Color(0x3a5f0b);
+        const dry = new THREE.Color(0x8f7e45);
+        const light = new THREE.Vector3(-1, 1.5, -1).normalize();
+        const normal = new THREE.Vector3();
+        const color = new THREE.Color();
+
+        for (let py = 0; py < height; py++) {
+            for (let px = 0; px < width; px++) {
+                const worldX = this.worldBounds.minX + (px + 0.5) / width * (this.worldBounds.maxX - this.worldBounds.minX);
+                const worldZ = this.worldBounds.minZ + (py + 0.5) / height * (this.worldBounds.maxZ - this.worldBounds.minZ);
+                const h = this.heightfield.getHeight(worldX, worldZ);
+
+                if (h < -0.5) {
+                    color.copy(water);
+                } else {
+                    color.copy(lush).lerp(dry, THREE.MathUtils.clamp((h - 1) / 5, 0, 1));
+                }
+                // Hillshade - full colour on slopes facing the light, darker away from it
+                const shade = 0.6 + 0.5 * Math.max(this.heightfield.getNormal(worldX, worldZ, normal).dot(light), 0);
+                color.multiplyScalar(shade);
+
+                const i = (py * width + px) * 4;
+                image.data[i] = Math.min(255, color.r * 255);
+                image.data[i + 1] = Math.min(255, color.g * 255);
+                image.data[i + 2] = Math.min(255, color.b * 255);
+                image.data[i + 3] = 255;
+            }
+        }
+
+        ctx.putImageData(image, 0, 0);
+        this.minimapEl.insertBefore(canvas, this.minimapEl.firstChild);
+    }
+
     addRiverPath() {
         // Create SVG element for the meandering river
         const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -82,9 +103,7 @@ export class Minimap {
         svg.setAttribute('viewBox', '0 0 196 140');
         svg.setAttribute('preserveAspectRatio', 'none');
 
-        // Generate river path using the same formula as Terrain.js:
-        // riverMeander = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5
-        // This gives the z-position of river center at each x
+        // Trace the river's centre line from the heightfield
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
 
         // Sample points along the river and convert to minimap coordinates
@@ -94,8 +113,7 @@ export class Minimap {
 
         // Sample from world X bounds with some extra on each end
         for (let worldX = this.worldBounds.minX - 20; worldX <= this.worldBounds.maxX + 20; worldX += 5) {
-            // Calculate river center Z using terrain formula
-            const riverMeander = Math.sin(worldX * 0.03) * 12 + Math.sin(worldX * 0.01) * 5;
+            const riverMeander = this.heightfield.getRiverAt(worldX).center;
 
             // Convert to minimap coordinates
             const normalizedX = (worldX - this.worldBounds.minX) / (this.worldBounds.maxX - this.worldBounds.minX);
@@ -121,12 +139,18 @@ export class Minimap {
     }
 
     setupCabinButtons() {
-        const buttons = document.querySelectorAll('.cabin-btn');
-        buttons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const cabinNum = parseInt(btn.getAttribute('data-cabin'));
-                this.jumpToCabin(cabinNum);
-            });
+        // One jump button per registered cabin
+        const container = document.getElementById('cabin-buttons');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.cabinPositions.forEach(cabin => {
+            const btn = document.createElement('button');
+            btn.className = 'cabin-btn';
+            btn.setAttribute('data-cabin', cabin.id);
+            btn.textContent = cabin.id.toString();
+            btn.addEventListener('click', () => this.jumpToCabin(cabin.id));
+            container.appendChild(btn);
         });
     }
 
@@ -139,12 +163,16 @@ export class Minimap {
 
     // Jump camera to specific cabin
     jumpToCabin(cabinNumber) {
-        const cabin = this.cabinPositions[cabinNumber - 1];
-        if (!cabin) return;
+        this.jumpToStation(this.stations.get('cabin', cabinNumber));
+    }
 
-        // Position camera to look at cabin from a nice angle
-        const targetX = cabin.x;
-        const targetZ = cabin.z;
+    // Fly to any registered station (cabin buttons, deep links)
+    jumpToStation(station) {
+        if (!station) return;
+
+        // Position camera to look at the station from a nice angle
+        const targetX = station.x;
+        const targetZ = station.z;
 
         // Position camera offset from cabin, looking towards it
         const cameraOffset = 25;
@@ -176,140 +204,18 @@ export class Minimap {
         }
     }
 
-    addCabinMarkers() {
-        this.cabinPositions.forEach((cabin, index) => {
-            const marker = document.createElement('div');
-            marker.className = 'minimap-cabin';
-            marker.textContent = (index + 1).toString();
-
-            // Convert world position to minimap position
-            const pos = this.worldToMinimap(cabin.x, cabin.z);
-            marker.style.left = pos.x + 'px';
-            marker.style.top = pos.y + 'px';
-
-            this.minimapEl.appendChild(marker);
-        });
-    }
-
-    addFireplaceMarkers() {
-        if (!this.fireplacePositions || this.fireplacePositions.length === 0) {
-            return;
-        }
-
-        this.fireplacePositions.forEach((fire) => {
-            const marker = document.createElement('div');
-            marker.className = 'minimap-fire';
-
-            // Convert world position to minimap position
-            const pos = this.worldToMinimap(fire.x, fire.z);
-            marker.style.left = pos.x + 'px';
-            marker.style.top = pos.y + 'px';
-
-            this.minimapEl.appendChild(marker);
-        });
-    }
-
-    addHerbMarkers() {
-        if (!this.herbPositions || this.herbPositions.length === 0) {
-            return;
-        }
-
-        this.herbPositions.forEach((herb) => {
-            const marker = document.createElement('div');
-            marker.className = 'minimap-herbs';
-
-            // Convert world position to minimap position
-            const pos = this.worldToMinimap(herb.x, herb.z);
-            marker.style.left = pos.x + 'px';
-            marker.style.top = pos.y + 'px';
-
-            this.minimapEl.appendChild(marker);
-        });
-    }
-
-    addLogPileMarkers() {
-        if (!this.logPilePositions || this.logPilePositions.length === 0) {
-            return;
-        }
-
-        this.logPilePositions.forEach((logPile) => {
-            const marker = document.createElement('div');
-            marker.className = 'minimap-logpile';
-
-            // Convert world position to minimap position
-            const pos = this.worldToMinimap(logPile.x, logPile.z);
-            marker.style.left = pos.x + 'px';
-            marker.style.top = pos.y + 'px';
-
-            this.minimapEl.appendChild(marker);
-        });
-    }
-
-    addGardenMarkers() {
-        if (!this.gardenPositions || this.gardenPositions.length === 0) {
-            return;
-        }
-
-        this.gardenPositions.forEach((garden) => {
-            const marker = document.createElement('div');
-            marker.className = 'minimap-garden';
-
-            // Convert world position to minimap position
-            const pos = this.worldToMinimap(garden.x, garden.z);
-            marker.style.left = pos.x + 'px';
-            marker.style.top = pos.y + 'px';
-
-            this.minimapEl.appendChild(marker);
-        });
-    }
-
-    addCartMarkers() {
-        if (!this.cartPositions || this.cartPositions.length === 0) {
-            return;
-        }
-
-        this.cartPositions.forEach((cart) => {
-            const marker = document.createElement('div');
-            marker.className = 'minimap-cart';
-
-            // Convert world position to minimap position
-            const pos = this.worldToMinimap(cart.x, cart.z);
-            marker.style.left = pos.x + 'px';
-            marker.style.top = pos.y + 'px';
-
-            this.minimapEl.appendChild(marker);
-        });
-    }
-
-    addFishingMarkers() {
-        if (!this.fishingPositions || this.fishingPositions.length === 0) {
-            return;
-        }
-
-        this.fishingPositions.forEach((fishing) => {
+    addStationMarkers() {
+        this.stations.all().forEach(station => {
             const marker = document.createElement('div');
-            marker.className = 'minimap-fishing';
+            marker.className = this.stations.typeInfo(station.type).minimap || 'minimap-fire';
 
-            // Convert world position to minimap position
-            const pos = this.worldToMinimap(fishing.x, fishing.z);
-            marker.style.left = pos.x + 'px';
-            marker.style.top = pos.y + 'px';
-
-            this.minimapEl.appendChild(marker);
-        });
-    }
-
-    addMemorialMarkers() {
-        if (!this.memorialPositions || this.memorialPositions.length === 0) {
-            return;
-        }
-
-        this.memorialPositions.forEach((memorial) => {
-            const marker = document.createElement('div');
-            marker.className = 'minimap-memorial';
+            // Cabins show their number
+            if (station.type === 'cabin') {
+                marker.textContent = station.id.toString();
+            }
 
             // Convert world position to minimap position
-            const pos = this.worldToMinimap(memorial.x, memorial.z);
+            const pos = this.worldToMinimap(station.x, station.z);
             marker.style.left = pos.x + 'px';
             marker.style.top = pos.y + 'px';
 
@@ -357,6 +263,8 @@ export class Minimap {
     }
 
     moveCameraTo(targetX, targetZ) {
+        if (this.onBeforeNavigate) this.onBeforeNavigate();
+
         // Get current camera distance from target
         const currentTarget = this.controls.target.clone();
         const currentPos = this.camera.position.clone();
@@ -388,10 +296,14 @@ export class Minimap {
     }
 
     animateCamera(targetCameraPos, targetLookAt) {
+        // Let the world leave walk mode first (see World.setNavigationMode)
+        if (this.onBeforeNavigate) this.onBeforeNavigate();
+
         const startCameraPos = this.camera.position.clone();
         const startTarget = this.controls.target.clone();
         const duration = 600; // milliseconds
         const startTime = performance.now();
+        this.isAnimating = true;
 
         const animate = (currentTime) => {
             const elapsed = currentTime - startTime;
@@ -411,6 +323,8 @@ export class Minimap {
 
             if (progress < 1) {
                 requestAnimationFrame(animate);
+            } else {
+                this.isAnimating = false;
             }
         };
 
@@ -0,0 +1,110 @@
+// Modal stack - the one place that knows which overlays are open.
+// Handles Escape (closes the top-most overlay), backdrop clicks, focus trapping and
+// locking the orbit controls while anything is open, so each overlay doesn't wire its own.
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+export class ModalStack {
+    constructor(controls) {
+        this.controls = controls;
+        this.stack = [];
+
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+
+    get isOpen() {
+        return this.stack.length > 0;
+    }
+
+    get top() {
+        return this.stack[this.stack.length - 1] || null;
+    }
+
+    // Register an overlay element. Returns a handle to pass to open()/close().
+    // onClose runs whenever the overlay closes (button, Escape or backdrop click).
+    register(element, { onClose = null, closeOnBackdrop = true } = {}) {
+        const modal = { element, onClose, returnFocus: null };
+
+        if (closeOnBackdrop) {
+            element.addEventListener('click', (e) => {
+                if (e.target === element) {
+                    this.close(modal);
+                }
+            });
+        }
+
+        // Prevent scroll/wheel events from reaching the 3D scene behind the overlay
+        element.addEventListener('wheel', (e) => e.stopPropagation(), { passive: true });
+
+        return modal;
+    }
+
+    open(modal) {
+        if (this.stack.includes(modal)) return;
+
+        modal.returnFocus = document.activeElement;
+        this.stack.push(modal);
+        modal.element.style.display = 'flex';
+
+        // Disable orbit controls while any overlay is open
+        if (this.controls) {
+            this.controls.enabled = false;
+        }
+
+        const first = modal.element.querySelector(FOCUSABLE);
+        if (first) first.focus();
+    }
+
+    close(modal) {
+        const index = this.stack.indexOf(modal);
+        if (index === -1) return;
+
+        this.stack.splice(index, 1);
+        modal.element.style.display = 'none';
+
+        if (modal.onClose) modal.onClose();
+
+        if (modal.returnFocus && typeof modal.returnFocus.focus === 'function') {
+            modal.returnFocus.focus();
+        }
+        modal.returnFocus = null;
+
+        // Re-enable orbit controls once the last overlay is gone
+        if (!this.isOpen && this.controls) {
+            this.controls.enabled = true;
+        }
+    }
+
+    closeAll() {
+        while (this.isOpen) {
+            this.close(this.top);
+        }
+    }
+
+    onKeyDown(e) {
+        const modal = this.top;
+        if (!modal) return;
+
+        if (e.code === 'Escape') {
+            this.close(modal);
+            return;
+        }
+
+        // Keep Tab focus inside the top-most overlay
+        if (e.key === 'Tab') {
+            const focusable = Array.from(modal.element.querySelectorAll(FOCUSABLE))
+                .filter(el => el.offsetParent !== null || el === document.activeElement);
+            if (focusable.length === 0) return;
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+}
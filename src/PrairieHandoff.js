@@ -0,0 +1,97 @@
+// Handoff between the prairie and the experience pages, kept in sessionStorage for the tab.
+// Prairie side:   leave() just before opening an experience saves the view, the open station,
+//                 the time of day, season and weather; resume() hands them back (once) when the
+//                 student returns, together with the result the experience reported.
+// Experience side: report()/finish() record a result for the station it was opened from, and
+//                 returnToPrairie() goes back to the saved view - with history.back() when the
+//                 prairie is the previous page, so the browser can restore it without rebuilding
+//                 the world. Any link or button marked data-prairie-return does both (see wireBackButtons).
+
+const HANDOFF_KEY = 'metisPrairieHandoff';
+
+export class PrairieHandoff {
+    constructor(storage = window.sessionStorage) {
+        this.storage = storage;
+    }
+
+    get state() {
+        try {
+            return JSON.parse(this.storage.getItem(HANDOFF_KEY) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    set state(value) {
+        try {
+            if (value) {
+                this.storage.setItem(HANDOFF_KEY, JSON.stringify(value));
+            } else {
+                this.storage.removeItem(HANDOFF_KEY);
+            }
+        } catch (error) {
+            // Storage disabled - experiences fall back to a plain link home
+        }
+    }
+
+    // --- Prairie side ---
+
+    // station: registry key ("fire-0"); view: a DeepLinks camera route; returnUrl: the prairie at that view
+    leave({ station, view, timeOfDay, season, weather, returnUrl }) {
+        this.state = { station, view, timeOfDay, season, weather, returnUrl, leftAt: Date.now(), result: null };
+    }
+
+    // The saved state, or null when not coming back from an experience. Only handed out once.
+    resume() {
+        const state = this.state;
+        this.state = null;
+        return state;
+    }
+
+    // --- Experience side ---
+
+    // Merge a result ({ completed, score, maxScore, ... }) into what goes back to the prairie.
+    // Does nothing when the page was opened directly rather than from a station.
+    report(result) {
+        const state = this.state;
+        if (!state) return;
+        state.result = { ...state.result, ...result };
+        this.state = state;
+    }
+
+    // The student is heading back: "experience finished", with the time spent on the page
+    finish(result = {}) {
+        const state = this.state;
+        if (!state) return;
+        this.report({
+            finished: true,
+            timeSpent: Math.round((Date.now() - state.leftAt) / 1000), // seconds
+            ...result
+        });
+    }
+
+    returnToPrairie(fallbackUrl = '../index.html') {
+        const state = this.state;
+        const returnUrl = state && state.returnUrl;
+
+        // Referrers never carry the #fragment
+        const fromPrairie = returnUrl && document.referrer &&
+            document.referrer.split('#')[0] === returnUrl.split('#')[0];
+        if (fromPrairie && window.history.length > 1) {
+            window.history.back();
+        } else {
+            window.location.href = returnUrl || fallbackUrl;
+        }
+    }
+
+    // Back links and buttons marked data-prairie-return (including ones added later) finish and return
+    wireBackButtons(root = document) {
+        root.addEventListener('click', (e) => {
+            const button = e.target.closest && e.target.closest('[data-prairie-return]');
+            if (!button) return;
+            e.preventDefault();
+            this.finish();
+            this.returnToPrairie(button.getAttribute('href') || undefined);
+        });
+    }
+}
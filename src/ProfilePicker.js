@@ -0,0 +1,223 @@
+import { AVATAR_COLORS } from './ProfileStore.js';
+import { JourneyFile } from './JourneyFile.js';
+
+// Profile picker - "Who is exploring?" screen shown before the welcome modal.
+// Lists every profile on this device with switch, rename, export and delete actions, a form for a
+// new one, and an import for journey files exported elsewhere (see JourneyFile.js).
+// Markup lives in index.html (#profile-picker), styles in styles.css.
+
+export class ProfilePicker {
+    constructor(store, { stations, onChoose }) {
+        this.store = store;
+        this.stations = stations;
+        this.totalStations = stations.count;
+        this.onChoose = onChoose;
+        this.selectedColor = AVATAR_COLORS[store.list().length % AVATAR_COLORS.length];
+
+        this.element = document.getElementById('profile-picker');
+        this.list = document.getElementById('profile-list');
+        this.form = document.getElementById('profile-new');
+        this.nameInput = document.getElementById('profile-name-input');
+        this.colors = document.getElementById('profile-colors');
+        this.closeBtn = document.getElementById('profile-close-btn');
+        this.importBtn = document.getElementById('profile-import-btn');
+        this.importInput = document.getElementById('profile-import-input');
+        this.message = document.getElementById('profile-message');
+
+        this.createColorSwatches();
+        this.setupEvents();
+    }
+
+    createColorSwatches() {
+        AVATAR_COLORS.forEach(color => {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.className = 'profile-color';
+            swatch.style.background = color;
+            swatch.dataset.color = color;
+            swatch.setAttribute('aria-label', `Avatar colour ${color}`);
+            swatch.addEventListener('click', () => this.selectColor(color));
+            this.colors.appendChild(swatch);
+        });
+        this.selectColor(this.selectedColor);
+    }
+
+    selectColor(color) {
+        this.selectedColor = color;
+        this.colors.querySelectorAll('.profile-color').forEach(swatch => {
+            swatch.classList.toggle('selected', swatch.dataset.color === color);
+        });
+    }
+
+    setupEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = this.nameInput.value.trim();
+            if (!name) {
+                this.nameInput.focus();
+                return;
+            }
+            const profile = this.store.create(name, this.selectedColor);
+            this.nameInput.value = '';
+            this.choose(profile.id);
+        });
+
+        this.importBtn.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) this.importFile(file);
+        });
+
+        // Closing without choosing is only possible when someone is already exploring
+        this.closeBtn.addEventListener('click', () => {
+            if (this.store.active) this.hide();
+        });
+
+        // Prevent scroll/wheel events from reaching the 3D scene
+        this.element.addEventListener('wheel', (e) => {
+            e.stopPropagation();
+        }, { passive: true });
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    show() {
+        this.showMessage('');
+        this.render();
+        this.closeBtn.style.display = this.store.active ? 'block' : 'none';
+        this.element.classList.remove('hidden');
+
+        const first = this.list.querySelector('.profile-choose') || this.nameInput;
+        first.focus();
+    }
+
+    hide() {
+        this.element.classList.add('hidden');
+    }
+
+    choose(id) {
+        this.store.switchTo(id);
+        this.hide();
+        if (this.onChoose) this.onChoose(this.store.active);
+    }
+
+    // Stations visited that are still in the registry - the same count the HUD shows
+    visitedCount(profile) {
+        return profile.progress.filter(key => this.stations.getByKey(key)).length;
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        const profiles = [...this.store.list()].sort((a, b) => b.lastActiveAt.localeCompare(a.lastActiveAt));
+
+        profiles.forEach(profile => {
+            const card = document.createElement('div');
+            card.className = 'profile-card';
+            if (profile.id === this.store.data.activeId) card.classList.add('active');
+
+            const choose = document.createElement('button');
+            choose.className = 'profile-choose';
+            choose.innerHTML = `
+                <span class="profile-avatar" style="background:${profile.color}"></span>
+                <span class="profile-info">
+                    <span class="profile-card-name"></span>
+                    <span class="profile-card-progress">${this.visitedCount(profile)} / ${this.totalStations} stations${profile.gifts.length ? ` · ${profile.gifts.length} gifts` : ''}</span>
+                </span>
+            `;
+            choose.querySelector('.profile-avatar').textContent = profile.name.charAt(0).toUpperCase();
+            choose.querySelector('.profile-card-name').textContent = profile.name;
+            choose.addEventListener('click', () => this.choose(profile.id));
+
+            const renameBtn = document.createElement('button');
+            renameBtn.className = 'profile-action';
+            renameBtn.textContent = 'Rename';
+            renameBtn.addEventListener('click', () => this.startRename(card, profile));
+
+            const exportBtn = document.createElement('button');
+            exportBtn.className = 'profile-action';
+            exportBtn.textContent = 'Export';
+            exportBtn.title = 'Download this journey as a file';
+            exportBtn.addEventListener('click', () => this.exportProfile(profile));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'profile-action profile-delete';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                if (window.confirm(`Delete ${profile.name}'s journey? This can't be undone.`)) {
+                    this.store.remove(profile.id);
+                    this.show();
+                }
+            });
+
+            card.append(choose, renameBtn, exportBtn, deleteBtn);
+            this.list.appendChild(card);
+        });
+
+        this.list.style.display = profiles.length ? 'flex' : 'none';
+    }
+
+    showMessage(text, isError = false) {
+        this.message.textContent = text;
+        this.message.classList.toggle('error', isError);
+    }
+
+    async exportProfile(profile) {
+        try {
+            await JourneyFile.download(profile, this.stations);
+            this.showMessage(`${profile.name}'s journey was downloaded.`);
+        } catch (error) {
+            console.error('Journey export failed:', error);
+            this.showMessage('Sorry, the journey could not be exported in this browser.', true);
+        }
+    }
+
+    async importFile(file) {
+        try {
+            const { data, valid } = await JourneyFile.parse(await file.text());
+            if (!valid) {
+                this.showMessage('This journey file has been changed since it was exported, so it can\'t be imported.', true);
+                return;
+            }
+            const profile = this.store.importJourney(data);
+            this.render();
+            this.showMessage(`Imported ${profile.name}'s journey. Choose it above to continue.`);
+        } catch (error) {
+            this.showMessage(error.message, true);
+        }
+    }
+
+    // Swap the card's name for an inline text field
+    startRename(card, profile) {
+        const form = document.createElement('form');
+        form.className = 'profile-rename';
+        const input = document.createElement('input');
+        input.value = profile.name;
+        input.maxLength = 30;
+        input.setAttribute('aria-label', 'New name');
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'profile-action';
+        save.textContent = 'Save';
+        form.append(input, save);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.store.rename(profile.id, input.value);
+            this.render();
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.render();
+            }
+        });
+
+        card.innerHTML = '';
+        card.appendChild(form);
+        input.focus();
+        input.select();
+    }
+}
@@ -0,0 +1,205 @@
+// Student profiles - several learners can share one device (e.g. a classroom Chromebook).
+// Each profile keeps its own progress, Elder visit details, gifts and experience results
+// under one localStorage key, replacing the old global metisPrairieProgress/metisPrairieVisited keys.
+
+const STORAGE_KEY = 'metisPrairieProfiles';
+const SESSION_KEY = 'metisPrairieActiveProfile';
+
+// Pre-1.0 keys, moved into a first profile the first time profiles load
+const LEGACY_PROGRESS_KEY = 'metisPrairieProgress';
+const LEGACY_WELCOME_KEY = 'metisPrairieVisited';
+
+// Avatar colours offered in the picker (Métis flag blue and red first)
+export const AVATAR_COLORS = ['#0055A4', '#CC0000', '#FFD700', '#7CB342', '#ff6600', '#88c0d0', '#cc44ff', '#8b5a2b'];
+
+export class ProfileStore {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.listeners = [];
+        this.data = this.load();
+        this.notified = this.activeState();
+    }
+
+    load() {
+        const saved = this.storage.getItem(STORAGE_KEY);
+        if (saved) {
+            try {
+                const data = JSON.parse(saved);
+                if (Array.isArray(data.profiles)) {
+                    data.profiles.forEach(profile => { profile.visitedAt = profile.visitedAt || {}; });
+                    return data;
+                }
+            } catch (error) {
+                console.warn('Could not read saved profiles, starting fresh:', error);
+            }
+        }
+        return this.migrateLegacy();
+    }
+
+    // Turn progress saved before profiles existed into a profile so nobody loses their journey
+    migrateLegacy() {
+        const data = { version: 1, activeId: null, profiles: [] };
+        const progress = this.storage.getItem(LEGACY_PROGRESS_KEY);
+        const welcomed = this.storage.getItem(LEGACY_WELCOME_KEY);
+
+        if (progress || welcomed) {
+            const profile = ProfileStore.createProfile('Explorer', AVATAR_COLORS[0]);
+            profile.progress = progress ? JSON.parse(progress) : [];
+            profile.welcomed = Boolean(welcomed);
+            data.profiles.push(profile);
+
+            this.storage.removeItem(LEGACY_PROGRESS_KEY);
+            this.storage.removeItem(LEGACY_WELCOME_KEY);
+        }
+
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(data));
+        return data;
+    }
+
+    static createProfile(name, color, id = `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`) {
+        const now = new Date().toISOString();
+        return {
+            id,
+            name,
+            color,
+            createdAt: now,
+            lastActiveAt: now,
+            welcomed: false,
+            progress: [],        // station keys, e.g. "cabin-1", "fire-0"
+            visitedAt: {},       // station key -> when it was first visited
+            visitDetails: {},    // station key -> attempts/hints/solutions for that visit
+            gifts: [],           // Elder gifts received
+            experiences: {}      // experience key -> latest result reported by the experience
+        };
+    }
+
+    save() {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+
+        // Saves that only touch visit details, gifts or another learner don't concern the HUD
+        const state = this.activeState();
+        if (state === this.notified) return;
+        this.notified = state;
+        this.listeners.forEach(listener => listener(this.active));
+    }
+
+    // What listeners show of the active profile: who it is and which stations they've visited
+    activeState() {
+        const profile = this.active;
+        return profile ? JSON.stringify([profile.id, profile.name, profile.color, profile.progress]) : '';
+    }
+
+    // Called with the active profile whenever the active one switches, is renamed or recoloured,
+    // or visits a new station
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    list() {
+        return this.data.profiles;
+    }
+
+    get(id) {
+        return this.data.profiles.find(profile => profile.id === id) || null;
+    }
+
+    get active() {
+        return this.get(this.data.activeId);
+    }
+
+    // The picker only needs to appear once per browser tab; returning from an
+    // experience page keeps the same learner
+    get chosenThisSession() {
+        return window.sessionStorage.getItem(SESSION_KEY) === this.data.activeId && this.active !== null;
+    }
+
+    create(name, color = AVATAR_COLORS[this.data.profiles.length % AVATAR_COLORS.length]) {
+        const profile = ProfileStore.createProfile(ProfileStore.cleanName(name), color);
+        this.data.profiles.push(profile);
+        this.save();
+        return profile;
+    }
+
+    switchTo(id) {
+        const profile = this.get(id);
+        if (!profile) return null;
+
+        profile.lastActiveAt = new Date().toISOString();
+        this.data.activeId = id;
+        window.sessionStorage.setItem(SESSION_KEY, id);
+        this.save();
+        return profile;
+    }
+
+    rename(id, name) {
+        const profile = this.get(id);
+        if (!profile) return;
+        profile.name = ProfileStore.cleanName(name);
+        this.save();
+    }
+
+    setColor(id, color) {
+        const profile = this.get(id);
+        if (!profile) return;
+        profile.color = color;
+        this.save();
+    }
+
+    remove(id) {
+        this.data.profiles = this.data.profiles.filter(profile => profile.id !== id);
+        if (this.data.activeId === id) {
+            this.data.activeId = null;
+            window.sessionStorage.removeItem(SESSION_KEY);
+        }
+        this.save();
+    }
+
+    // Bring in an imported journey (see JourneyFile). The profile it was exported from is merged
+    // rather than overwritten, so moving between school and home never loses a visit; a journey
+    // from elsewhere becomes a new profile under the same id, even if a learner here shares its name.
+    importJourney(journey) {
+        const source = journey.profile || {};
+        const id = typeof source.id === 'string' && source.id ? source.id : undefined;
+        let profile = id ? this.get(id) : null;
+        if (!profile) {
+            profile = ProfileStore.createProfile(ProfileStore.cleanName(source.name), source.color || AVATAR_COLORS[0], id);
+            this.data.profiles.push(profile);
+        }
+
+        journey.progress.forEach(key => {
+            if (!profile.progress.includes(key)) profile.progress.push(key);
+        });
+        Object.entries(journey.visitedAt).forEach(([key, time]) => {
+            // Keep the earliest visit time
+            if (!profile.visitedAt[key] || time < profile.visitedAt[key]) profile.visitedAt[key] = time;
+        });
+        journey.gifts.forEach(gift => {
+            if (!profile.gifts.includes(gift)) profile.gifts.push(gift);
+        });
+
+        // Keep whichever record is newer
+        const newer = (current, incoming, stamp) => !current || (incoming[stamp] || '') > (current[stamp] || '');
+        Object.entries(journey.visitDetails).forEach(([key, details]) => {
+            if (newer(profile.visitDetails[key], details, 'completedAt')) profile.visitDetails[key] = details;
+        });
+        Object.entries(journey.experiences).forEach(([key, result]) => {
+            if (newer(profile.experiences[key], result, 'recordedAt')) profile.experiences[key] = result;
+        });
+
+        if (profile.progress.length > 0) profile.welcomed = true;
+        this.save();
+        return profile;
+    }
+
+    // Change the active profile in place and persist
+    updateActive(mutate) {
+        const profile = this.active;
+        if (!profile) return;
+        mutate(profile);
+        this.save();
+    }
+
+    static cleanName(name) {
+        return (name || '').trim().replace(/\s+/g, ' ').slice(0, 30) || 'Explorer';
+    }
+}
@@ -1,11 +1,18 @@
 import * as THREE from 'three';
-import { fbm, smoothstep } from './Utils.js';
+import { createRandom } from './Utils.js';
+
+const NIGHT_BOOST = 1.5; // Extra intensity for station lights at night (x2.5 in all)
+const NIGHT_REACH = 0.8; // Extra distance they light at night
 
 export class Props {
-    constructor(scene, terrainMesh, config) {
+    constructor(scene, heightfield, config, stations) {
         this.scene = scene;
-        this.terrainMesh = terrainMesh;
+        this.heightfield = heightfield;
         this.config = config;
+        this.stations = stations;
+        // One stream for every builder, so each fire's logs and each fishing spot's catch differ
+        // from the next but are the same on every load
+        this.random = createRandom(config.seed, 'props');
         this.init();
     }
 
@@ -16,69 +23,66 @@ export class Props {
         this.logPileLights = [];
         this.fishingLights = [];
         this.memorialLights = [];
+        this.gardenCrops = []; // { spring, summer, autumn, winter } groups per garden - see setSeason()
+        this.nightBoost = 1; // See setNightLight()
+        // Ground footprints of solid props ({ x, z, radius }) for WalkController
+        this.colliders = [];
 
         // Core structures
         this.createCamp();
-        this.createCabins();
+        // Cabins, fires and cultural sites all come from the station registry
         // Pathways are now painted on terrain (Terrain.js) instead of 3D meshes
-        this.createFireplaces();
-        this.createHerbBundles();
-        this.createLogPiles();
-        this.createFishingSpots();
-        this.createMemorials();
+        this.createStations();
 
         // Métis cultural elements
         const cultural = this.config.cultural || {};
-        if (cultural.includeRedRiverCart !== false) {
-            this.createRedRiverCart();
-        }
         if (cultural.includeCanoe !== false) {
             this.createCanoe();
         }
         if (cultural.includeDryingRacks !== false) {
             this.createDryingRacks();
         }
-        if (cultural.includeGardenPatch !== false) {
-            this.createGardenPatch();
-        }
     }
 
-    // Get terrain height at position
-    getHeight(x, z) {
-        let h = fbm(x * 0.015, z * 0.015, 4) * 6;
-        h += fbm(x * 0.05, z * 0.05, 3) * 1.5;
-        const riverMeander = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5;
-        const riverWidth = 8 + Math.sin(x * 0.02) * 4;
-        const distToRiver = Math.abs(z - riverMeander);
-        const riverFactor = smoothstep(riverWidth * 0.5, riverWidth * 1.5, distToRiver);
-        const riverDepth = -2.5 + smoothstep(0, riverWidth * 0.5, distToRiver) * 1.5;
-        return THREE.MathUtils.lerp(riverDepth, h, riverFactor);
-    }
+    // Build the prop for every registered station, dispatching on its prop kind
+    createStations() {
+        if (!this.stations) return;
 
-    // Cabin positions - exported for use by Terrain.js
-    // River meanders: at x=-60 river is at z≈-14, at x=-20 z≈-8, at x=30 z≈11, at x=80 z≈12, at x=130 z≈-4
-    // Need 25-30 units clearance from river center to avoid water/low terrain
-    static getCabinSettlementPositions() {
-        return [
-            { x: -60, z: 50, rot: 0 },        // River at z≈-14, cabin at z=50 (64 units north of river)
-            { x: -20, z: -70, rot: Math.PI }, // River at z≈-8, cabin at z=-70 (62 units south of river)
-            { x: 30, z: 70, rot: 0 },         // River at z≈11, cabin at z=70 (59 units north of river)
-            { x: 80, z: -70, rot: Math.PI },  // River at z≈12, cabin at z=-70 (82 units south of river)
-            { x: 130, z: 55, rot: -0.2 },     // River at z≈-4, cabin at z=55 (59 units north of river)
-        ];
-    }
+        const cultural = this.config.cultural || {};
+        const builders = {
+            settlement: (s) => this.createSettlement(s.x, s.z, THREE.MathUtils.degToRad(s.rotation || 0), s.id),
+            fireplace: (s, h) => this.createFireplace(s.x, s.z, h),
+            herbBundle: (s, h) => this.createHerbBundle(s.x, s.z, h),
+            logPile: (s, h) => this.createLogPile(s.x, s.z, h),
+            fishingSpot: (s, h) => this.createFishingSpot(s.x, s.z, h),
+            memorial: (s, h) => this.createMemorial(s.x, s.z, h),
+            redRiverCart: (s) => {
+                if (cultural.includeRedRiverCart !== false) {
+                    this.createRedRiverCart(s.x, s.z, THREE.MathUtils.degToRad(s.rotation || 0));
+                }
+            },
+            gardenPatch: (s, h) => {
+                if (cultural.includeGardenPatch !== false) {
+                    this.createGarden(s.x, s.z, h);
+                }
+            },
+        };
 
-    // Create 5 Métis-style log cabins on raised settlement platforms
-    createCabins() {
-        const cabinPositions = Props.getCabinSettlementPositions();
-        cabinPositions.forEach((pos, index) => {
-            this.createSettlement(pos.x, pos.z, pos.rot, index + 1);
+        this.stations.all().forEach(station => {
+            const build = builders[station.prop];
+            if (!build) {
+                console.warn(`Unknown prop kind "${station.prop}" for station ${station.key}`);
+                return;
+            }
+            const h = this.heightfield.getHeight(station.x, station.z);
+            build(station, Math.max(h, 0.5));
         });
     }
 
     // Create a full settlement with raised platform, cabin, and details
     createSettlement(x, z, rotationOffset, cabinNumber) {
         const settlementGroup = new THREE.Group();
+        this.colliders.push({ x, z, radius: 7 }); // Covers the 12 x 10 platform at any rotation
 
         // Fixed platform height - settlements sit at a consistent level above terrain
         const platformHeight = 3.5;
@@ -576,7 +580,8 @@ export class Props {
         // Fire Light
         const fireLight = new THREE.PointLight(0xff6600, 5, 10);
         fireLight.position.set(0, 0.5, 0);
-        fireLight.castShadow = true;
+        // Point light shadows render the scene six times - only on the higher quality presets
+        fireLight.castShadow = this.config.graphics?.fireShadows !== false;
         campGroup.add(fireLight);
         this.fireLight = fireLight;
 
@@ -651,31 +656,7 @@ export class Props {
         this.scene.add(campGroup);
     }
 
-    // Create additional campfires along the pathways near settlements
-    // Static method to get fireplace positions (for minimap)
-    static getFireplacePositions() {
-        return [
-            // Along the main trail between cabins
-            { x: -40, z: 34 },   // Between cabin 1 and 2 trail (moved from z=28 to be more inland)
-            { x: 5, z: 32 },     // Near the camp area (moved from z=26 to be more inland)
-            { x: 55, z: 38 },    // Between cabin 3 and 4 trail (moved from z=30 to be more inland)
-            { x: 105, z: 32 },   // Between cabin 4 and 5 trail
-            // Near south bank cabins (cabins 2 and 4)
-            { x: -25, z: -35 },  // Near cabin 2's path (moved from z=-18 to avoid river)
-            { x: 75, z: -20 },   // Near cabin 4's path
-        ];
-    }
-
-    createFireplaces() {
-        // Position fireplaces along pathways between cabin settlements
-        const fireplacePositions = Props.getFireplacePositions();
-
-        fireplacePositions.forEach(pos => {
-            const h = this.getHeight(pos.x, pos.z);
-            this.createFireplace(pos.x, pos.z, Math.max(h, 0.5));
-        });
-    }
-
+    // Create a campfire along the pathways near settlements
     createFireplace(x, z, terrainHeight) {
         const group = new THREE.Group();
 
@@ -716,56 +697,6 @@ export class Props {
         this.scene.add(group);
     }
 
-    // Static method to get herb bundle positions (for minimap)
-    static getHerbBundlePositions() {
-        return [
-            { x: -95, z: 45 },   // Left of cabin 1 - The Medicine Garden
-        ];
-    }
-
-    // Static method to get log pile positions (for minimap)
-    static getLogPilePositions() {
-        return [
-            { x: 115, z: -65 },   // Right of cabin 4 - Architecture Experience
-        ];
-    }
-
-    // Static method to get garden patch positions (for minimap)
-    static getGardenPositions() {
-        return [
-            { x: -55, z: 40 },   // Near cabin 1 - River Lot Farming
-        ];
-    }
-
-    // Static method to get Red River cart positions (for minimap)
-    static getCartPositions() {
-        return [
-            { x: 30, z: 48 },   // Near cabin 3 - Red River Cart Experience
-        ];
-    }
-
-    // Static method to get fishing spot positions (for minimap)
-    static getFishingPositions() {
-        return [
-            { x: 50, z: -50 },   // Left of cabin 4 - Fishing Experience
-        ];
-    }
-
-    // Static method to get memorial positions (for minimap)
-    static getMemorialPositions() {
-        return [
-            { x: -80, z: -60 },   // Quiet area - Remembering & Resilience
-        ];
-    }
-
-    createHerbBundles() {
-        const herbPositions = Props.getHerbBundlePositions();
-        herbPositions.forEach(pos => {
-            const h = this.getHeight(pos.x, pos.z);
-            this.createHerbBundle(pos.x, pos.z, Math.max(h, 0.5));
-        });
-    }
-
     createHerbBundle(x, z, terrainHeight) {
         const group = new THREE.Group();
         const h = Math.max(terrainHeight, 0.5);
@@ -833,7 +764,7 @@ export class Props {
                     mat
                 );
                 stem.position.set((j - 1) * 0.05, 0.25, 0);
-                stem.rotation.z = (Math.random() - 0.5) * 0.3;
+                stem.rotation.z = (this.random() - 0.5) * 0.3;
                 bundleGroup.add(stem);
             }
 
@@ -848,11 +779,11 @@ export class Props {
             const angle = (i / 5) * Math.PI * 0.6 - 0.3;
             bundleGroup.position.set(
                 Math.cos(angle) * 0.4,
-                0.7 + Math.random() * 0.2,
+                0.7 + this.random() * 0.2,
                 0.3 + Math.sin(angle) * 0.3
             );
-            bundleGroup.rotation.x = -0.3 + Math.random() * 0.2;
-            bundleGroup.rotation.z = (Math.random() - 0.5) * 0.5;
+            bundleGroup.rotation.x = -0.3 + this.random() * 0.2;
+            bundleGroup.rotation.z = (this.random() - 0.5) * 0.5;
             group.add(bundleGroup);
         }
 
@@ -863,12 +794,12 @@ export class Props {
                 roughness: 0.95
             });
             const scatter = new THREE.Mesh(
-                new THREE.SphereGeometry(0.08 + Math.random() * 0.05, 5, 3),
+                new THREE.SphereGeometry(0.08 + this.random() * 0.05, 5, 3),
                 scatterMat
             );
             scatter.scale.set(1, 0.4, 1);
             const angle = (i / 8) * Math.PI * 2;
-            const dist = 0.8 + Math.random() * 0.4;
+            const dist = 0.8 + this.random() * 0.4;
             scatter.position.set(
                 Math.cos(angle) * dist,
                 0.05,
@@ -894,9 +825,9 @@ export class Props {
         const particleCount = 20;
         const positions = new Float32Array(particleCount * 3);
         for (let i = 0; i < particleCount; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 2;
-            positions[i * 3 + 1] = Math.random() * 2;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 2;
+            positions[i * 3] = (this.random() - 0.5) * 2;
+            positions[i * 3 + 1] = this.random() * 2;
+            positions[i * 3 + 2] = (this.random() - 0.5) * 2;
         }
         particleGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         const particleMat = new THREE.PointsMaterial({
@@ -949,16 +880,9 @@ export class Props {
         this.scene.add(group);
     }
 
-    createLogPiles() {
-        const logPilePositions = Props.getLogPilePositions();
-        logPilePositions.forEach(pos => {
-            const h = this.getHeight(pos.x, pos.z);
-            this.createLogPile(pos.x, pos.z, Math.max(h, 0.5));
-        });
-    }
-
     createLogPile(x, z, terrainHeight) {
         const group = new THREE.Group();
+        this.colliders.push({ x, z, radius: 3 });
         const h = Math.max(terrainHeight, 0.5);
 
         // Materials
@@ -1184,14 +1108,6 @@ export class Props {
         this.scene.add(group);
     }
 
-    createFishingSpots() {
-        const fishingPositions = Props.getFishingPositions();
-        fishingPositions.forEach(pos => {
-            const h = this.getHeight(pos.x, pos.z);
-            this.createFishingSpot(pos.x, pos.z, Math.max(h, 0.5));
-        });
-    }
-
     createFishingSpot(x, z, terrainHeight) {
         const group = new THREE.Group();
         const h = Math.max(terrainHeight, 0.5);
@@ -1272,8 +1188,8 @@ export class Props {
             fishGroup.add(string);
 
             fishGroup.position.set(-1.2 + i * 0.5, 1.85, 0);
-            fishGroup.rotation.x = Math.PI / 2 + (Math.random() - 0.5) * 0.2;
-            fishGroup.rotation.z = (Math.random() - 0.5) * 0.3;
+            fishGroup.rotation.x = Math.PI / 2 + (this.random() - 0.5) * 0.2;
+            fishGroup.rotation.z = (this.random() - 0.5) * 0.3;
             rackGroup.add(fishGroup);
         }
 
@@ -1286,29 +1202,29 @@ export class Props {
             const fishGroup = new THREE.Group();
 
             // Fish body
-            const bodyGeo = new THREE.SphereGeometry(0.12 + Math.random() * 0.08, 8, 6);
-            const body = new THREE.Mesh(bodyGeo, Math.random() > 0.5 ? fishMat : silverFishMat);
-            body.scale.set(1, 0.4, 2.2 + Math.random() * 0.5);
+            const bodyGeo = new THREE.SphereGeometry(0.12 + this.random() * 0.08, 8, 6);
+            const body = new THREE.Mesh(bodyGeo, this.random() > 0.5 ? fishMat : silverFishMat);
+            body.scale.set(1, 0.4, 2.2 + this.random() * 0.5);
             fishGroup.add(body);
 
             // Tail fin
             const tailGeo = new THREE.ConeGeometry(0.08, 0.2, 4);
-            const tail = new THREE.Mesh(tailGeo, Math.random() > 0.5 ? fishMat : silverFishMat);
+            const tail = new THREE.Mesh(tailGeo, this.random() > 0.5 ? fishMat : silverFishMat);
             tail.rotation.x = Math.PI / 2;
             tail.position.z = 0.28;
             fishGroup.add(tail);
 
             // Random position in pile
             const angle = (i / 8) * Math.PI * 2;
-            const dist = 0.3 + Math.random() * 0.4;
+            const dist = 0.3 + this.random() * 0.4;
             fishGroup.position.set(
                 Math.cos(angle) * dist + 1.5,
                 0.1 + (i % 3) * 0.08,
                 Math.sin(angle) * dist
             );
-            fishGroup.rotation.x = (Math.random() - 0.5) * 0.5;
-            fishGroup.rotation.y = Math.random() * Math.PI * 2;
-            fishGroup.rotation.z = (Math.random() - 0.5) * 0.4;
+            fishGroup.rotation.x = (this.random() - 0.5) * 0.5;
+            fishGroup.rotation.y = this.random() * Math.PI * 2;
+            fishGroup.rotation.z = (this.random() - 0.5) * 0.4;
             pileGroup.add(fishGroup);
         }
 
@@ -1416,14 +1332,6 @@ export class Props {
         this.scene.add(group);
     }
 
-    createMemorials() {
-        const memorialPositions = Props.getMemorialPositions();
-        memorialPositions.forEach(pos => {
-            const h = this.getHeight(pos.x, pos.z);
-            this.createMemorial(pos.x, pos.z, Math.max(h, 0.5));
-        });
-    }
-
     createMemorial(x, z, terrainHeight) {
         const group = new THREE.Group();
         const h = Math.max(terrainHeight, 0.5);
@@ -1455,20 +1363,20 @@ export class Props {
         // Smaller surrounding stones (memorial circle)
         for (let i = 0; i < 7; i++) {
             const angle = (i / 7) * Math.PI * 2;
-            const dist = 2.5 + Math.random() * 0.5;
+            const dist = 2.5 + this.random() * 0.5;
             const stoneGeo = new THREE.BoxGeometry(
-                0.3 + Math.random() * 0.3,
-                0.4 + Math.random() * 0.6,
-                0.2 + Math.random() * 0.2
+                0.3 + this.random() * 0.3,
+                0.4 + this.random() * 0.6,
+                0.2 + this.random() * 0.2
             );
-            const stone = new THREE.Mesh(stoneGeo, Math.random() > 0.5 ? stoneMat : darkStoneMat);
+            const stone = new THREE.Mesh(stoneGeo, this.random() > 0.5 ? stoneMat : darkStoneMat);
             stone.position.set(
                 Math.cos(angle) * dist,
-                0.2 + Math.random() * 0.15,
+                0.2 + this.random() * 0.15,
                 Math.sin(angle) * dist
             );
-            stone.rotation.y = Math.random() * Math.PI;
-            stone.rotation.z = (Math.random() - 0.5) * 0.2;
+            stone.rotation.y = this.random() * Math.PI;
+            stone.rotation.z = (this.random() - 0.5) * 0.2;
             group.add(stone);
         }
 
@@ -1578,6 +1486,22 @@ export class Props {
         }
     }
 
+    // Restore the glow (e.g. when switching to a learner who hasn't visited this cabin)
+    resetCabinVisited(cabinNumber) {
+        if (!this.cabinNumbers) return;
+
+        const numberGroup = this.cabinNumbers.find(
+            ng => ng.userData.cabinNumber === cabinNumber
+        );
+
+        if (numberGroup && numberGroup.userData.visited) {
+            numberGroup.userData.visited = false;
+            numberGroup.userData.orb.material.color.setHex(0xffaa44);
+            numberGroup.userData.numberPlane.material.opacity = 1;
+            // Light, orb opacity and glow ring pulse again in update()
+        }
+    }
+
     // Check if cabin has been visited
     isCabinVisited(cabinNumber) {
         if (!this.cabinNumbers) return false;
@@ -1589,7 +1513,7 @@ export class Props {
 
     // === MÉTIS CULTURAL ELEMENTS ===
 
-    createRedRiverCart() {
+    createRedRiverCart(x, z, rotation) {
         // Iconic Red River cart - positioned near cabin 3 on the trail
         const cartGroup = new THREE.Group();
 
@@ -1734,12 +1658,9 @@ export class Props {
         sash.rotation.z = 0.15;
         cartGroup.add(sash);
 
-        // Position cart near cabin 3 (x=30, z=55) on higher ground
-        // Place it along the path leading to cabin 3
-        const cartX = 30;
-        const cartZ = 48; // Between cabin 3 and the main trail
-        cartGroup.position.set(cartX, 0, cartZ);
-        cartGroup.rotation.y = -0.2;
+        // Position cart at its registry location (along the path leading to cabin 3)
+        cartGroup.position.set(x, 0, z);
+        cartGroup.rotation.y = rotation;
 
         this.scene.add(cartGroup);
     }
@@ -1807,13 +1728,15 @@ export class Props {
         const riverMeander = Math.sin(canoeX * 0.03) * 12 + Math.sin(canoeX * 0.01) * 5;
         const riverWidth = 8 + Math.sin(canoeX * 0.02) * 4;
         const canoeZ = riverMeander - riverWidth - 2;
-        const h = this.getHeight(canoeX, canoeZ);
+        const h = this.heightfield.getHeight(canoeX, canoeZ);
 
         canoeGroup.position.set(canoeX, Math.max(h, -0.3), canoeZ);
         canoeGroup.rotation.y = 0.5;
         canoeGroup.rotation.x = 0.1; // Tilted slightly
 
         this.scene.add(canoeGroup);
+        // World launches canoe mode from here (see BoatController)
+        this.canoe = canoeGroup;
     }
 
     createDryingRacks() {
@@ -1872,29 +1795,19 @@ export class Props {
         const riverMeander = Math.sin(rackX * 0.03) * 12 + Math.sin(rackX * 0.01) * 5;
         const riverWidth = 8 + Math.sin(rackX * 0.02) * 4;
         const rackZ = riverMeander + riverWidth + 4;
-        const h = this.getHeight(rackX, rackZ);
+        const h = this.heightfield.getHeight(rackX, rackZ);
 
         rackGroup.position.set(rackX, Math.max(h, 0.2), rackZ);
 
         this.scene.add(rackGroup);
     }
 
-    createGardenPatch() {
-        // Get garden positions and create each one
-        const gardenPositions = Props.getGardenPositions();
-        gardenPositions.forEach(pos => {
-            const h = this.getHeight(pos.x, pos.z);
-            this.createGarden(pos.x, pos.z, Math.max(h, 0.5));
-        });
-    }
-
     createGarden(x, z, terrainHeight) {
         // Small garden patch with vegetables/plants
         const gardenGroup = new THREE.Group();
         const h = Math.max(terrainHeight, 0.5);
 
         const dirtMat = new THREE.MeshStandardMaterial({ color: 0x4a3a2a, roughness: 1.0 });
-        const plantMat = new THREE.MeshStandardMaterial({ color: 0x3a6a2a, roughness: 0.8 });
 
         // Garden bed
         const bedGeo = new THREE.BoxGeometry(6, 0.15, 4);
@@ -1908,19 +1821,13 @@ export class Props {
             const row = new THREE.Mesh(rowGeo, dirtMat);
             row.position.set(0, 0.15, i);
             gardenGroup.add(row);
-
-            // Plants on each row
-            for (let j = -2; j <= 2; j += 0.6) {
-                const plant = new THREE.Mesh(
-                    new THREE.SphereGeometry(0.15, 6, 4),
-                    plantMat
-                );
-                plant.scale.set(1, 0.7, 1);
-                plant.position.set(j, 0.35, i);
-                gardenGroup.add(plant);
-            }
         }
 
+        // What's growing on the rows changes with the season
+        const crops = this.createGardenCrops();
+        Object.values(crops).forEach(group => gardenGroup.add(group));
+        this.gardenCrops.push(crops);
+
         // Fence posts around garden
         const postGeo = new THREE.CylinderGeometry(0.04, 0.05, 0.8, 6);
         const postMat = new THREE.MeshStandardMaterial({ color: 0x6b4423 });
@@ -2015,20 +1922,121 @@ export class Props {
         this.scene.add(gardenGroup);
     }
 
+    // After dark the fires, herb bundles and memorial candles become the prairie's light: brighter
+    // and reaching further. night is 0 by day and 1 at night (see Lighting.setSun).
+    // The garden's rows through the year: seedlings at planting time, full plants in summer,
+    // the harvest in autumn and the bed under snow in winter. Only summer is shown until
+    // setSeason() is called.
+    createGardenCrops() {
+        const rows = [-1.5, -0.5, 0.5, 1.5];
+        const crops = {
+            spring: new THREE.Group(),
+            summer: new THREE.Group(),
+            autumn: new THREE.Group(),
+            winter: new THREE.Group()
+        };
+
+        // Spring - seedlings just up in the fresh rows
+        const sproutGeo = new THREE.ConeGeometry(0.05, 0.18, 5);
+        const sproutMat = new THREE.MeshStandardMaterial({ color: 0x6a9a3a, roughness: 0.8 });
+        rows.forEach(i => {
+            for (let j = -2.2; j <= 2.2; j += 0.3) {
+                const sprout = new THREE.Mesh(sproutGeo, sproutMat);
+                sprout.position.set(j, 0.33, i);
+                crops.spring.add(sprout);
+            }
+        });
+
+        // Summer - leafy plants along each row
+        const plantMat = new THREE.MeshStandardMaterial({ color: 0x3a6a2a, roughness: 0.8 });
+        rows.forEach(i => {
+            for (let j = -2; j <= 2; j += 0.6) {
+                const plant = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.15, 6, 4),
+                    plantMat
+                );
+                plant.scale.set(1, 0.7, 1);
+                plant.position.set(j, 0.35, i);
+                crops.summer.add(plant);
+            }
+        });
+
+        // Autumn - the first rows dug, potatoes piled at their ends; barley stooked by the fence
+        const witheredMat = new THREE.MeshStandardMaterial({ color: 0x7a6a30, roughness: 0.9 });
+        const potatoGeo = new THREE.SphereGeometry(0.1, 6, 4);
+        const potatoMat = new THREE.MeshStandardMaterial({ color: 0x9a7a4a, roughness: 1.0 });
+        rows.forEach((i, row) => {
+            if (row < 2) {
+                for (let p = 0; p < 6; p++) {
+                    const potato = new THREE.Mesh(potatoGeo, potatoMat);
+                    potato.position.set(2.4 + (p % 3) * 0.15, 0.3 + Math.floor(p / 3) * 0.12, i + (p % 2) * 0.1 - 0.05);
+                    crops.autumn.add(potato);
+                }
+                return;
+            }
+            for (let j = -2; j <= 2; j += 0.6) {
+                const plant = new THREE.Mesh(new THREE.SphereGeometry(0.15, 6, 4), witheredMat);
+                plant.scale.set(1.1, 0.4, 1.1);
+                plant.position.set(j, 0.3, i);
+                crops.autumn.add(plant);
+            }
+        });
+        const sheafGeo = new THREE.ConeGeometry(0.25, 0.9, 8);
+        const sheafMat = new THREE.MeshStandardMaterial({ color: 0xc8a040, roughness: 0.9 });
+        [-1.8, -1.1].forEach(x => {
+            const sheaf = new THREE.Mesh(sheafGeo, sheafMat);
+            sheaf.position.set(x, 0.5, -2.7);
+            sheaf.castShadow = true;
+            crops.autumn.add(sheaf);
+        });
+
+        // Winter - the bed rests under the snow
+        const snow = new THREE.Mesh(
+            new THREE.BoxGeometry(6.1, 0.4, 4.1),
+            new THREE.MeshStandardMaterial({ color: 0xeef3f8, roughness: 0.95 })
+        );
+        snow.position.y = 0.1;
+        snow.receiveShadow = true;
+        crops.winter.add(snow);
+
+        crops.spring.visible = false;
+        crops.autumn.visible = false;
+        crops.winter.visible = false;
+        return crops;
+    }
+
+    // Time of year (a Seasons name) - swaps the garden's crops
+    setSeason(season) {
+        this.gardenCrops.forEach(crops => {
+            Object.entries(crops).forEach(([name, group]) => {
+                group.visible = name === season;
+            });
+        });
+    }
+
+    setNightLight(night) {
+        this.nightBoost = 1 + night * NIGHT_BOOST;
+        const lights = [this.fireLight, ...this.fireLights, ...this.herbLights.map(herb => herb.light), ...this.memorialLights];
+        lights.filter(Boolean).forEach(light => {
+            if (light.userData.baseDistance === undefined) light.userData.baseDistance = light.distance;
+            light.distance = light.userData.baseDistance * (1 + night * NIGHT_REACH);
+        });
+    }
+
     update(time, camera) {
         // Animate main fire
         if (this.fireLight) {
-            this.fireLight.intensity = 5 + Math.sin(time * 10) * 2 + Math.cos(time * 23) * 1;
+            this.fireLight.intensity = (5 + Math.sin(time * 10) * 2 + Math.cos(time * 23) * 1) * this.nightBoost;
         }
 
         // Animate all fireplace lights
         this.fireLights.forEach((light, i) => {
-            light.intensity = 3 + Math.sin(time * 8 + i) * 1.5 + Math.cos(time * 15 + i * 2) * 0.8;
+            light.intensity = (3 + Math.sin(time * 8 + i) * 1.5 + Math.cos(time * 15 + i * 2) * 0.8) * this.nightBoost;
         });
 
         // Animate herb bundle lights and particles
         this.herbLights.forEach((herbData, i) => {
-            herbData.light.intensity = 4 + Math.sin(time * 2 + i) * 1.5;
+            herbData.light.intensity = (4 + Math.sin(time * 2 + i) * 1.5) * this.nightBoost;
             if (herbData.particles) {
                 herbData.particles.rotation.y = time * 0.3;
                 // Make particles float up and down
@@ -2052,7 +2060,7 @@ export class Props {
 
         // Animate memorial lights (gentle flickering candle effect)
         this.memorialLights.forEach((light, i) => {
-            light.intensity = 3 + Math.sin(time * 3 + i) * 0.8 + Math.cos(time * 7 + i) * 0.4;
+            light.intensity = (3 + Math.sin(time * 3 + i) * 0.8 + Math.cos(time * 7 + i) * 0.4) * this.nightBoost;
         });
 
         // Make floating numbers always face camera (billboard effect)
@@ -0,0 +1,244 @@
+// SCORM runtime adapter - reports progress to an LMS (Moodle, Brightspace...) when the prairie is
+// launched from a SCORM package (see tools/build-scorm.mjs). Finds a SCORM 2004 (API_1484_11) or
+// SCORM 1.2 (API) object in a parent frame or opener; outside an LMS it finds neither and does nothing.
+// Try it locally with tools/scorm-stub.html.
+
+// Names of the data model elements in each SCORM version
+const ELEMENTS = {
+    '1.2': {
+        learnerId: 'cmi.core.student_id',
+        learnerName: 'cmi.core.student_name',
+        status: 'cmi.core.lesson_status',
+        scoreRaw: 'cmi.core.score.raw',
+        scoreMin: 'cmi.core.score.min',
+        scoreMax: 'cmi.core.score.max',
+        sessionTime: 'cmi.core.session_time',
+        exit: 'cmi.core.exit',
+        suspendData: 'cmi.suspend_data',
+        response: 'student_response',
+        wrong: 'wrong'
+    },
+    '2004': {
+        learnerId: 'cmi.learner_id',
+        learnerName: 'cmi.learner_name',
+        status: 'cmi.completion_status',
+        scoreRaw: 'cmi.score.raw',
+        scoreMin: 'cmi.score.min',
+        scoreMax: 'cmi.score.max',
+        sessionTime: 'cmi.session_time',
+        exit: 'cmi.exit',
+        suspendData: 'cmi.suspend_data',
+        response: 'learner_response',
+        wrong: 'incorrect'
+    }
+};
+
+// Walk up the frame tree (and then the opener's) looking for the LMS API, as the SCORM spec describes
+function findApi(win) {
+    for (let current = win, depth = 0; current && depth < 10; depth++) {
+        try {
+            if (current.API_1484_11) return { api: current.API_1484_11, version: '2004' };
+            if (current.API) return { api: current.API, version: '1.2' };
+        } catch (error) {
+            // Cross-origin frame - keep looking further up
+        }
+        if (current.parent && current.parent !== current) {
+            current = current.parent;
+        } else if (current.opener && current.opener !== current) {
+            current = current.opener;
+        } else {
+            break;
+        }
+    }
+    return null;
+}
+
+// When this launch's session started, kept across the pages of an experience (see handOff)
+const STARTED_KEY = 'metisPrairieScormStarted';
+
+function pad(n, width = 2) {
+    return String(n).padStart(width, '0');
+}
+
+export class ScormAdapter {
+    constructor(win = window) {
+        const found = findApi(win);
+        this.api = found ? found.api : null;
+        this.version = found ? found.version : null;
+        this.elements = found ? ELEMENTS[found.version] : null;
+        this.active = false;
+        this.completed = false;
+        this.handingOff = false;
+        this.startedAt = Date.now();
+    }
+
+    // Begin the LMS session, or pick it up again when the student comes back from an experience
+    // page in the same launch (the LMS's API lives on in the parent frame). Returns false (and
+    // stays inactive) when there is no LMS.
+    initialize() {
+        if (!this.api) return false;
+        if (this.call('Initialize', '') === 'true') {
+            this.active = true;
+            sessionStorage.setItem(STARTED_KEY, String(this.startedAt));
+        } else {
+            // Already initialized: reading works if the session is still open
+            this.get(this.elements.learnerName);
+            this.active = this.call('GetLastError') === '0';
+            this.startedAt = Number(sessionStorage.getItem(STARTED_KEY)) || this.startedAt;
+        }
+        if (!this.active) {
+            console.warn('SCORM: the LMS refused to start a session', this.lastError());
+            return false;
+        }
+
+        const status = this.get(this.elements.status);
+        this.completed = status === 'completed' || status === 'passed';
+        if (!this.completed) {
+            this.set(this.elements.status, 'incomplete');
+        }
+        // Keep the attempt open between sessions so suspend_data comes back next launch
+        this.set(this.elements.exit, 'suspend');
+        this.commit();
+
+        // Leaving for an experience or into the back/forward cache only saves; the session ends
+        // when the prairie is really closed
+        window.addEventListener('pagehide', (e) => {
+            if (e.persisted || this.handingOff) {
+                this.commit();
+            } else {
+                this.terminate();
+            }
+        });
+        window.addEventListener('pageshow', () => { this.handingOff = false; });
+        return true;
+    }
+
+    // The student is opening an experience page in this tab: keep the session open for their return
+    handOff() {
+        this.handingOff = true;
+    }
+
+    // SCORM 1.2 and 2004 spell the API methods differently (LMSInitialize vs Initialize)
+    call(method, ...args) {
+        const name = this.version === '1.2' ? `LMS${method === 'Terminate' ? 'Finish' : method}` : method;
+        return String(this.api[name](...args));
+    }
+
+    get(element) {
+        return this.call('GetValue', element);
+    }
+
+    set(element, value) {
+        if (this.call('SetValue', element, String(value)) !== 'true') {
+            console.warn(`SCORM: could not set ${element}`, this.lastError());
+        }
+    }
+
+    commit() {
+        if (this.active) this.call('Commit', '');
+    }
+
+    lastError() {
+        const code = this.call('GetLastError');
+        return `${code} ${this.call('GetErrorString', code)}`;
+    }
+
+    // The LMS's id for the learner, the same on every device they launch from
+    get learnerId() {
+        return this.active ? this.get(this.elements.learnerId) : '';
+    }
+
+    // 1.2 uses "Last, First"; profiles read better as "First Last"
+    get learnerName() {
+        if (!this.active) return '';
+        const name = this.get(this.elements.learnerName);
+        const [last, first] = name.split(',').map(part => part.trim());
+        return first ? `${first} ${last}` : name;
+    }
+
+    // Progress saved in the LMS by an earlier session: { progress: [...keys], gifts: [...] }
+    get suspendData() {
+        if (!this.active) return null;
+        try {
+            return JSON.parse(this.get(this.elements.suspendData) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Called from updateProgressUI with the station keys visited so far
+    setProgress(visitedKeys, total, gifts = []) {
+        if (!this.active) return;
+        this.set(this.elements.suspendData, JSON.stringify({ progress: visitedKeys, gifts }));
+        if (this.version === '2004') {
+            this.set('cmi.progress_measure', Math.min(1, visitedKeys.length / total).toFixed(2));
+        }
+        if (!this.completed) this.set(this.elements.status, 'incomplete');
+        this.commit();
+    }
+
+    // One Elder answer -> one interaction record
+    recordInteraction(stationKey, question, { response, correct }) {
+        if (!this.active) return;
+        const n = Number(this.get('cmi.interactions._count')) || 0;
+        const prefix = `cmi.interactions.${n}`;
+        // 1.2 choice responses must be single-letter option codes, so every answer goes in as fill-in text there
+        const type = question.mode === 'choice' && this.version === '2004' ? 'choice' : 'fill-in';
+
+        this.set(`${prefix}.id`, `${stationKey}-${question.id}`);
+        this.set(`${prefix}.type`, type);
+        this.set(`${prefix}.${this.elements.response}`, this.formatResponse(response, type));
+        this.set(`${prefix}.result`, correct ? 'correct' : this.elements.wrong);
+        if (this.version === '2004') {
+            this.set(`${prefix}.description`, `${question.label} ${question.question}`.slice(0, 250));
+            this.set(`${prefix}.timestamp`, new Date().toISOString().slice(0, 19));
+        } else {
+            const now = new Date();
+            this.set(`${prefix}.time`, `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`);
+        }
+    }
+
+    // 2004 choice responses are option identifiers (no spaces); fill-in is free text
+    formatResponse(response, type) {
+        const text = String(response).trim();
+        if (type === 'choice') return text.replace(/[^\w.-]+/g, '_').slice(0, 250);
+        return text.slice(0, this.version === '2004' ? 250 : 255);
+    }
+
+    // Score = share of Elder questions answered right on the first try, out of 100
+    setScore(percent) {
+        if (!this.active) return;
+        this.set(this.elements.scoreMin, 0);
+        this.set(this.elements.scoreMax, 100);
+        this.set(this.elements.scoreRaw, Math.round(percent));
+        if (this.version === '2004') this.set('cmi.score.scaled', (percent / 100).toFixed(2));
+        this.commit();
+    }
+
+    // Every station visited
+    complete() {
+        if (!this.active) return;
+        this.completed = true;
+        this.set(this.elements.status, 'completed');
+        if (this.version === '2004') {
+            this.set('cmi.progress_measure', '1');
+            this.set('cmi.success_status', 'passed');
+        }
+        this.commit();
+    }
+
+    terminate() {
+        if (!this.active) return;
+        this.set(this.elements.sessionTime, this.formatSessionTime((Date.now() - this.startedAt) / 1000));
+        this.commit();
+        this.call('Terminate', '');
+        this.active = false;
+    }
+
+    // 1.2: HHHH:MM:SS, 2004: ISO 8601 duration
+    formatSessionTime(seconds) {
+        const s = Math.round(seconds);
+        if (this.version === '2004') return `PT${s}S`;
+        return `${pad(Math.floor(s / 3600), 4)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`;
+    }
+}
@@ -0,0 +1,117 @@
+// Seasons - the prairie's time of year. Each season is a look (below) that World hands to
+// Vegetation (grass and leaf colours, bare trees), Terrain (snow cover, the frozen river) and
+// Props (the garden through planting and harvest); stations with seasonal notes in stations.json
+// add the one for the season to their popup. The season set in CONFIG.seasons stays put, or
+// moves on every few days of the world clock; teachers can change it from the time controls.
+
+export const SEASON_NAMES = ['spring', 'summer', 'autumn', 'winter'];
+
+// grassColor/leafColor are blended over each blade's and crown's own colour by grassMix/leafMix;
+// groundTint multiplies the terrain colours and snow (0-1) covers them.
+export const SEASONS = {
+    spring: {
+        label: 'Spring',
+        icon: '🌱',
+        grassColor: 0x4a7a16, grassMix: 0.4,      // Fresh new growth
+        shortGrass: true,
+        leaves: true,
+        leafColor: 0x4a7a22, leafMix: 0.5,        // Bright new leaves
+        poplarColor: 0x52783a,
+        bushColor: 0x3f6a32,
+        groundTint: 0xe8fff0,
+        snow: 0,
+        ice: 0
+    },
+    summer: {
+        label: 'Summer',
+        icon: '☀️',
+        grassColor: 0xffffff, grassMix: 0,        // The prairie's own colours
+        shortGrass: true,
+        leaves: true,
+        leafColor: 0xffffff, leafMix: 0,
+        poplarColor: null,                        // CONFIG.vegetation.poplarColor
+        bushColor: null,                          // CONFIG.vegetation.berryBushColor
+        groundTint: 0xffffff,
+        snow: 0,
+        ice: 0
+    },
+    autumn: {
+        label: 'Autumn',
+        icon: '🍂',
+        grassColor: 0x8a6a2a, grassMix: 0.6,      // Cured, golden grass
+        shortGrass: true,
+        leaves: true,
+        leafColor: 0xa4520e, leafMix: 0.85,       // Orange and rust
+        poplarColor: 0xc8961a,                    // Poplar gold
+        bushColor: 0x7a3020,
+        groundTint: 0xfff0d0,
+        snow: 0,
+        ice: 0
+    },
+    winter: {
+        label: 'Winter',
+        icon: '❄️',
+        grassColor: 0x9a8a62, grassMix: 0.8,      // Straw poking through the snow
+        shortGrass: false,                        // Short grass is under the snow
+        leaves: false,                            // Poplars, willows and the leafy trees stand bare
+        leafColor: 0xffffff, leafMix: 0,
+        poplarColor: null,
+        bushColor: 0x5a4638,
+        groundTint: 0xffffff,
+        snow: 1,
+        ice: 1
+    }
+};
+
+export class Seasons {
+    constructor(config = {}) {
+        const season = config.season === 'calendar' ? Seasons.fromDate() : config.season;
+        this.current = SEASONS[season] ? season : 'summer';
+        this.daysPerSeason = config.daysPerSeason || 0;
+        this.day = 0;
+        this.startSeason = this.current;
+        this.startDay = 0;
+        this.listeners = [];
+    }
+
+    get look() {
+        return SEASONS[this.current];
+    }
+
+    // Call with the world clock's day count; moves on every daysPerSeason days (0 = never)
+    update(day) {
+        this.day = day;
+        if (!this.daysPerSeason) return;
+        const passed = Math.floor((day - this.startDay) / this.daysPerSeason);
+        const index = (SEASON_NAMES.indexOf(this.startSeason) + passed) % SEASON_NAMES.length;
+        this.change(SEASON_NAMES[index]);
+    }
+
+    // Jump to a season (the cycle carries on from here)
+    set(season) {
+        if (!SEASONS[season]) return;
+        this.startSeason = season;
+        this.startDay = this.day;
+        this.change(season);
+    }
+
+    change(season) {
+        if (season === this.current) return;
+        this.current = season;
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Called whenever the season changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // The season of a date in the northern prairies (spring from March, summer from June...)
+    static fromDate(date = new Date()) {
+        const month = date.getMonth();
+        if (month >= 2 && month <= 4) return 'spring';
+        if (month >= 5 && month <= 7) return 'summer';
+        if (month >= 8 && month <= 10) return 'autumn';
+        return 'winter';
+    }
+}
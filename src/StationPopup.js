@@ -0,0 +1,391 @@
+// Station popup - one reusable overlay for every non-cabin station (fires, herbs, memorial...).
+// Look and feel comes from a theme; per-station behaviour comes from optional hooks:
+//   onOpen(station, popup)    - adjust content before the popup is shown
+//   onExplore(station, popup) - return false to cancel the default "mark visited and navigate"
+//   onClose(station, popup)   - runs whenever the popup closes
+// A "station" without a url but with an onExplore hook is an action popup (e.g. taking the canoe):
+// the button runs the hook and closes the popup.
+
+// Colour themes, keyed by the "theme" of a station type in stations.json
+export const POPUP_THEMES = {
+    fire: {
+        icon: '🔥',
+        iconAnimation: 'flicker 1.5s ease-in-out infinite',
+        backdrop: 'rgba(0,0,0,0.8)',
+        blur: '10px',
+        background: 'linear-gradient(135deg, #2a1a0a 0%, #1a0f05 100%)',
+        border: '#ff6600',
+        glow: 'rgba(255, 102, 0, 0.3)',
+        title: '#FFD700',
+        subtitle: '#c9a86c',
+        text: '#e0d0c0',
+        button: 'linear-gradient(135deg, #ff6600 0%, #cc4400 100%)',
+        buttonHover: 'linear-gradient(135deg, #ff8833 0%, #ff5500 100%)',
+        buttonShadow: 'rgba(255, 102, 0, 0.4)',
+    },
+    herb: {
+        icon: '🌿',
+        iconAnimation: 'herbFloat 3s ease-in-out infinite',
+        backdrop: 'rgba(0,0,0,0.85)',
+        blur: '12px',
+        background: 'linear-gradient(135deg, #0a1a10 0%, #051510 100%)',
+        border: '#a3be8c',
+        glow: 'rgba(163, 190, 140, 0.3)',
+        title: '#a3be8c',
+        subtitle: '#88c0d0',
+        text: '#c0d0c0',
+        button: 'linear-gradient(135deg, #5f8a5f 0%, #3d6a3d 100%)',
+        buttonHover: 'linear-gradient(135deg, #7aa07a 0%, #5f8a5f 100%)',
+        buttonShadow: 'rgba(163, 190, 140, 0.4)',
+    },
+    logpile: {
+        icon: '🪵',
+        iconAnimation: 'none',
+        backdrop: 'rgba(0,0,0,0.85)',
+        blur: '12px',
+        background: 'linear-gradient(135deg, #2a1a0a 0%, #1a0f05 100%)',
+        border: '#ddaa55',
+        glow: 'rgba(221, 170, 85, 0.3)',
+        title: '#ddaa55',
+        subtitle: '#c9a86c',
+        text: '#e0d0c0',
+        button: 'linear-gradient(135deg, #8b6914 0%, #5a4030 100%)',
+        buttonHover: 'linear-gradient(135deg, #a87d1a 0%, #8b6914 100%)',
+        buttonShadow: 'rgba(221, 170, 85, 0.4)',
+    },
+    garden: {
+        icon: '🌾',
+        iconAnimation: 'gardenSway 3s ease-in-out infinite',
+        backdrop: 'rgba(0,0,0,0.85)',
+        blur: '12px',
+        background: 'linear-gradient(135deg, #1a2a10 0%, #0f1a08 100%)',
+        border: '#7CB342',
+        glow: 'rgba(124, 179, 66, 0.3)',
+        title: '#8BC34A',
+        subtitle: '#AED581',
+        text: '#c0d8b0',
+        button: 'linear-gradient(135deg, #558B2F 0%, #33691E 100%)',
+        buttonHover: 'linear-gradient(135deg, #7CB342 0%, #558B2F 100%)',
+        buttonShadow: 'rgba(124, 179, 66, 0.4)',
+    },
+    cart: {
+        icon: null,
+        iconAnimation: 'none',
+        backdrop: 'rgba(0,0,0,0.85)',
+        blur: '12px',
+        background: 'linear-gradient(135deg, #2a1a0a 0%, #1a0f05 100%)',
+        border: '#8b5a2b',
+        glow: 'rgba(139, 90, 43, 0.3)',
+        title: '#D7CCC8',
+        subtitle: '#A1887F',
+        text: '#BCAAA4',
+        button: 'linear-gradient(135deg, #6D4C41 0%, #4E342E 100%)',
+        buttonHover: 'linear-gradient(135deg, #8D6E63 0%, #6D4C41 100%)',
+        buttonShadow: 'rgba(139, 90, 43, 0.4)',
+    },
+    fishing: {
+        icon: '🐟',
+        iconAnimation: 'fishSwim 2s ease-in-out infinite',
+        backdrop: 'rgba(0,0,0,0.85)',
+        blur: '12px',
+        background: 'linear-gradient(135deg, #0a1520 0%, #051018 100%)',
+        border: '#4488cc',
+        glow: 'rgba(68, 136, 204, 0.3)',
+        title: '#88c0d0',
+        subtitle: '#5e81ac',
+        text: '#b0c4de',
+        button: 'linear-gradient(135deg, #4488cc 0%, #2266aa 100%)',
+        buttonHover: 'linear-gradient(135deg, #66aadd 0%, #4488cc 100%)',
+        buttonShadow: 'rgba(68, 136, 204, 0.4)',
+    },
+    // Somber, respectful styling
+    memorial: {
+        icon: '🕯️',
+        iconAnimation: 'candleFlicker 2s ease-in-out infinite',
+        backdrop: 'rgba(0,0,0,0.9)',
+        blur: '15px',
+        background: 'linear-gradient(135deg, #1a1510 0%, #0d0a08 100%)',
+        border: '#cc6600',
+        glow: 'rgba(204, 102, 0, 0.2)',
+        title: '#cc6600',
+        subtitle: '#aa8866',
+        text: '#c0b0a0',
+        button: 'linear-gradient(135deg, #cc6600 0%, #994400 100%)',
+        buttonHover: 'linear-gradient(135deg, #dd7711 0%, #cc6600 100%)',
+        buttonShadow: 'rgba(204, 102, 0, 0.4)',
+    },
+};
+
+export class StationPopup {
+    constructor(modals) {
+        this.modals = modals;
+        this.station = null;
+        this.hooks = {};
+
+        this.createUI();
+        this.modal = modals.register(this.overlay, { onClose: () => this.onClosed() });
+    }
+
+    // Add or replace a theme so new station types can bring their own look
+    static registerTheme(name, theme) {
+        POPUP_THEMES[name] = { ...POPUP_THEMES.fire, ...theme };
+    }
+
+    createUI() {
+        const overlay = document.createElement('div');
+        overlay.id = 'station-popup';
+        overlay.className = 'station-popup';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', 'station-popup-title');
+        overlay.innerHTML = `
+            <div class="station-popup-box">
+                <button class="station-popup-close" aria-label="Close">×</button>
+                <div class="station-popup-icon"></div>
+                <h2 id="station-popup-title" class="station-popup-title"></h2>
+                <h3 class="station-popup-subtitle"></h3>
+                <p class="station-popup-text"></p>
+                <div class="station-popup-extra"></div>
+                <button class="station-popup-explore">Explore Experience →</button>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        // Theme colours arrive through CSS custom properties set in applyTheme()
+        if (!document.getElementById('station-popup-styles')) {
+            const style = document.createElement('style');
+            style.id = 'station-popup-styles';
+            style.textContent = `
+                .station-popup {
+                    display: none;
+                    position: fixed;
+                    top: 0; left: 0;
+                    width: 100%; height: 100%;
+                    background: var(--popup-backdrop);
+                    backdrop-filter: blur(var(--popup-blur));
+                    z-index: 1000;
+                    justify-content: center;
+                    align-items: center;
+                }
+                .station-popup-box {
+                    width: 85%;
+                    max-width: 500px;
+                    max-height: 85vh;
+                    overflow-y: auto;
+                    background: var(--popup-background);
+                    border: 2px solid var(--popup-border);
+                    border-radius: 16px;
+                    padding: 35px;
+                    color: white;
+                    position: relative;
+                    box-shadow: 0 0 60px var(--popup-glow), 0 20px 60px rgba(0,0,0,0.8);
+                    text-align: center;
+                }
+                .station-popup-icon {
+                    font-size: 4rem;
+                    margin-bottom: 15px;
+                    animation: var(--popup-icon-animation);
+                }
+                .station-popup-title {
+                    font-family: 'Georgia', serif;
+                    font-size: 1.8rem;
+                    color: var(--popup-title);
+                    margin: 0 0 5px 0;
+                }
+                .station-popup-box.no-subtitle .station-popup-title {
+                    margin-bottom: 20px;
+                }
+                .station-popup-subtitle {
+                    font-size: 1rem;
+                    color: var(--popup-subtitle);
+                    margin: 0 0 20px 0;
+                    font-weight: normal;
+                    font-style: italic;
+                }
+                .station-popup-text {
+                    font-size: 1rem;
+                    line-height: 1.7;
+                    color: var(--popup-text);
+                    margin-bottom: 25px;
+                }
+                .station-popup-extra:empty {
+                    display: none;
+                }
+                .station-popup-extra {
+                    margin-bottom: 20px;
+                    color: var(--popup-text);
+                }
+                .station-popup-season {
+                    margin: 0;
+                    padding-top: 15px;
+                    border-top: 1px solid var(--popup-border);
+                    font-size: 0.95rem;
+                    line-height: 1.6;
+                    font-style: italic;
+                }
+                .station-popup-explore {
+                    background: var(--popup-button);
+                    color: white;
+                    border: none;
+                    padding: 15px 35px;
+                    font-size: 1.1rem;
+                    cursor: pointer;
+                    border-radius: 8px;
+                    transition: all 0.3s ease;
+                    font-weight: bold;
+                }
+                .station-popup-explore:hover {
+                    background: var(--popup-button-hover);
+                    transform: scale(1.05);
+                    box-shadow: 0 5px 20px var(--popup-button-shadow);
+                }
+                .station-popup-explore:disabled {
+                    background: #555;
+                    cursor: not-allowed;
+                    transform: none;
+                    box-shadow: none;
+                }
+                .station-popup-close {
+                    position: absolute;
+                    top: 15px;
+                    right: 20px;
+                    background: transparent;
+                    border: none;
+                    color: #888;
+                    font-size: 1.5rem;
+                    cursor: pointer;
+                }
+                .station-popup-close:hover {
+                    color: #fff;
+                }
+                @keyframes flicker {
+                    0%, 100% { opacity: 1; transform: scale(1); }
+                    50% { opacity: 0.8; transform: scale(1.05); }
+                }
+                @keyframes herbFloat {
+                    0%, 100% { transform: translateY(0) rotate(-5deg); }
+                    50% { transform: translateY(-8px) rotate(5deg); }
+                }
+                @keyframes gardenSway {
+                    0%, 100% { transform: rotate(-3deg); }
+                    50% { transform: rotate(3deg); }
+                }
+                @keyframes fishSwim {
+                    0%, 100% { transform: translateX(-5px) rotate(-5deg); }
+                    50% { transform: translateX(5px) rotate(5deg); }
+                }
+                @keyframes candleFlicker {
+                    0%, 100% { opacity: 1; transform: scale(1); }
+                    25% { opacity: 0.9; transform: scale(1.02); }
+                    50% { opacity: 0.95; transform: scale(0.98); }
+                    75% { opacity: 0.85; transform: scale(1.01); }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+
+        // Store references
+        this.overlay = overlay;
+        this.box = overlay.querySelector('.station-popup-box');
+        this.iconEl = overlay.querySelector('.station-popup-icon');
+        this.titleEl = overlay.querySelector('.station-popup-title');
+        this.subtitleEl = overlay.querySelector('.station-popup-subtitle');
+        this.textEl = overlay.querySelector('.station-popup-text');
+        this.extraEl = overlay.querySelector('.station-popup-extra');
+        this.exploreBtn = overlay.querySelector('.station-popup-explore');
+        this.closeBtn = overlay.querySelector('.station-popup-close');
+
+        this.closeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.close();
+        });
+        this.exploreBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.explore();
+        });
+    }
+
+    get isOpen() {
+        return this.station !== null;
+    }
+
+    applyTheme(theme) {
+        const vars = {
+            '--popup-backdrop': theme.backdrop,
+            '--popup-blur': theme.blur,
+            '--popup-background': theme.background,
+            '--popup-border': theme.border,
+            '--popup-glow': theme.glow,
+            '--popup-title': theme.title,
+            '--popup-subtitle': theme.subtitle,
+            '--popup-text': theme.text,
+            '--popup-button': theme.button,
+            '--popup-button-hover': theme.buttonHover,
+            '--popup-button-shadow': theme.buttonShadow,
+            '--popup-icon-animation': theme.iconAnimation || 'none',
+        };
+        Object.entries(vars).forEach(([name, value]) => this.overlay.style.setProperty(name, value));
+
+        this.iconEl.textContent = theme.icon || '';
+        this.iconEl.style.display = theme.icon ? 'block' : 'none';
+    }
+
+    // Show the popup for a station.
+    // defaults: fallback title/message/buttonText for the station type (from stations.json)
+    open(station, { theme = 'fire', defaults = {}, hooks = {} } = {}) {
+        this.station = station;
+        this.hooks = hooks;
+        this.overlay.dataset.theme = theme;
+        this.applyTheme(POPUP_THEMES[theme] || POPUP_THEMES.fire);
+
+        this.titleEl.textContent = station.title || defaults.title || '';
+        this.subtitleEl.textContent = station.subtitle || '';
+        this.subtitleEl.style.display = station.subtitle ? 'block' : 'none';
+        this.box.classList.toggle('no-subtitle', !station.subtitle);
+        this.textEl.innerHTML = station.message || defaults.message || '';
+        this.extraEl.innerHTML = '';
+
+        // Setup explore button
+        if (station.url || this.hooks.onExplore) {
+            this.exploreBtn.disabled = false;
+            this.exploreBtn.textContent = station.buttonText || defaults.buttonText || 'Explore Experience →';
+        } else {
+            this.exploreBtn.disabled = true;
+            this.exploreBtn.textContent = 'Coming Soon...';
+        }
+
+        if (this.hooks.onOpen) this.hooks.onOpen(station, this);
+
+        this.modals.open(this.modal);
+    }
+
+    explore() {
+        const station = this.station;
+        if (!station || !(station.url || this.hooks.onExplore)) return;
+
+        if (this.hooks.onExplore && this.hooks.onExplore(station, this) === false) return;
+        if (!station.url) {
+            this.close();
+            return;
+        }
+
+        // The experience itself reports completion (see ExperienceProgress); opening it is an attempt
+        if (window.metisPrairieProgress) {
+            window.metisPrairieProgress.recordAttempt(station.type, station.id);
+        }
+        // Let the prairie save where the student was (see PrairieHandoff)
+        if (this.onBeforeLeave) this.onBeforeLeave(station);
+        window.location.href = station.url;
+    }
+
+    close() {
+        this.modals.close(this.modal);
+    }
+
+    onClosed() {
+        const station = this.station;
+        this.station = null;
+        if (this.hooks.onClose) this.hooks.onClose(station, this);
+        this.hooks = {};
+    }
+}
@@ -0,0 +1,52 @@
+// Station registry - the single source of truth for every interactive station on the prairie.
+// Station data (type, position, title, Michif subtitle, message, URL and prop kind) lives in
+// stations.json so adding a station means editing data, not Props/InteractionManager/Minimap/main.js.
+
+const DEFAULT_URL = new URL('./stations.json', import.meta.url);
+
+export class StationRegistry {
+    constructor(data) {
+        this.version = data.version || 1;
+        this.types = data.types || {};
+
+        // Progress key matches the format markStationVisited() has always stored ("cabin-1", "fire-0", ...)
+        this.stations = (data.stations || []).map(station => ({
+            ...station,
+            key: `${station.type}-${station.id}`
+        }));
+    }
+
+    // Load the registry from a JSON file (defaults to src/stations.json)
+    static async load(url = DEFAULT_URL) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load station registry (${response.status} ${response.statusText})`);
+        }
+        return new StationRegistry(await response.json());
+    }
+
+    get count() {
+        return this.stations.length;
+    }
+
+    all() {
+        return this.stations;
+    }
+
+    byType(type) {
+        return this.stations.filter(station => station.type === type);
+    }
+
+    get(type, id) {
+        return this.stations.find(station => station.type === type && station.id === id) || null;
+    }
+
+    getByKey(key) {
+        return this.stations.find(station => station.key === key) || null;
+    }
+
+    // Shared settings for a station type (click zone size, minimap marker class, label)
+    typeInfo(type) {
+        return this.types[type] || {};
+    }
+}
@@ -0,0 +1,319 @@
+import { JourneyFile } from './JourneyFile.js';
+
+// Teacher dashboard - loads a batch of exported journey files (see JourneyFile.js) and shows the
+// class as a students × stations matrix. Runs entirely in the browser; nothing is uploaded.
+// Columns come from the same station registry the prairie uses, so new stations appear automatically.
+
+// Short column headings per station type ("C1" for Cabin 1, "F0" for the first fire...)
+const TYPE_ABBREVIATIONS = {
+    cabin: 'C', fire: 'F', herb: 'H', logpile: 'L', garden: 'G', cart: 'RC', fishing: 'Fi', memorial: 'M'
+};
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleDateString() : '';
+}
+
+function formatDuration(seconds) {
+    if (!seconds) return '';
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    // Names are typed by students; keep spreadsheets from treating them as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class TeacherDashboard {
+    constructor(stations, root = document) {
+        this.stations = stations;
+        this.students = new Map(); // lower-cased name -> student row
+        this.sortKey = 'name';
+        this.sortDirection = 1;
+        this.filterText = '';
+        this.stationFilter = '';
+
+        this.table = root.getElementById('class-matrix');
+        this.summary = root.getElementById('class-summary');
+        this.messages = root.getElementById('load-messages');
+        this.searchInput = root.getElementById('filter-name');
+        this.stationSelect = root.getElementById('filter-station');
+        this.csvBtn = root.getElementById('export-csv');
+        this.fileInput = root.getElementById('file-input');
+        this.folderInput = root.getElementById('folder-input');
+        this.dropZone = root.getElementById('drop-zone');
+
+        this.populateStationFilter();
+        this.setupEvents();
+        this.render();
+    }
+
+    // Header code for a station, e.g. "C1", "F3"
+    columnCode(station) {
+        const prefix = TYPE_ABBREVIATIONS[station.type] || station.type.slice(0, 2).toUpperCase();
+        const sameType = this.stations.byType(station.type);
+        return sameType.length > 1 ? `${prefix}${station.id}` : prefix;
+    }
+
+    populateStationFilter() {
+        this.stations.all().forEach(station => {
+            ['missing', 'visited'].forEach(state => {
+                const option = document.createElement('option');
+                option.value = `${state}:${station.key}`;
+                option.textContent = `${state === 'missing' ? 'Not yet visited' : 'Visited'}: ${station.title}`;
+                this.stationSelect.appendChild(option);
+            });
+        });
+    }
+
+    setupEvents() {
+        const load = (input) => {
+            this.loadFiles([...input.files]);
+            input.value = '';
+        };
+        this.fileInput.addEventListener('change', () => load(this.fileInput));
+        this.folderInput.addEventListener('change', () => load(this.folderInput));
+
+        this.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.add('dragging');
+        });
+        this.dropZone.addEventListener('dragleave', () => this.dropZone.classList.remove('dragging'));
+        this.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.remove('dragging');
+            this.loadFiles([...e.dataTransfer.files]);
+        });
+
+        this.searchInput.addEventListener('input', () => {
+            this.filterText = this.searchInput.value.trim().toLowerCase();
+            this.render();
+        });
+        this.stationSelect.addEventListener('change', () => {
+            this.stationFilter = this.stationSelect.value;
+            this.render();
+        });
+        this.csvBtn.addEventListener('click', () => this.downloadCsv());
+    }
+
+    async loadFiles(files) {
+        const journeyFiles = files.filter(file => file.name.toLowerCase().endsWith('.json'));
+        const notes = [];
+        let loaded = 0;
+
+        for (const file of journeyFiles) {
+            try {
+                const { data, valid } = await JourneyFile.parse(await file.text());
+                this.addJourney(data, valid, file.name);
+                loaded++;
+                if (!valid) notes.push({ text: `${file.name}: checksum does not match — this file was edited after export.`, warning: true });
+            } catch (error) {
+                notes.push({ text: `${file.name}: ${error.message}`, warning: true });
+            }
+        }
+
+        const skipped = files.length - journeyFiles.length;
+        if (skipped > 0) notes.push({ text: `${skipped} non-JSON file(s) skipped.` });
+        notes.unshift({ text: `Loaded ${loaded} of ${journeyFiles.length} journey file(s).` });
+        this.showMessages(notes);
+        this.render();
+    }
+
+    // One row per student; a newer export of the same student replaces the older one
+    addJourney(data, valid, fileName) {
+        const name = (data.profile && data.profile.name) || fileName;
+        const id = name.toLowerCase();
+        const existing = this.students.get(id);
+        if (existing && existing.exportedAt > (data.exportedAt || '')) return;
+
+        const cabins = Object.entries(data.visitDetails)
+            .filter(([key]) => key.startsWith('cabin-'))
+            .map(([, details]) => details);
+        const timeSpent = [...Object.values(data.visitDetails), ...Object.values(data.experiences)]
+            .reduce((sum, record) => sum + (record.timeSpent || 0), 0);
+        const dates = [
+            ...Object.values(data.visitedAt),
+            ...Object.values(data.visitDetails).map(details => details.completedAt)
+        ].filter(Boolean).sort();
+
+        this.students.set(id, {
+            name,
+            fileName,
+            valid,
+            exportedAt: data.exportedAt || '',
+            progress: new Set(data.progress),
+            visitedAt: data.visitedAt,
+            visitDetails: data.visitDetails,
+            visitedCount: data.progress.filter(key => this.stations.getByKey(key)).length,
+            attempts: cabins.reduce((sum, details) => sum + (details.attempts || 0), 0),
+            hintsUsed: cabins.reduce((sum, details) => sum + (details.hintsUsed || 0), 0),
+            timeSpent,
+            lastActivity: dates[dates.length - 1] || ''
+        });
+    }
+
+    showMessages(notes) {
+        this.messages.innerHTML = '';
+        notes.forEach(note => {
+            const p = document.createElement('p');
+            p.textContent = note.text;
+            if (note.warning) p.className = 'warning';
+            this.messages.appendChild(p);
+        });
+    }
+
+    visibleStudents() {
+        const [state, key] = this.stationFilter.split(':');
+        const rows = [...this.students.values()].filter(student => {
+            if (this.filterText && !student.name.toLowerCase().includes(this.filterText)) return false;
+            if (state === 'missing' && student.progress.has(key)) return false;
+            if (state === 'visited' && !student.progress.has(key)) return false;
+            return true;
+        });
+
+        const value = (student) => {
+            if (this.stations.getByKey(this.sortKey)) {
+                return student.visitedAt[this.sortKey] || (student.progress.has(this.sortKey) ? '0' : '');
+            }
+            return student[this.sortKey];
+        };
+        return rows.sort((a, b) => {
+            const va = value(a);
+            const vb = value(b);
+            if (typeof va === 'number') return (va - vb) * this.sortDirection;
+            return String(va).localeCompare(String(vb)) * this.sortDirection;
+        });
+    }
+
+    sortBy(key) {
+        if (this.sortKey === key) {
+            this.sortDirection *= -1;
+        } else {
+            this.sortKey = key;
+            this.sortDirection = key === 'name' ? 1 : -1;
+        }
+        this.render();
+    }
+
+    render() {
+        const stations = this.stations.all();
+        const columns = [
+            { key: 'name', label: 'Student' },
+            { key: 'visitedCount', label: `Visited / ${this.stations.count}` },
+            { key: 'attempts', label: 'Elder attempts' },
+            { key: 'hintsUsed', label: 'Hints' },
+            { key: 'timeSpent', label: 'Time' },
+            { key: 'lastActivity', label: 'Last activity' }
+        ];
+
+        // Header
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        [...columns, ...stations.map(station => ({ key: station.key, label: this.columnCode(station), title: station.title }))]
+            .forEach(column => {
+                const th = document.createElement('th');
+                th.textContent = column.label + (this.sortKey === column.key ? (this.sortDirection > 0 ? ' ▲' : ' ▼') : '');
+                th.title = column.title || `Sort by ${column.label}`;
+                th.addEventListener('click', () => this.sortBy(column.key));
+                headRow.appendChild(th);
+            });
+        thead.appendChild(headRow);
+
+        // Body
+        const tbody = document.createElement('tbody');
+        const rows = this.visibleStudents();
+        rows.forEach(student => {
+            const tr = document.createElement('tr');
+            const nameCell = document.createElement('td');
+            nameCell.className = 'student-name';
+            nameCell.textContent = student.name;
+            if (!student.valid) {
+                const badge = document.createElement('span');
+                badge.className = 'badge-warning';
+                badge.textContent = '⚠ edited';
+                badge.title = `${student.fileName} was changed after it was exported`;
+                nameCell.appendChild(badge);
+            }
+            tr.appendChild(nameCell);
+
+            [
+                `${student.visitedCount}`,
+                `${student.attempts || ''}`,
+                `${student.hintsUsed || ''}`,
+                formatDuration(student.timeSpent),
+                formatDate(student.lastActivity)
+            ].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+
+            stations.forEach(station => {
+                const td = document.createElement('td');
+                td.className = 'station-cell';
+                if (student.progress.has(station.key)) {
+                    const details = student.visitDetails[station.key];
+                    td.classList.add('visited');
+                    td.textContent = details && details.attempts ? `✓ ${details.attempts}` : '✓';
+                    const date = student.visitedAt[station.key] || (details && details.completedAt);
+                    td.title = [
+                        `${station.title}`,
+                        date ? `Completed ${formatDate(date)}` : '',
+                        details && details.attempts ? `${details.attempts} attempts, ${details.hintsUsed || 0} hints` : '',
+                        details && details.timeSpent ? `Time ${formatDuration(details.timeSpent)}` : ''
+                    ].filter(Boolean).join('\n');
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        this.table.innerHTML = '';
+        this.table.append(thead, tbody);
+
+        const total = this.students.size;
+        const completed = [...this.students.values()].filter(student => student.visitedCount >= this.stations.count).length;
+        this.summary.textContent = total === 0
+            ? 'No journey files loaded yet.'
+            : `Showing ${rows.length} of ${total} students · ${completed} completed every station`;
+        this.csvBtn.disabled = rows.length === 0;
+    }
+
+    toCsv() {
+        const stations = this.stations.all();
+        const header = ['Student', 'Visited', 'Elder attempts', 'Hints', 'Time (s)', 'Last activity', 'Checksum OK',
+            ...stations.map(station => `${this.columnCode(station)} ${station.title}`)];
+
+        const rows = this.visibleStudents().map(student => [
+            student.name,
+            student.visitedCount,
+            student.attempts,
+            student.hintsUsed,
+            student.timeSpent,
+            student.lastActivity,
+            student.valid ? 'yes' : 'no',
+            ...stations.map(station => {
+                if (!student.progress.has(station.key)) return '';
+                const details = student.visitDetails[station.key];
+                const date = student.visitedAt[station.key] || (details && details.completedAt) || 'visited';
+                return details && details.attempts ? `${date} (${details.attempts} attempts)` : date;
+            })
+        ]);
+
+        return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+    }
+
+    downloadCsv() {
+        const blob = new Blob([this.toCsv()], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `metis-prairie-class-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
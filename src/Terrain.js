@@ -1,6 +1,6 @@
 import * as THREE from 'three';
-import { fbm, smoothstep } from './Utils.js';
-import { Props } from './Props.js';
+import { createRandom, smoothstep } from './Utils.js';
+import { SANDBAR, BLUFF } from './Heightfield.js';
 
 // Enhanced water vertex shader with realistic waves and normals
 const waterVertexShader = `
@@ -33,22 +33,24 @@ const waterVertexShader = `
         vec3 pos = position;
 
         // Multi-layered realistic wave animation
+        // The plane is rotated flat in its geometry, so x/z are across the water and y is up.
+        // Terrain.getWaveHeight() mirrors these waves for things that float on them.
         float wave1 = sin(pos.x * 0.05 + time * 0.5) * waveIntensity;
-        float wave2 = sin(pos.y * 0.08 + time * 0.3) * waveIntensity * 0.5;
-        float wave3 = cos((pos.x + pos.y) * 0.03 + time * 0.2) * waveIntensity * 0.3;
+        float wave2 = sin(pos.z * 0.08 + time * 0.3) * waveIntensity * 0.5;
+        float wave3 = cos((pos.x + pos.z) * 0.03 + time * 0.2) * waveIntensity * 0.3;
 
         // Add organic noise-based ripples
-        float ripple1 = noise(vec2(pos.x * 0.1 + time * 0.2, pos.y * 0.1)) * waveIntensity * 0.3;
-        float ripple2 = noise(vec2(pos.x * 0.2 - time * 0.15, pos.y * 0.2 + time * 0.1)) * waveIntensity * 0.2;
+        float ripple1 = noise(vec2(pos.x * 0.1 + time * 0.2, pos.z * 0.1)) * waveIntensity * 0.3;
+        float ripple2 = noise(vec2(pos.x * 0.2 - time * 0.15, pos.z * 0.2 + time * 0.1)) * waveIntensity * 0.2;
 
-        pos.z += wave1 + wave2 + wave3 + ripple1 + ripple2;
+        pos.y += wave1 + wave2 + wave3 + ripple1 + ripple2;
 
         // Calculate normal from wave derivatives for realistic lighting
         float dx = cos(pos.x * 0.05 + time * 0.5) * 0.05 * waveIntensity +
-                   cos((pos.x + pos.y) * 0.03 + time * 0.2) * 0.03 * waveIntensity * 0.3;
-        float dy = cos(pos.y * 0.08 + time * 0.3) * 0.08 * waveIntensity * 0.5 +
-                   cos((pos.x + pos.y) * 0.03 + time * 0.2) * 0.03 * waveIntensity * 0.3;
-        vNormal = normalize(vec3(-dx, 1.0, -dy));
+                   cos((pos.x + pos.z) * 0.03 + time * 0.2) * 0.03 * waveIntensity * 0.3;
+        float dz = cos(pos.z * 0.08 + time * 0.3) * 0.08 * waveIntensity * 0.5 +
+                   cos((pos.x + pos.z) * 0.03 + time * 0.2) * 0.03 * waveIntensity * 0.3;
+        vNormal = normalize(vec3(-dx, 1.0, -dz));
 
         vec4 worldPosition = modelMatrix * vec4(pos, 1.0);
         vWorldPosition = worldPosition.xyz;
@@ -72,6 +74,22 @@ const waterFragmentShader = `
     uniform float time;
     uniform float specularIntensity;
     uniform vec3 sunDirection;
+    uniform float ice;
+    uniform float rain;
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+    }
+
+    // Raindrop rings - one drop per cell, each ring spreading and fading on its own beat
+    float rainRings(vec2 p, float t) {
+        vec2 cell = floor(p);
+        vec2 local = fract(p) - 0.5;
+        float phase = fract(t + hash(cell));
+        vec2 drop = (vec2(hash(cell + 3.1), hash(cell + 7.7)) - 0.5) * 0.5;
+        float d = length(local - drop);
+        return smoothstep(0.05, 0.0, abs(d - phase * 0.45)) * (1.0 - phase);
+    }
 
     void main() {
         // Distance from river center for depth variation
@@ -117,24 +135,67 @@ const waterFragmentShader = `
         float foam = smoothstep(0.85, 1.0, depthFactor);
         color = mix(color, vec3(0.95, 0.95, 0.9), foam * 0.3);
 
-        gl_FragColor = vec4(color, opacity + fresnel * 0.1);
+        // Rain on the water (see Terrain.setWeather)
+        float rings = rainRings(vWorldPosition.xz * 0.8, time * 1.3) + rainRings(vWorldPosition.xz * 1.3 + 17.0, time * 1.7);
+        color += vec3(0.55, 0.6, 0.65) * rings * rain * 0.5;
+
+        // Winter ice (see Terrain.setSeason) - blue-white, streaked along the river, with the
+        // sky's sheen; the waves are stilled in the vertex shader
+        float streaks = sin(vWorldPosition.x * 0.15 + sin(vWorldPosition.z * 0.4) * 2.0) * 0.5 + 0.5;
+        vec3 iceColor = mix(vec3(0.62, 0.74, 0.8), vec3(0.86, 0.92, 0.95), streaks * 0.6 + depthFactor * 0.4);
+        iceColor = mix(iceColor, reflectionColor, fresnel * 0.3) + vec3(1.0, 0.95, 0.85) * specular * 0.5;
+        color = mix(color, iceColor, ice);
+
+        gl_FragColor = vec4(color, mix(opacity + fresnel * 0.1, 0.97, ice));
     }
 `;
 
+// Same value noise as the water shader, for Terrain.getWaveHeight()
+function waveHash(x, y) {
+    const h = Math.sin(x * 127.1 + y * 311.7) * 43758.5453;
+    return h - Math.floor(h);
+}
+
+function waveNoise(x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    let fx = x - ix;
+    let fy = y - iy;
+    fx = fx * fx * (3 - 2 * fx);
+    fy = fy * fy * (3 - 2 * fy);
+    const a = waveHash(ix, iy);
+    const b = waveHash(ix + 1, iy);
+    const c = waveHash(ix, iy + 1);
+    const d = waveHash(ix + 1, iy + 1);
+    return THREE.MathUtils.lerp(THREE.MathUtils.lerp(a, b, fx), THREE.MathUtils.lerp(c, d, fx), fy);
+}
+
+// Snow slides off ground steeper than this (see measureSnow)
+const MAX_SNOW_SLOPE = THREE.MathUtils.degToRad(40);
+const SNOW_COLOR = new THREE.Color(0xeef3f8);
+const _color = new THREE.Color();
+const _tint = new THREE.Color();
+
 export class Terrain {
-    constructor(scene, config) {
+    constructor(scene, config, heightfield) {
         this.scene = scene;
         this.config = config;
+        this.heightfield = heightfield;
         this.mesh = null;
         this.waterMesh = null;
+        this.waterLevel = -0.8;
+        this.frozen = false;
+        this.ice = 0;        // See setSeason()
+        this.waveScale = 1;  // Rougher water in a wind - see setWeather()
         this.init();
     }
 
     init() {
+        const random = createRandom(this.config.seed, 'terrain');
         const cfg = this.config.terrain || {};
-        const size = cfg.size || 400;
-        const segments = cfg.segments || 200;
+        const { size, segments, heights, trails, features } = this.heightfield;
 
+        // Same grid as the heightfield, vertex for vertex
         const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
         geometry.rotateX(-Math.PI / 2);
 
@@ -149,89 +210,11 @@ export class Terrain {
         const c5 = new THREE.Color(cfg.bluffColor || 0x7a6b5a);
         const c6 = new THREE.Color(cfg.trailColor || 0x8B4513); // Saddle brown - more visible trail
 
-        // Get cabin positions for creating paths
-        const cabinPositions = Props.getCabinSettlementPositions();
-
         for (let i = 0; i < positions.count; i++) {
-            const x = positions.getX(i);
-            const z = positions.getZ(i);
-
-            // === BASE TERRAIN HEIGHT ===
-            // Large scale rolling hills
-            let h = fbm(x * 0.015, z * 0.015, 4) * 6;
-            // Medium details
-            h += fbm(x * 0.05, z * 0.05, 3) * 1.5;
-            // Small details
-            h += fbm(x * 0.15, z * 0.15, 2) * 0.3;
-
-            // === BLUFFS AND CUTBANKS ===
-            // Create occasional steep sections along the river
-            const bluffNoise = fbm(x * 0.008, z * 0.01, 2);
-            const isBluffZone = bluffNoise > 0.3 && Math.abs(z) > 10 && Math.abs(z) < 25;
-            if (isBluffZone) {
-                // Steeper terrain near bluffs
-                h += Math.abs(bluffNoise) * 4;
-            }
-
-            // === RIVER CHANNEL ===
-            // Meandering river with variable width
-            const riverMeander = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5;
-            const riverWidth = 8 + Math.sin(x * 0.02) * 4; // Variable width
-            const distToRiver = Math.abs(z - riverMeander);
-            const riverFactor = smoothstep(riverWidth * 0.5, riverWidth * 1.5, distToRiver);
-
-            // Deeper in center, shallow at edges
-            const riverDepth = -2.5 + smoothstep(0, riverWidth * 0.5, distToRiver) * 1.5;
-            h = THREE.MathUtils.lerp(riverDepth, h, riverFactor);
-
-            // === SANDBARS ===
-            // Occasional sandy areas in the river
-            const sandbarNoise = fbm(x * 0.05 + 100, z * 0.05, 2);
-            const isSandbar = sandbarNoise > 0.4 && distToRiver < riverWidth * 0.8 && distToRiver > riverWidth * 0.3;
-            if (isSandbar) {
-                h = Math.max(h, -0.5); // Raise sandbars above water
-            }
-
-            // === SMALL HILLS ===
-            // Occasional small hills/mounds
-            const hillNoise = fbm(x * 0.03 + 50, z * 0.03 + 50, 2);
-            if (hillNoise > 0.5 && riverFactor > 0.8) {
-                h += (hillNoise - 0.5) * 6;
-            }
-
-            // === MAIN CART TRAIL ===
-            const trailZ = Math.sin(x * 0.04) * 25 + Math.cos(x * 0.02) * 10 + 25;
-            const distToTrail = Math.abs(z - trailZ);
-            let trailFactor = smoothstep(3, 0.5, distToTrail);
-
-            // === CABIN PATHS - paths from each cabin to the main trail ===
-            let cabinPathFactor = 0;
-            for (const cabin of cabinPositions) {
-                // Path runs from cabin position to main trail
-                const cabinTrailZ = Math.sin(cabin.x * 0.04) * 25 + Math.cos(cabin.x * 0.02) * 10 + 25;
-
-                // Check if we're within the x-range of this cabin's path (with some width)
-                const pathWidth = 3;
-                if (Math.abs(x - cabin.x) < pathWidth) {
-                    // Check if z is between cabin and trail
-                    const minZ = Math.min(cabin.z, cabinTrailZ);
-                    const maxZ = Math.max(cabin.z, cabinTrailZ);
-                    if (z >= minZ - 2 && z <= maxZ + 2) {
-                        // Distance from center of path
-                        const distFromPathCenter = Math.abs(x - cabin.x);
-                        const pathFactor = smoothstep(pathWidth, 0.5, distFromPathCenter);
-                        cabinPathFactor = Math.max(cabinPathFactor, pathFactor);
-                    }
-                }
-            }
-
-            // Combine main trail and cabin paths
-            trailFactor = Math.max(trailFactor, cabinPathFactor);
-
-            // Flatten and slightly lower the trail
-            if (riverFactor > 0.9) { // Only on land
-                h = THREE.MathUtils.lerp(h, Math.max(h * 0.7, 0.2), trailFactor);
-            }
+            const h = heights[i];
+            const trailFactor = trails[i];
+            const isSandbar = (features[i] & SANDBAR) !== 0;
+            const isBluffZone = (features[i] & BLUFF) !== 0;
 
             positions.setY(i, h);
 
@@ -247,7 +230,7 @@ export class Terrain {
             } else if (isSandbar && h < 0) {
                 // Sandbar
                 color.copy(c4);
-            } else if (trailFactor > 0.2 && riverFactor > 0.9) {
+            } else if (trailFactor > 0.2) {
                 // Trail (main trail and cabin paths) - blend based on trail factor for softer edges
                 color.copy(c1).lerp(c6, Math.min(trailFactor * 1.5, 1));
             } else if (isBluffZone && h > 2) {
@@ -265,7 +248,7 @@ export class Terrain {
             }
 
             // Add subtle variation
-            color.offsetHSL(0, 0, (Math.random() - 0.5) * 0.05);
+            color.offsetHSL(0, 0, (random() - 0.5) * 0.05);
 
             colors.push(color.r, color.g, color.b);
         }
@@ -273,6 +256,10 @@ export class Terrain {
         geometry.computeVertexNormals();
         geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
 
+        // The colours above are summer's; setSeason() tints them and lays snow over them
+        this.baseColors = Float32Array.from(colors);
+        this.snowDepth = this.measureSnow(geometry.attributes.normal, random);
+
         const material = new THREE.MeshStandardMaterial({
             vertexColors: true,
             roughness: 0.9,
@@ -284,9 +271,6 @@ export class Terrain {
         this.mesh.receiveShadow = true;
         this.scene.add(this.mesh);
 
-        // Store terrain data for vegetation placement
-        this.terrainData = { positions, size, segments };
-
         // Create animated water
         this.createWater(size);
 
@@ -294,6 +278,49 @@ export class Terrain {
         this.createRocks();
     }
 
+    // How much snow each vertex holds under a full winter (0-1): none in the river or on steep
+    // bluff faces, thin on the trails, drifting a little from place to place
+    measureSnow(normals, random) {
+        const { heights, trails } = this.heightfield;
+        const depth = new Float32Array(heights.length);
+        for (let i = 0; i < depth.length; i++) {
+            const onLand = smoothstep(-0.6, -0.2, heights[i]);
+            const flat = smoothstep(MAX_SNOW_SLOPE, MAX_SNOW_SLOPE * 0.6, Math.acos(normals.getY(i)));
+            const trodden = 1 - trails[i] * 0.5;
+            depth[i] = onLand * flat * trodden * (0.85 + random() * 0.15);
+        }
+        return depth;
+    }
+
+    // Time of year, from a Seasons look: tints the ground, lays the snow, freezes the river
+    setSeason(look) {
+        const colors = this.mesh.geometry.attributes.color;
+        const tint = _tint.setHex(look.groundTint);
+        for (let i = 0; i < colors.count; i++) {
+            _color.fromArray(this.baseColors, i * 3).multiply(tint)
+                .lerp(SNOW_COLOR, this.snowDepth[i] * look.snow);
+            colors.setXYZ(i, _color.r, _color.g, _color.b);
+        }
+        colors.needsUpdate = true;
+
+        this.frozen = look.ice >= 1;
+        this.ice = look.ice;
+        this.waterMesh.material.uniforms.ice.value = look.ice;
+        this.updateWaves();
+    }
+
+    // The weather on the river: raindrop rings (0-1) and waves raised by the wind (a multiple of
+    // CONFIG.wind). Neither shows on ice.
+    setWeather({ rain, wind }) {
+        this.waterMesh.material.uniforms.rain.value = rain;
+        this.waveScale = 0.6 + wind * 0.4;
+        this.updateWaves();
+    }
+
+    updateWaves() {
+        this.waterMesh.material.uniforms.waveIntensity.value = this.waveIntensity * this.waveScale * (1 - this.ice);
+    }
+
     createWater(size) {
         const waterCfg = this.config.water || {};
         const lightCfg = this.config.lighting || {};
@@ -320,17 +347,21 @@ export class Terrain {
                 opacity: { value: waterCfg.opacity || 0.85 },
                 waveIntensity: { value: waterCfg.waveIntensity || 0.15 },
                 specularIntensity: { value: waterCfg.specularIntensity || 0.5 },
+                ice: { value: 0 },
+                rain: { value: 0 },
             },
             transparent: true,
             side: THREE.DoubleSide,
         });
 
+        this.waveIntensity = waterCfg.waveIntensity || 0.15;
         this.waterMesh = new THREE.Mesh(waterGeo, waterMat);
-        this.waterMesh.position.y = -0.8;
+        this.waterMesh.position.y = this.waterLevel;
         this.scene.add(this.waterMesh);
     }
 
     createRocks() {
+        const random = createRandom(this.config.seed, 'rocks');
         // Scatter rocks along riverbanks and on hills
         const rockGeo = new THREE.DodecahedronGeometry(1, 0);
         const rockMat = new THREE.MeshStandardMaterial({
@@ -346,33 +377,26 @@ export class Terrain {
         let count = 0;
 
         for (let i = 0; i < rockCount * 2 && count < rockCount; i++) {
-            const x = (Math.random() - 0.5) * 350;
-            const z = (Math.random() - 0.5) * 350;
-
-            // Calculate height at this position
-            let h = fbm(x * 0.015, z * 0.015, 4) * 6;
-            h += fbm(x * 0.05, z * 0.05, 3) * 1.5;
+            const x = (random() - 0.5) * 350;
+            const z = (random() - 0.5) * 350;
 
-            const riverMeander = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5;
-            const riverWidth = 8 + Math.sin(x * 0.02) * 4;
-            const distToRiver = Math.abs(z - riverMeander);
-            const riverFactor = smoothstep(riverWidth * 0.5, riverWidth * 1.5, distToRiver);
-            const riverDepth = -2.5 + smoothstep(0, riverWidth * 0.5, distToRiver) * 1.5;
-            h = THREE.MathUtils.lerp(riverDepth, h, riverFactor);
+            const h = this.heightfield.getHeight(x, z);
 
             // Only place rocks on land, near riverbanks, or on higher ground
-            const nearRiver = distToRiver > riverWidth * 0.5 && distToRiver < riverWidth * 2;
+            const { center, width } = this.heightfield.getRiverAt(x);
+            const distToRiver = Math.abs(z - center);
+            const nearRiver = distToRiver > width * 0.5 && distToRiver < width * 2;
             const onHighGround = h > 3;
 
             if ((nearRiver || onHighGround) && h > 0) {
-                const scale = 0.2 + Math.random() * 0.6;
+                const scale = 0.2 + random() * 0.6;
 
                 dummy.position.set(x, h - scale * 0.3, z);
                 dummy.scale.set(scale, scale * 0.7, scale);
                 dummy.rotation.set(
-                    Math.random() * Math.PI,
-                    Math.random() * Math.PI,
-                    Math.random() * Math.PI
+                    random() * Math.PI,
+                    random() * Math.PI,
+                    random() * Math.PI
                 );
                 dummy.updateMatrix();
 
@@ -387,28 +411,25 @@ export class Terrain {
         this.scene.add(rocks);
     }
 
-    // Helper method to get height at any position
-    getHeightAt(x, z) {
-        let h = fbm(x * 0.015, z * 0.015, 4) * 6;
-        h += fbm(x * 0.05, z * 0.05, 3) * 1.5;
-        h += fbm(x * 0.15, z * 0.15, 2) * 0.3;
-
-        const riverMeander = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5;
-        const riverWidth = 8 + Math.sin(x * 0.02) * 4;
-        const distToRiver = Math.abs(z - riverMeander);
-        const riverFactor = smoothstep(riverWidth * 0.5, riverWidth * 1.5, distToRiver);
-        const riverDepth = -2.5 + smoothstep(0, riverWidth * 0.5, distToRiver) * 1.5;
-        h = THREE.MathUtils.lerp(riverDepth, h, riverFactor);
-
-        return h;
+    // Height of the water's waves above waterLevel at (x, z) - the same waves as waterVertexShader
+    // (flat when the river is frozen)
+    getWaveHeight(x, z, time) {
+        const k = this.waterMesh.material.uniforms.waveIntensity.value;
+        const wave1 = Math.sin(x * 0.05 + time * 0.5) * k;
+        const wave2 = Math.sin(z * 0.08 + time * 0.3) * k * 0.5;
+        const wave3 = Math.cos((x + z) * 0.03 + time * 0.2) * k * 0.3;
+        const ripple1 = waveNoise(x * 0.1 + time * 0.2, z * 0.1) * k * 0.3;
+        const ripple2 = waveNoise(x * 0.2 - time * 0.15, z * 0.2 + time * 0.1) * k * 0.2;
+        return wave1 + wave2 + wave3 + ripple1 + ripple2;
     }
 
-    // Check if position is near water
-    isNearWater(x, z) {
-        const riverMeander = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5;
-        const riverWidth = 8 + Math.sin(x * 0.02) * 4;
-        const distToRiver = Math.abs(z - riverMeander);
-        return distToRiver < riverWidth * 2;
+    // The water reflects the sky of the hour and glints with the sun (only faintly with the moon)
+    setSkyLight({ sunDirection, skyColor, night }) {
+        const uniforms = this.waterMesh.material.uniforms;
+        const specular = (this.config.water || {}).specularIntensity || 0.5;
+        uniforms.sunDirection.value.copy(sunDirection);
+        uniforms.skyColor.value.copy(skyColor);
+        uniforms.specularIntensity.value = specular * (1 - night * 0.8);
     }
 
     update(time) {
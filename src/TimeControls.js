@@ -0,0 +1,105 @@
+import { WorldClock } from './WorldClock.js';
+import { SEASONS } from './Seasons.js';
+import { WEATHER } from './Weather.js';
+
+// Time controls under the map - lets a teacher pause the world clock, scrub the hour with the
+// slider, or jump to dawn, noon, dusk or night, pick the season, and pick the weather or let it
+// cycle. Leave a part out to hide it (CONFIG.dayNight/seasons/weather.showControls false):
+//   new TimeControls({ clock: world.worldClock, seasons: world.seasons, weather: world.weather });
+// Markup lives in index.html (#time-controls), styles in styles.css.
+
+const REFRESH_MS = 1000;
+
+export class TimeControls {
+    constructor({ clock = null, seasons = null, weather = null } = {}) {
+        this.clock = clock;
+        this.seasons = seasons;
+        this.weather = weather;
+
+        this.element = document.getElementById('time-controls');
+        this.clockControls = document.getElementById('clock-controls');
+        this.label = document.getElementById('time-label');
+        this.slider = document.getElementById('time-slider');
+        this.playBtn = document.getElementById('time-play-btn');
+        this.seasonButtons = document.getElementById('season-buttons');
+        this.weatherButtons = document.getElementById('weather-buttons');
+        this.cycleBtn = document.getElementById('weather-cycle-btn');
+        if (!this.element) return;
+
+        this.element.hidden = false;
+        if (clock) this.setupClock();
+        if (seasons && this.seasonButtons) this.setupSeasons();
+        if (weather && this.weatherButtons) this.setupWeather();
+    }
+
+    setupClock() {
+        this.clockControls.hidden = false;
+
+        this.slider.addEventListener('input', () => this.clock.set(parseFloat(this.slider.value)));
+        this.playBtn.addEventListener('click', () => {
+            if (this.clock.paused) {
+                this.clock.play();
+            } else {
+                this.clock.pause();
+            }
+        });
+        this.element.querySelectorAll('[data-hour]').forEach(button => {
+            button.addEventListener('click', () => this.clock.set(parseFloat(button.dataset.hour)));
+        });
+
+        this.clock.onChange(() => this.render());
+        setInterval(() => this.render(), REFRESH_MS);
+        this.render();
+    }
+
+    setupSeasons() {
+        this.seasonButtons.hidden = false;
+
+        this.seasonButtons.querySelectorAll('[data-season]').forEach(button => {
+            button.addEventListener('click', () => this.seasons.set(button.dataset.season));
+        });
+
+        this.seasons.onChange(() => this.renderSeason());
+        this.renderSeason();
+    }
+
+    setupWeather() {
+        this.weatherButtons.hidden = false;
+
+        this.weatherButtons.querySelectorAll('[data-weather]').forEach(button => {
+            button.addEventListener('click', () => this.weather.set(button.dataset.weather));
+        });
+        this.cycleBtn.addEventListener('click', () => this.weather.setCycle(!this.weather.cycle));
+
+        this.weather.onChange(() => this.renderWeather());
+        this.renderWeather();
+    }
+
+    render() {
+        this.label.textContent = WorldClock.format(this.clock.hours);
+        this.slider.value = this.clock.hours.toFixed(2);
+
+        const paused = this.clock.paused;
+        this.playBtn.textContent = paused ? '▶' : '⏸';
+        this.playBtn.title = paused ? 'Start the clock' : 'Pause the clock';
+        this.playBtn.setAttribute('aria-pressed', String(paused));
+    }
+
+    renderSeason() {
+        this.seasonButtons.querySelectorAll('[data-season]').forEach(button => {
+            const current = button.dataset.season === this.seasons.current;
+            button.setAttribute('aria-pressed', String(current));
+            button.title = SEASONS[button.dataset.season].label + (current ? ' (now)' : '');
+        });
+    }
+
+    renderWeather() {
+        this.weatherButtons.querySelectorAll('[data-weather]').forEach(button => {
+            const current = button.dataset.weather === this.weather.state;
+            button.setAttribute('aria-pressed', String(current));
+            button.title = WEATHER[button.dataset.weather].label + (current ? ' (now)' : '');
+        });
+        this.cycleBtn.setAttribute('aria-pressed', String(this.weather.cycle));
+        this.cycleBtn.title = this.weather.cycle ? 'Hold this weather' : 'Let the weather change by itself';
+    }
+}
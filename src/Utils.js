@@ -4,6 +4,31 @@ export function smoothstep(edge0, edge1, x) {
     return t * t * (3 - 2 * t);
 }
 
+// Seeded random numbers - a drop-in for Math.random() that gives the same sequence for the same
+// seed (a number or any text, e.g. CONFIG.seed). Each generator asks for its own named stream, so
+// scattering fewer grass blades on a Low preset doesn't move the trees.
+// Only what makes up the world is seeded. Elder question numbers (MathChallenges) and the thunder
+// noise (Weather) use Math.random() on purpose: a student should get new numbers on each visit,
+// and noise has nothing worth reproducing.
+//   const random = createRandom(CONFIG.seed, 'rocks');
+//   const x = (random() - 0.5) * 350;
+export function createRandom(seed, stream = '') {
+    // FNV-1a hash of the seed and stream name into the generator's 32-bit state
+    const text = `${seed}/${stream}`;
+    let state = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        state = Math.imul(state ^ text.charCodeAt(i), 0x01000193);
+    }
+
+    // mulberry32
+    return function random() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 // Simple 2D Simplex Noise implementation
 // Based on standard implementations
 
@@ -14,15 +39,23 @@ const p = new Uint8Array(256);
 const perm = new Uint8Array(512);
 const permMod12 = new Uint8Array(512);
 
-for (let i = 0; i < 256; i++) {
-    p[i] = Math.floor(Math.random() * 256);
-}
+// Shuffle the permutation table for a world seed (see createRandom), so the same seed always
+// raises the same hills. World calls this before the terrain is built.
+export function seedNoise(seed) {
+    const random = createRandom(seed, 'noise');
+    for (let i = 0; i < 256; i++) {
+        p[i] = Math.floor(random() * 256);
+    }
 
-for (let i = 0; i < 512; i++) {
-    perm[i] = p[i & 255];
-    permMod12[i] = perm[i] % 12;
+    for (let i = 0; i < 512; i++) {
+        perm[i] = p[i & 255];
+        permMod12[i] = perm[i] % 12;
+    }
 }
 
+// Until World seeds it
+seedNoise(0);
+
 const grad3 = new Float32Array([
     1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
     1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { fbm, smoothstep } from './Utils.js';
+import { createRandom } from './Utils.js';
 
 // Enhanced grass shader with noise-based wind, alpha tips, and subsurface scattering
 const grassVertexShader = `
@@ -11,6 +11,7 @@ const grassVertexShader = `
     uniform float time;
     uniform float windSpeed;
     uniform float windStrength;
+    uniform float windGust;
 
     // Simplex-like noise for organic wind patterns
     float hash(vec2 p) {
@@ -63,7 +64,8 @@ const grassVertexShader = `
         float gustPhase = time * 0.4 + worldX * 0.02;
         float gust = pow(sin(gustPhase) * 0.5 + 0.5, 4.0);
 
-        float totalWind = (windNoise + directionalWind) * windStrength * (1.0 + gust * 0.8);
+        // windGust: the weather's wind on top of CONFIG.wind (see Vegetation.setWind)
+        float totalWind = (windNoise + directionalWind) * windStrength * windGust * (1.0 + gust * 0.8);
         vWindFactor = totalWind;
 
         // Quadratic bend - stronger at top, fixed at base
@@ -87,11 +89,17 @@ const grassFragmentShader = `
     varying vec3 vWorldPos;
     uniform vec3 sunDirection;
     uniform vec3 sunColor;
+    uniform vec3 lightTint;
+    uniform vec3 seasonColor;
+    uniform float seasonMix;
 
     void main() {
+        // Time of year (see Vegetation.setSeason)
+        vec3 bladeColor = mix(vColor, seasonColor, seasonMix);
+
         // Gradient from dark base to lighter tips
-        vec3 baseColor = vColor * 0.35;
-        vec3 tipColor = vColor * 1.3;
+        vec3 baseColor = bladeColor * 0.35;
+        vec3 tipColor = bladeColor * 1.3;
         vec3 color = mix(baseColor, tipColor, pow(vUv.y, 0.8));
 
         // Subsurface scattering simulation - grass glows when backlit
@@ -115,6 +123,9 @@ const grassFragmentShader = `
         // Discard very transparent pixels for performance
         if (alpha < 0.1) discard;
 
+        // Time of day (dims to moonlight after dark)
+        color *= lightTint;
+
         gl_FragColor = vec4(color, alpha);
     }
 `;
@@ -124,6 +135,7 @@ const reedVertexShader = `
     varying vec2 vUv;
     varying vec3 vColor;
     uniform float time;
+    uniform float windGust;
 
     void main() {
         vUv = uv;
@@ -133,7 +145,7 @@ const reedVertexShader = `
         float worldX = instanceMatrix[3][0];
 
         // Slower, more uniform sway for reeds
-        float sway = sin(time * 1.5 + worldX * 0.2) * 0.15;
+        float sway = sin(time * 1.5 + worldX * 0.2) * 0.15 * windGust;
         pos.x += sway * pos.y;
 
         vec4 mvPosition = modelViewMatrix * instanceMatrix * vec4(pos, 1.0);
@@ -144,9 +156,13 @@ const reedVertexShader = `
 const reedFragmentShader = `
     varying vec2 vUv;
     varying vec3 vColor;
+    uniform vec3 lightTint;
+    uniform vec3 seasonColor;
+    uniform float seasonMix;
 
     void main() {
-        vec3 color = mix(vColor * 0.6, vColor, vUv.y);
+        vec3 reedColor = mix(vColor, seasonColor, seasonMix);
+        vec3 color = mix(reedColor * 0.6, reedColor, vUv.y) * lightTint;
         gl_FragColor = vec4(color, 1.0);
     }
 `;
@@ -158,6 +174,7 @@ const treeCrownVertexShader = `
     varying vec3 vWorldPos;
     uniform float time;
     uniform float windStrength;
+    uniform float windGust;
 
     // Simple noise function
     float hash(vec2 p) {
@@ -190,6 +207,7 @@ const treeCrownVertexShader = `
         // Wind effect - stronger at top of tree
         float heightFactor = max(0.0, pos.y) / 3.0; // Normalize by approx crown height
         heightFactor = heightFactor * heightFactor; // Quadratic falloff
+        heightFactor *= 0.6 + 0.4 * min(windGust, 3.0); // Stiffer than grass in a gale
 
         // Noise-based wind field
         float windNoise = noise(vec2(worldX * 0.03 + time * 0.2, worldZ * 0.03));
@@ -222,8 +240,14 @@ const treeCrownFragmentShader = `
     uniform vec3 sunDirection;
     uniform vec3 sunColor;
     uniform vec3 ambientColor;
+    uniform vec3 lightTint;
+    uniform vec3 seasonColor;
+    uniform float seasonMix;
 
     void main() {
+        // Time of year (see Vegetation.setSeason)
+        vec3 leafColor = mix(vColor, seasonColor, seasonMix);
+
         // Basic diffuse lighting
         vec3 normal = normalize(vNormal);
         float diffuse = max(dot(normal, sunDirection), 0.0);
@@ -234,24 +258,46 @@ const treeCrownFragmentShader = `
         // Subsurface scattering for leaves
         float sss = pow(max(0.0, dot(-normal, sunDirection)), 2.0) * 0.2;
 
-        vec3 color = vColor * lighting + vColor * sss * sunColor;
+        vec3 color = leafColor * lighting + leafColor * sss * sunColor;
 
         // Slight variation based on position
         color *= 0.9 + sin(vWorldPos.x * 0.5 + vWorldPos.z * 0.5) * 0.1;
 
+        // Time of day (dims to moonlight after dark)
+        color *= lightTint;
+
         gl_FragColor = vec4(color, 1.0);
     }
 `;
 
+// Ground steeper than this is left bare (see Heightfield.getSlope) - grass clings on, trees and
+// bushes don't root on bluff faces
+const MAX_GRASS_SLOPE = THREE.MathUtils.degToRad(45);
+const MAX_TREE_SLOPE = THREE.MathUtils.degToRad(30);
+
+// How white the spruce turn under a full winter's snow (see setSeason)
+const SNOW_COLOR = new THREE.Color(0xf4f8ff);
+const SPRUCE_SNOW = 0.35;
+
 export class Vegetation {
-    constructor(scene, terrain, config) {
+    constructor(scene, heightfield, config) {
         this.scene = scene;
-        this.terrain = terrain;
+        this.heightfield = heightfield;
         this.config = config;
         this.init();
     }
 
     init() {
+        // Trunk footprints, so walkers (WalkController) can't pass through trees
+        this.treeColliders = [];
+        // Shared by the hand-lit shaders (grass, reeds, tree crowns) - see setSkyLight()
+        this.lightTint = { value: new THREE.Color(0xffffff) };
+        // The weather's wind, shared by the grass, reed and crown shaders - see setWind()
+        this.windGust = { value: 1 };
+        // Seasonal colour blended over the grass and reeds, and over the leafy crowns - see setSeason()
+        this.grassSeason = { seasonColor: { value: new THREE.Color(0xffffff) }, seasonMix: { value: 0 } };
+        this.leafSeason = { seasonColor: { value: new THREE.Color(0xffffff) }, seasonMix: { value: 0 } };
+
         this.initGrass();
         this.initTallGrass();
         this.initReeds();
@@ -262,30 +308,8 @@ export class Vegetation {
         this.initBerryBushes();
     }
 
-    // Helper to get terrain height
-    getHeight(x, z) {
-        if (this.terrain.getHeightAt) {
-            return this.terrain.getHeightAt(x, z);
-        }
-        // Fallback calculation
-        let h = fbm(x * 0.015, z * 0.015, 4) * 6;
-        h += fbm(x * 0.05, z * 0.05, 3) * 1.5;
-        const riverMeander = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5;
-        const riverWidth = 8 + Math.sin(x * 0.02) * 4;
-        const distToRiver = Math.abs(z - riverMeander);
-        const riverFactor = smoothstep(riverWidth * 0.5, riverWidth * 1.5, distToRiver);
-        const riverDepth = -2.5 + smoothstep(0, riverWidth * 0.5, distToRiver) * 1.5;
-        return THREE.MathUtils.lerp(riverDepth, h, riverFactor);
-    }
-
-    isNearWater(x, z) {
-        const riverMeander = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5;
-        const riverWidth = 8 + Math.sin(x * 0.02) * 4;
-        const distToRiver = Math.abs(z - riverMeander);
-        return distToRiver < riverWidth * 2.5;
-    }
-
     initGrass() {
+        const random = createRandom(this.config.seed, 'grass');
         const cfg = this.config.vegetation || {};
         const windCfg = this.config.wind || {};
         const lightCfg = this.config.lighting || {};
@@ -308,7 +332,10 @@ export class Vegetation {
                 windSpeed: { value: windCfg.speed || 1.0 },
                 windStrength: { value: windCfg.swayAmount || 0.2 },
                 sunDirection: { value: sunDirection },
-                sunColor: { value: new THREE.Color(lightCfg.sunColor || 0xffaa55) }
+                sunColor: { value: new THREE.Color(lightCfg.sunColor || 0xffaa55) },
+                lightTint: this.lightTint,
+                windGust: this.windGust,
+                ...this.grassSeason
             },
             side: THREE.DoubleSide,
             transparent: true,
@@ -324,27 +351,27 @@ export class Vegetation {
 
         let count = 0;
         for (let i = 0; i < instanceCount && count < instanceCount; i++) {
-            const x = (Math.random() - 0.5) * 360;
-            const z = (Math.random() - 0.5) * 360;
-            const h = this.getHeight(x, z);
+            const x = (random() - 0.5) * 360;
+            const z = (random() - 0.5) * 360;
+            const h = this.heightfield.getHeight(x, z);
 
             // Skip underwater and very steep areas
-            if (h < -0.3) continue;
+            if (h < -0.3 || this.heightfield.getSlope(x, z) > MAX_GRASS_SLOPE) continue;
 
             dummy.position.set(x, h, z);
-            dummy.scale.setScalar(0.5 + Math.random() * 0.6);
-            dummy.rotation.y = Math.random() * Math.PI * 2;
+            dummy.scale.setScalar(0.5 + random() * 0.6);
+            dummy.rotation.y = random() * Math.PI * 2;
             dummy.updateMatrix();
 
             this.grassMesh.setMatrixAt(count, dummy.matrix);
 
             // Color variation based on moisture/location
             color.copy(baseColor);
-            const moistureFactor = this.isNearWater(x, z) ? 0.1 : 0;
+            const moistureFactor = this.heightfield.isNearWater(x, z, 2.5) ? 0.1 : 0;
             color.offsetHSL(
-                (Math.random() - 0.5) * 0.05,
-                (Math.random() - 0.5) * 0.1 + moistureFactor,
-                (Math.random() - 0.5) * 0.1
+                (random() - 0.5) * 0.05,
+                (random() - 0.5) * 0.1 + moistureFactor,
+                (random() - 0.5) * 0.1
             );
             this.grassMesh.setColorAt(count, color);
 
@@ -356,6 +383,7 @@ export class Vegetation {
     }
 
     initTallGrass() {
+        const random = createRandom(this.config.seed, 'tall-grass');
         const cfg = this.config.vegetation || {};
         const lightCfg = this.config.lighting || {};
         const instanceCount = Math.floor((cfg.grassDensity || 50000) * 0.15);
@@ -377,7 +405,10 @@ export class Vegetation {
                 windSpeed: { value: (this.config.wind?.speed || 1.0) * 0.8 },
                 windStrength: { value: (this.config.wind?.swayAmount || 0.2) * 1.3 },
                 sunDirection: { value: sunDirection },
-                sunColor: { value: new THREE.Color(lightCfg.sunColor || 0xffaa55) }
+                sunColor: { value: new THREE.Color(lightCfg.sunColor || 0xffaa55) },
+                lightTint: this.lightTint,
+                windGust: this.windGust,
+                ...this.grassSeason
             },
             side: THREE.DoubleSide,
             transparent: true,
@@ -393,22 +424,22 @@ export class Vegetation {
 
         let count = 0;
         for (let i = 0; i < instanceCount * 2 && count < instanceCount; i++) {
-            const x = (Math.random() - 0.5) * 340;
-            const z = (Math.random() - 0.5) * 340;
-            const h = this.getHeight(x, z);
+            const x = (random() - 0.5) * 340;
+            const z = (random() - 0.5) * 340;
+            const h = this.heightfield.getHeight(x, z);
 
             // Tall grass prefers slightly higher ground
             if (h < 0.5 || h > 6) continue;
 
             dummy.position.set(x, h, z);
-            dummy.scale.setScalar(0.8 + Math.random() * 0.4);
-            dummy.rotation.y = Math.random() * Math.PI * 2;
+            dummy.scale.setScalar(0.8 + random() * 0.4);
+            dummy.rotation.y = random() * Math.PI * 2;
             dummy.updateMatrix();
 
             this.tallGrassMesh.setMatrixAt(count, dummy.matrix);
 
             color.copy(baseColor);
-            color.offsetHSL(0, 0, (Math.random() - 0.5) * 0.1);
+            color.offsetHSL(0, 0, (random() - 0.5) * 0.1);
             this.tallGrassMesh.setColorAt(count, color);
 
             count++;
@@ -419,6 +450,7 @@ export class Vegetation {
     }
 
     initReeds() {
+        const random = createRandom(this.config.seed, 'reeds');
         const cfg = this.config.vegetation || {};
         const clusterCount = cfg.reedClusterCount || 30;
 
@@ -428,7 +460,7 @@ export class Vegetation {
         const material = new THREE.ShaderMaterial({
             vertexShader: reedVertexShader,
             fragmentShader: reedFragmentShader,
-            uniforms: { time: { value: 0 } },
+            uniforms: { time: { value: 0 }, windGust: this.windGust, lightTint: this.lightTint, ...this.grassSeason },
             side: THREE.DoubleSide
         });
 
@@ -444,36 +476,36 @@ export class Vegetation {
         // Place reed clusters near water
         for (let c = 0; c < clusterCount && count < instanceCount; c++) {
             // Find a position near the river
-            const baseX = (Math.random() - 0.5) * 300;
+            const baseX = (random() - 0.5) * 300;
             const riverMeander = Math.sin(baseX * 0.03) * 12 + Math.sin(baseX * 0.01) * 5;
             const riverWidth = 8 + Math.sin(baseX * 0.02) * 4;
 
             // Place on riverbank
-            const side = Math.random() > 0.5 ? 1 : -1;
-            const baseZ = riverMeander + side * (riverWidth * 0.8 + Math.random() * 5);
+            const side = random() > 0.5 ? 1 : -1;
+            const baseZ = riverMeander + side * (riverWidth * 0.8 + random() * 5);
 
             // Create cluster of reeds
-            const reedsInCluster = 8 + Math.floor(Math.random() * 12);
+            const reedsInCluster = 8 + Math.floor(random() * 12);
             for (let r = 0; r < reedsInCluster && count < instanceCount; r++) {
-                const x = baseX + (Math.random() - 0.5) * 4;
-                const z = baseZ + (Math.random() - 0.5) * 4;
-                const h = this.getHeight(x, z);
+                const x = baseX + (random() - 0.5) * 4;
+                const z = baseZ + (random() - 0.5) * 4;
+                const h = this.heightfield.getHeight(x, z);
 
                 if (h < -0.5 || h > 1) continue;
 
                 dummy.position.set(x, h, z);
                 dummy.scale.set(
-                    0.8 + Math.random() * 0.4,
-                    0.7 + Math.random() * 0.5,
-                    0.8 + Math.random() * 0.4
+                    0.8 + random() * 0.4,
+                    0.7 + random() * 0.5,
+                    0.8 + random() * 0.4
                 );
-                dummy.rotation.y = Math.random() * Math.PI * 2;
+                dummy.rotation.y = random() * Math.PI * 2;
                 dummy.updateMatrix();
 
                 this.reedMesh.setMatrixAt(count, dummy.matrix);
 
                 color.copy(baseColor);
-                color.offsetHSL(0, 0, (Math.random() - 0.5) * 0.1);
+                color.offsetHSL(0, 0, (random() - 0.5) * 0.1);
                 this.reedMesh.setColorAt(count, color);
 
                 count++;
@@ -485,6 +517,7 @@ export class Vegetation {
     }
 
     initTrees() {
+        const random = createRandom(this.config.seed, 'trees');
         // Generic deciduous trees with animated crowns
         const cfg = this.config.vegetation || {};
         const lightCfg = this.config.lighting || {};
@@ -513,7 +546,10 @@ export class Vegetation {
                 windStrength: { value: windCfg.swayAmount || 0.2 },
                 sunDirection: { value: sunDirection },
                 sunColor: { value: new THREE.Color(lightCfg.sunColor || 0xffaa55) },
-                ambientColor: { value: new THREE.Color(0x6688aa) }
+                ambientColor: { value: new THREE.Color(0x6688aa) },
+                lightTint: this.lightTint,
+                windGust: this.windGust,
+                ...this.leafSeason
             }
         });
 
@@ -526,17 +562,18 @@ export class Vegetation {
         let count = 0;
 
         for (let i = 0; i < treeCount * 3 && count < treeCount; i++) {
-            const x = (Math.random() - 0.5) * 340;
-            const z = (Math.random() - 0.5) * 340;
-            const h = this.getHeight(x, z);
+            const x = (random() - 0.5) * 340;
+            const z = (random() - 0.5) * 340;
+            const h = this.heightfield.getHeight(x, z);
 
-            if (h < 1 || h > 8) continue;
-            if (this.isNearWater(x, z)) continue;
+            if (h < 1 || h > 8 || this.heightfield.getSlope(x, z) > MAX_TREE_SLOPE) continue;
+            if (this.heightfield.isNearWater(x, z, 2.5)) continue;
 
-            const scale = 0.8 + Math.random() * 0.8;
+            const scale = 0.8 + random() * 0.8;
             dummy.position.set(x, h, z);
+            this.treeColliders.push({ x, z, radius: 0.4 * scale });
             dummy.scale.set(scale, scale, scale);
-            dummy.rotation.y = Math.random() * Math.PI * 2;
+            dummy.rotation.y = random() * Math.PI * 2;
             dummy.updateMatrix();
 
             trunks.setMatrixAt(count, dummy.matrix);
@@ -544,7 +581,7 @@ export class Vegetation {
 
             // Vary crown color slightly
             crownColor.setHex(0x2a4a1a);
-            crownColor.offsetHSL(0, (Math.random() - 0.5) * 0.1, (Math.random() - 0.5) * 0.1);
+            crownColor.offsetHSL(0, (random() - 0.5) * 0.1, (random() - 0.5) * 0.1);
             crowns.setColorAt(count, crownColor);
 
             count++;
@@ -564,6 +601,7 @@ export class Vegetation {
     }
 
     initWillows() {
+        const random = createRandom(this.config.seed, 'willows');
         const cfg = this.config.vegetation || {};
         const lightCfg = this.config.lighting || {};
         const windCfg = this.config.wind || {};
@@ -595,7 +633,10 @@ export class Vegetation {
                 windStrength: { value: (windCfg.swayAmount || 0.2) * 1.5 }, // More sway for willows
                 sunDirection: { value: sunDirection },
                 sunColor: { value: new THREE.Color(lightCfg.sunColor || 0xffaa55) },
-                ambientColor: { value: new THREE.Color(0x6688aa) }
+                ambientColor: { value: new THREE.Color(0x6688aa) },
+                lightTint: this.lightTint,
+                windGust: this.windGust,
+                ...this.leafSeason
             }
         });
 
@@ -608,20 +649,21 @@ export class Vegetation {
 
         // Willows near water
         for (let i = 0; i < count * 4 && placed < count; i++) {
-            const x = (Math.random() - 0.5) * 300;
+            const x = (random() - 0.5) * 300;
             const riverMeander = Math.sin(x * 0.03) * 12 + Math.sin(x * 0.01) * 5;
             const riverWidth = 8 + Math.sin(x * 0.02) * 4;
 
-            const side = Math.random() > 0.5 ? 1 : -1;
-            const z = riverMeander + side * (riverWidth + Math.random() * 15);
-            const h = this.getHeight(x, z);
+            const side = random() > 0.5 ? 1 : -1;
+            const z = riverMeander + side * (riverWidth + random() * 15);
+            const h = this.heightfield.getHeight(x, z);
 
-            if (h < 0 || h > 3) continue;
+            if (h < 0 || h > 3 || this.heightfield.getSlope(x, z) > MAX_TREE_SLOPE) continue;
 
-            const scale = 0.9 + Math.random() * 0.5;
+            const scale = 0.9 + random() * 0.5;
             dummy.position.set(x, h, z);
+            this.treeColliders.push({ x, z, radius: 0.4 * scale });
             dummy.scale.set(scale, scale, scale);
-            dummy.rotation.y = Math.random() * Math.PI * 2;
+            dummy.rotation.y = random() * Math.PI * 2;
             dummy.updateMatrix();
 
             trunks.setMatrixAt(placed, dummy.matrix);
@@ -629,7 +671,7 @@ export class Vegetation {
 
             // Willow crown color
             crownColor.setHex(cfg.willowColor || 0x4a6a3a);
-            crownColor.offsetHSL(0, (Math.random() - 0.5) * 0.1, (Math.random() - 0.5) * 0.1);
+            crownColor.offsetHSL(0, (random() - 0.5) * 0.1, (random() - 0.5) * 0.1);
             crowns.setColorAt(placed, crownColor);
 
             placed++;
@@ -648,6 +690,7 @@ export class Vegetation {
     }
 
     initPoplars() {
+        const random = createRandom(this.config.seed, 'poplars');
         const cfg = this.config.vegetation || {};
         const count = Math.floor((cfg.treeCount || 80) * 0.25);
 
@@ -671,16 +714,17 @@ export class Vegetation {
         let placed = 0;
 
         for (let i = 0; i < count * 3 && placed < count; i++) {
-            const x = (Math.random() - 0.5) * 320;
-            const z = (Math.random() - 0.5) * 320;
-            const h = this.getHeight(x, z);
+            const x = (random() - 0.5) * 320;
+            const z = (random() - 0.5) * 320;
+            const h = this.heightfield.getHeight(x, z);
 
-            if (h < 0.5 || h > 7) continue;
+            if (h < 0.5 || h > 7 || this.heightfield.getSlope(x, z) > MAX_TREE_SLOPE) continue;
 
-            const scale = 0.7 + Math.random() * 0.6;
+            const scale = 0.7 + random() * 0.6;
             dummy.position.set(x, h, z);
+            this.treeColliders.push({ x, z, radius: 0.4 * scale });
             dummy.scale.set(scale, scale, scale);
-            dummy.rotation.y = Math.random() * Math.PI * 2;
+            dummy.rotation.y = random() * Math.PI * 2;
             dummy.updateMatrix();
 
             trunks.setMatrixAt(placed, dummy.matrix);
@@ -695,9 +739,11 @@ export class Vegetation {
 
         this.scene.add(trunks);
         this.scene.add(crowns);
+        this.poplarCrowns = crowns;
     }
 
     initSpruce() {
+        const random = createRandom(this.config.seed, 'spruce');
         const cfg = this.config.vegetation || {};
         const count = Math.floor((cfg.treeCount || 80) * 0.15);
 
@@ -721,17 +767,18 @@ export class Vegetation {
         let placed = 0;
 
         for (let i = 0; i < count * 4 && placed < count; i++) {
-            const x = (Math.random() - 0.5) * 340;
-            const z = (Math.random() - 0.5) * 340;
-            const h = this.getHeight(x, z);
+            const x = (random() - 0.5) * 340;
+            const z = (random() - 0.5) * 340;
+            const h = this.heightfield.getHeight(x, z);
 
             // Spruce on higher/drier ground
-            if (h < 2 || h > 9) continue;
+            if (h < 2 || h > 9 || this.heightfield.getSlope(x, z) > MAX_TREE_SLOPE) continue;
 
-            const scale = 0.6 + Math.random() * 0.8;
+            const scale = 0.6 + random() * 0.8;
             dummy.position.set(x, h, z);
+            this.treeColliders.push({ x, z, radius: 0.4 * scale });
             dummy.scale.set(scale, scale, scale);
-            dummy.rotation.y = Math.random() * Math.PI * 2;
+            dummy.rotation.y = random() * Math.PI * 2;
             dummy.updateMatrix();
 
             trunks.setMatrixAt(placed, dummy.matrix);
@@ -746,9 +793,11 @@ export class Vegetation {
 
         this.scene.add(trunks);
         this.scene.add(crowns);
+        this.spruceCrowns = crowns;
     }
 
     initBerryBushes() {
+        const random = createRandom(this.config.seed, 'berry-bushes');
         const cfg = this.config.vegetation || {};
         const count = cfg.bushCount || 40;
 
@@ -768,17 +817,17 @@ export class Vegetation {
         let placed = 0;
 
         for (let i = 0; i < count * 3 && placed < count; i++) {
-            const x = (Math.random() - 0.5) * 300;
-            const z = (Math.random() - 0.5) * 300;
-            const h = this.getHeight(x, z);
+            const x = (random() - 0.5) * 300;
+            const z = (random() - 0.5) * 300;
+            const h = this.heightfield.getHeight(x, z);
 
             // Bushes on moderate ground
-            if (h < 0.3 || h > 4) continue;
+            if (h < 0.3 || h > 4 || this.heightfield.getSlope(x, z) > MAX_TREE_SLOPE) continue;
 
-            const scale = 0.6 + Math.random() * 0.8;
+            const scale = 0.6 + random() * 0.8;
             dummy.position.set(x, h, z);
-            dummy.scale.set(scale, scale * (0.8 + Math.random() * 0.4), scale);
-            dummy.rotation.y = Math.random() * Math.PI * 2;
+            dummy.scale.set(scale, scale * (0.8 + random() * 0.4), scale);
+            dummy.rotation.y = random() * Math.PI * 2;
             dummy.updateMatrix();
 
             bushes.setMatrixAt(placed, dummy.matrix);
@@ -790,6 +839,45 @@ export class Vegetation {
         bushes.receiveShadow = true;
 
         this.scene.add(bushes);
+        this.berryBushes = bushes;
+    }
+
+    // The grass and crown shaders light themselves; follow the sun (and the dark) with Lighting
+    setSkyLight({ sunDirection, sunColor, tint }) {
+        this.lightTint.value.copy(tint);
+        [this.grassMesh, this.tallGrassMesh, this.treeCrowns, this.willowCrowns].forEach(mesh => {
+            const uniforms = mesh?.material.uniforms;
+            if (!uniforms) return;
+            uniforms.sunDirection.value.copy(sunDirection);
+            uniforms.sunColor.value.copy(sunColor);
+        });
+    }
+
+    // How hard the wind blows, as a multiple of CONFIG.wind (gusts included - see Weather)
+    setWind(gust) {
+        this.windGust.value = gust;
+    }
+
+    // Time of year, from a Seasons look: grass and leaves take on the season's colours, poplars
+    // turn gold, leaves fall for winter and the short grass goes under the snow
+    setSeason(look) {
+        const cfg = this.config.vegetation || {};
+
+        this.grassSeason.seasonColor.value.setHex(look.grassColor);
+        this.grassSeason.seasonMix.value = look.grassMix;
+        this.leafSeason.seasonColor.value.setHex(look.leafColor);
+        this.leafSeason.seasonMix.value = look.leafMix;
+
+        this.grassMesh.visible = look.shortGrass;
+        [this.treeCrowns, this.willowCrowns, this.poplarCrowns].forEach(crowns => {
+            crowns.visible = look.leaves;
+        });
+
+        this.poplarCrowns.material.color.setHex(look.poplarColor ?? (cfg.poplarColor || 0x3a5a2a));
+        this.berryBushes.material.color.setHex(look.bushColor ?? (cfg.berryBushColor || 0x2a4a2a));
+        // Evergreen, dusted with snow
+        this.spruceCrowns.material.color.setHex(cfg.spruceColor || 0x1a3320)
+            .lerp(SNOW_COLOR, look.snow * SPRUCE_SNOW);
     }
 
     update(time) {
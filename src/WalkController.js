@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+
+// First-person walking - explore the prairie on foot instead of orbiting above it.
+// Keys and pointer lock work like BoatController: WASD/arrows move, the mouse looks around once
+// the view is clicked (without pointer lock, A/D and the arrows turn instead of strafing).
+// Eye height follows the Heightfield; cabins, log piles and trees block the way, and the river
+// and the steepest bluffs stop you at their edge.
+
+const EYE_HEIGHT = 1.7;
+const BODY_RADIUS = 0.5;
+const WATER_EDGE = 0.7;    // River widths from the centre line where walking stops (see Heightfield.isNearWater)
+const MAX_SLOPE = THREE.MathUtils.degToRad(40); // Steeper ground is a cliff, not a path
+const WORLD_LIMIT = 190;   // Stay inside the 400-unit terrain
+
+export class WalkController {
+    constructor(camera, domElement, heightfield, colliders = []) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.heightfield = heightfield;
+        this.colliders = colliders; // { x, z, radius } circles on the ground
+
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.yaw = 0;
+        this.pitch = 0;
+
+        // Movement settings
+        this.walkSpeed = 6;        // Units per second
+        this.runMultiplier = 2;    // Holding Shift
+        this.turnSpeed = 1.8;      // Radians per second for keyboard turning
+        this.mouseSensitivity = 0.002;
+        this.smoothing = 10;       // Higher = snappier starts and stops
+
+        this.keys = {
+            forward: false,
+            backward: false,
+            left: false,
+            right: false,
+            run: false
+        };
+
+        this.enabled = false;
+        this.isPointerLocked = false;
+
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('keydown', (e) => this.onKey(e, true));
+        document.addEventListener('keyup', (e) => this.onKey(e, false));
+
+        // Mouse look - click the view to capture the pointer, Escape releases it
+        this.domElement.addEventListener('click', () => {
+            if (this.enabled && !this.isPointerLocked && this.domElement.requestPointerLock) {
+                this.domElement.requestPointerLock();
+            }
+        });
+
+        document.addEventListener('pointerlockchange', () => {
+            this.isPointerLocked = document.pointerLockElement === this.domElement;
+        });
+
+        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    }
+
+    onKey(e, pressed) {
+        // Typing an answer in a dialogue shouldn't walk
+        if (!this.enabled || (pressed && e.target.closest && e.target.closest('input, textarea, select'))) return;
+
+        switch (e.code) {
+            case 'KeyW':
+            case 'ArrowUp':
+                this.keys.forward = pressed;
+                break;
+            case 'KeyS':
+            case 'ArrowDown':
+                this.keys.backward = pressed;
+                break;
+            case 'KeyA':
+            case 'ArrowLeft':
+                this.keys.left = pressed;
+                break;
+            case 'KeyD':
+            case 'ArrowRight':
+                this.keys.right = pressed;
+                break;
+            case 'ShiftLeft':
+            case 'ShiftRight':
+                this.keys.run = pressed;
+                break;
+            default:
+                return;
+        }
+        // Stop arrow keys scrolling the page
+        e.preventDefault();
+    }
+
+    onMouseMove(e) {
+        if (!this.enabled || !this.isPointerLocked) return;
+
+        this.yaw -= e.movementX * this.mouseSensitivity;
+        this.pitch -= e.movementY * this.mouseSensitivity;
+
+        // Clamp pitch to prevent flipping
+        this.pitch = Math.max(-Math.PI / 2.5, Math.min(Math.PI / 2.5, this.pitch));
+    }
+
+    // Start walking where the orbit view was looking, facing the same way
+    enable(target) {
+        const look = new THREE.Vector3().subVectors(target, this.camera.position);
+        this.yaw = Math.atan2(-look.x, -look.z);
+        this.pitch = 0;
+        this.velocity.set(0, 0, 0);
+
+        const spot = this.findFreeSpot(target.x, target.z);
+        this.position.set(spot.x, 0, spot.z);
+        this.enabled = true;
+        this.updateCamera();
+    }
+
+    // Stop walking. Returns an orbit camera position and target framing where the walker stood.
+    disable() {
+        this.enabled = false;
+        this.releaseKeys();
+        if (this.isPointerLocked) document.exitPointerLock();
+
+        const forward = this.forward();
+        const target = new THREE.Vector3(
+            this.position.x + forward.x * 4,
+            Math.max(this.heightfield.getHeight(this.position.x, this.position.z), 0),
+            this.position.z + forward.z * 4
+        );
+        const cameraPosition = new THREE.Vector3(
+            this.position.x - forward.x * 14,
+            target.y + 10,
+            this.position.z - forward.z * 14
+        );
+        return { cameraPosition, target };
+    }
+
+    // Dialogues and popups need the cursor back and the walker standing still
+    pause() {
+        this.releaseKeys();
+        this.velocity.set(0, 0, 0);
+        if (this.isPointerLocked) document.exitPointerLock();
+    }
+
+    releaseKeys() {
+        Object.keys(this.keys).forEach(key => { this.keys[key] = false; });
+    }
+
+    forward() {
+        return new THREE.Vector3(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+    }
+
+    canStand(x, z) {
+        if (Math.abs(x) > WORLD_LIMIT || Math.abs(z) > WORLD_LIMIT) return false;
+        if (this.heightfield.isNearWater(x, z, WATER_EDGE)) return false;
+        if (this.heightfield.getSlope(x, z) > MAX_SLOPE) return false;
+        return !this.colliders.some(c => {
+            const dx = x - c.x;
+            const dz = z - c.z;
+            const reach = c.radius + BODY_RADIUS;
+            return dx * dx + dz * dz < reach * reach;
+        });
+    }
+
+    // Nearest walkable spot to (x, z), searching outward in rings from the nearest point inside
+    // the world (the orbit or canoe view can look at water or past the edge)
+    findFreeSpot(x, z) {
+        const cx = THREE.MathUtils.clamp(x, -WORLD_LIMIT, WORLD_LIMIT);
+        const cz = THREE.MathUtils.clamp(z, -WORLD_LIMIT, WORLD_LIMIT);
+        if (this.canStand(cx, cz)) return { x: cx, z: cz };
+        for (let radius = 1; radius < WORLD_LIMIT * 2; radius += 1) {
+            for (let step = 0; step < 16; step++) {
+                const angle = (step / 16) * Math.PI * 2;
+                const px = cx + Math.cos(angle) * radius;
+                const pz = cz + Math.sin(angle) * radius;
+                if (this.canStand(px, pz)) return { x: px, z: pz };
+            }
+        }
+        return { x: cx, z: cz };
+    }
+
+    update(deltaTime) {
+        if (!this.enabled) return;
+        const dt = Math.min(deltaTime, 0.1); // Don't leap after a stalled frame
+
+        // Keyboard turning when the mouse isn't captured
+        if (!this.isPointerLocked) {
+            if (this.keys.left) this.yaw += this.turnSpeed * dt;
+            if (this.keys.right) this.yaw -= this.turnSpeed * dt;
+        }
+
+        const forward = this.forward();
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+        const wish = new THREE.Vector3();
+        if (this.keys.forward) wish.add(forward);
+        if (this.keys.backward) wish.sub(forward);
+        if (this.isPointerLocked) {
+            if (this.keys.left) wish.sub(right);
+            if (this.keys.right) wish.add(right);
+        }
+        if (wish.lengthSq() > 0) {
+            wish.normalize().multiplyScalar(this.walkSpeed * (this.keys.run ? this.runMultiplier : 1));
+        }
+
+        // Ease towards the wanted velocity
+        this.velocity.lerp(wish, Math.min(1, this.smoothing * dt));
+        this.move(this.velocity.x * dt, this.velocity.z * dt);
+        this.updateCamera();
+    }
+
+    // Move with collisions, sliding along whatever is in the way. Only ever ends somewhere
+    // walkable (enable() starts the walker on walkable ground).
+    move(dx, dz) {
+        const { x, z } = this.position;
+        if (this.canStand(x + dx, z + dz)) {
+            this.position.x += dx;
+            this.position.z += dz;
+        } else if (this.canStand(x + dx, z)) {
+            this.position.x += dx;
+            this.velocity.z = 0;
+        } else if (this.canStand(x, z + dz)) {
+            this.position.z += dz;
+            this.velocity.x = 0;
+        } else {
+            this.velocity.set(0, 0, 0);
+        }
+    }
+
+    updateCamera() {
+        const ground = this.heightfield.getHeight(this.position.x, this.position.z);
+        this.position.y = ground + EYE_HEIGHT;
+        this.camera.position.copy(this.position);
+
+        const euler = new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ');
+        this.camera.quaternion.setFromEuler(euler);
+    }
+}
@@ -0,0 +1,353 @@
+import * as THREE from 'three';
+import { createRandom } from './Utils.js';
+
+// Weather - clear skies, overcast, rain, snow and prairie thunderstorms. Each state is a set of
+// targets (below) that the current weather eases towards, so a storm rolls in over half a minute
+// rather than switching on. World hands the blend on: Lighting darkens the clouds, sky and fog,
+// Vegetation bends the grass, reeds and tree crowns with the gusts, Terrain rings the water with
+// raindrops. The rain and snow themselves are GPU particles around the camera, and storms bring
+// lightning and thunder. Teachers pick the weather from the time controls or let it cycle.
+
+// cover: cloud cover, darkness: how grey the clouds are, dim: sunlight lost, haze: extra fog,
+// rain/snow: how hard it falls (0-1), wind: CONFIG.wind multiplier, gusts: CONFIG.wind.gustStrength
+// multiplier, lightning: how often strikes come (0 = never)
+export const WEATHER = {
+    clear: { label: 'Clear', icon: '☀️',
+        cover: 0, darkness: 0, dim: 0, haze: 0, rain: 0, snow: 0, wind: 1, gusts: 1, lightning: 0 },
+    overcast: { label: 'Overcast', icon: '☁️',
+        cover: 1, darkness: 0.35, dim: 0.35, haze: 0.3, rain: 0, snow: 0, wind: 1.3, gusts: 1.5, lightning: 0 },
+    rain: { label: 'Rain', icon: '🌧️',
+        cover: 1, darkness: 0.55, dim: 0.5, haze: 0.6, rain: 1, snow: 0, wind: 1.5, gusts: 2, lightning: 0 },
+    snow: { label: 'Snow', icon: '🌨️',
+        cover: 1, darkness: 0.25, dim: 0.35, haze: 0.8, rain: 0, snow: 1, wind: 1.2, gusts: 1.5, lightning: 0 },
+    storm: { label: 'Thunderstorm', icon: '⛈️',
+        cover: 1, darkness: 0.85, dim: 0.7, haze: 0.7, rain: 1, snow: 0, wind: 2, gusts: 3, lightning: 1 }
+};
+
+// What the cycle moves between - in winter (see setFreezing) the rain comes down as snow
+const CYCLE = ['clear', 'clear', 'overcast', 'rain', 'storm'];
+const WINTER_CYCLE = ['clear', 'clear', 'overcast', 'snow', 'snow'];
+
+const TRANSITION = 6;         // Seconds for the weather to get two-thirds of the way to a new state
+const PRECIPITATION_BOX = 60; // Width of the block of rain/snow kept around the camera
+const PRECIPITATION_HEIGHT = 30;
+const STRIKE_INTERVAL = [4, 14]; // Seconds between lightning strikes in a full storm
+const STRIKE_DISTANCE = [80, 220];
+const SOUND_SPEED = 343;      // Thunder follows the flash by distance / speed of sound
+
+// Rain and snow - each particle wraps around the camera in a PRECIPITATION_BOX block, falling and
+// drifting by the offset update() accumulates from the wind. seed decides which particles still
+// show when it's only spitting.
+const precipitationVertexShader = `
+    attribute float seed;
+    uniform vec3 offset;
+    uniform vec3 center;
+    uniform float amount;
+    uniform float size;
+    uniform float scale;
+    uniform float sway;
+    uniform float time;
+    uniform float boxSize;
+    uniform float boxHeight;
+    varying float vAlpha;
+
+    void main() {
+        vec3 pos;
+        pos.xz = center.xz + mod(position.xz + offset.xz - center.xz + boxSize * 0.5, boxSize) - boxSize * 0.5;
+        pos.y = center.y - boxHeight * 0.4 + mod(position.y - offset.y * (0.8 + seed * 0.4), boxHeight);
+
+        // Snowflakes flutter on the way down
+        pos.x += sin(time * 1.3 + seed * 40.0) * sway;
+        pos.z += cos(time * 1.1 + seed * 30.0) * sway;
+
+        vAlpha = step(seed, amount);
+        vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+        gl_PointSize = vAlpha * size * scale / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const precipitationFragmentShader = `
+    uniform vec3 color;
+    uniform float opacity;
+    uniform float streak;
+    varying float vAlpha;
+
+    void main() {
+        vec2 uv = gl_PointCoord - 0.5;
+        // Raindrops are thin vertical streaks, snowflakes soft dots
+        float drop = smoothstep(0.06, 0.0, abs(uv.x)) * (1.0 - abs(uv.y) * 2.0);
+        float flake = smoothstep(0.5, 0.15, length(uv));
+        float alpha = mix(flake, drop, streak) * opacity * vAlpha;
+        if (alpha < 0.01) discard;
+        gl_FragColor = vec4(color, alpha);
+    }
+`;
+
+export class Weather {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.config = config;
+        const weatherCfg = config.weather || {};
+        this.random = createRandom(config.seed, 'weather');
+
+        this.state = WEATHER[weatherCfg.state] ? weatherCfg.state : 'clear';
+        this.cycle = weatherCfg.cycle === true;
+        this.minutesPerState = weatherCfg.minutesPerState || 4;
+        this.thunder = weatherCfg.thunder !== false;
+        this.freezing = false;
+        this.listeners = [];
+
+        // The blend World reads - starts at the chosen state rather than easing in on load
+        this.current = { ...WEATHER[this.state] };
+        this.changing = true; // Easing towards the state (and lit once at the start)
+        this.sinceChange = 0;
+
+        this.windGust = 1;     // CONFIG.wind multiplier for this frame, gusts included
+        this.flash = 0;        // Lightning, 0-1
+        this.flashTime = Infinity;
+        this.nextStrike = this.strikeDelay();
+        this.offset = new THREE.Vector3();
+        this.windDirection = new THREE.Vector2(1, 0.3).normalize();
+
+        this.initPrecipitation();
+        this.initLightning();
+    }
+
+    initPrecipitation() {
+        const count = this.config.particles?.precipitationCount || 6000;
+        const positions = new Float32Array(count * 3);
+        const seeds = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = this.random() * PRECIPITATION_BOX;
+            positions[i * 3 + 1] = this.random() * PRECIPITATION_HEIGHT;
+            positions[i * 3 + 2] = this.random() * PRECIPITATION_BOX;
+            seeds[i] = this.random();
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('seed', new THREE.BufferAttribute(seeds, 1));
+
+        const create = ({ color, opacity, size, streak, sway }) => {
+            const points = new THREE.Points(geometry, new THREE.ShaderMaterial({
+                vertexShader: precipitationVertexShader,
+                fragmentShader: precipitationFragmentShader,
+                uniforms: {
+                    offset: { value: new THREE.Vector3() },
+                    center: { value: new THREE.Vector3() },
+                    amount: { value: 0 },
+                    size: { value: size },
+                    scale: { value: 500 },
+                    sway: { value: sway },
+                    time: { value: 0 },
+                    boxSize: { value: PRECIPITATION_BOX },
+                    boxHeight: { value: PRECIPITATION_HEIGHT },
+                    color: { value: new THREE.Color(color) },
+                    opacity: { value: opacity },
+                    streak: { value: streak }
+                },
+                transparent: true,
+                depthWrite: false
+            }));
+            // The particles move in the shader, so the geometry's bounds mean nothing
+            points.frustumCulled = false;
+            points.visible = false;
+            this.scene.add(points);
+            return points;
+        };
+
+        this.rain = create({ color: 0xaabbcc, opacity: 0.55, size: 0.6, streak: 1, sway: 0 });
+        this.snow = create({ color: 0xffffff, opacity: 0.9, size: 0.2, streak: 0, sway: 0.4 });
+    }
+
+    // A flash lighting the whole prairie, and a bolt out on the horizon
+    initLightning() {
+        this.lightningLight = new THREE.HemisphereLight(0xdde6ff, 0x334455, 0);
+        this.scene.add(this.lightningLight);
+
+        const points = new Float32Array(13 * 3);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(points, 3));
+        this.bolt = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xeef2ff, fog: false }));
+        this.bolt.frustumCulled = false;
+        this.bolt.visible = false;
+        this.scene.add(this.bolt);
+    }
+
+    // Change the weather (it eases in; the cycle carries on from here)
+    set(state) {
+        if (!WEATHER[state]) return;
+        this.state = state;
+        this.sinceChange = 0;
+        this.changing = true;
+        this.notify();
+    }
+
+    setCycle(cycle) {
+        this.cycle = cycle;
+        this.sinceChange = 0;
+        this.notify();
+    }
+
+    // Below freezing (winter), rain comes down as snow and storms don't thunder
+    setFreezing(freezing) {
+        if (freezing === this.freezing) return;
+        this.freezing = freezing;
+        this.changing = true;
+    }
+
+    // Called when the weather is set or the cycle turned on/off (not while it eases in)
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    get target() {
+        const target = { ...WEATHER[this.state] };
+        if (this.freezing) {
+            target.snow = Math.max(target.snow, target.rain);
+            target.rain = 0;
+            target.lightning = 0;
+        }
+        return target;
+    }
+
+    // Once per frame: ease towards the state, blow the gusts, move the rain and snow and strike
+    // the lightning. viewHeight is the drawing buffer's height in pixels (for particle sizes).
+    // Returns true when the blend in current moved, so the scene needs relighting.
+    update(deltaTime, time, camera, viewHeight) {
+        if (this.cycle) {
+            this.sinceChange += deltaTime;
+            if (this.sinceChange >= this.minutesPerState * 60) this.set(this.pickNext());
+        }
+
+        // Ease in
+        const moved = this.changing;
+        if (this.changing) {
+            const target = this.target;
+            const step = 1 - Math.exp(-deltaTime / TRANSITION);
+            let remaining = 0;
+            Object.keys(target).forEach(key => {
+                if (typeof target[key] !== 'number') return;
+                this.current[key] += (target[key] - this.current[key]) * step;
+                remaining = Math.max(remaining, Math.abs(target[key] - this.current[key]));
+            });
+            if (remaining < 0.002) {
+                Object.assign(this.current, target);
+                this.changing = false;
+            }
+        }
+        const weather = this.current;
+
+        // Gusts - a few slow waves that only sometimes line up
+        const swell = Math.max(0, Math.sin(time * 0.23) + Math.sin(time * 0.57 + 1.3) * 0.6 + Math.sin(time * 1.1 + 2) * 0.3) / 1.9;
+        const gustStrength = (this.config.wind?.gustStrength ?? 0.3) * weather.gusts;
+        this.windGust = weather.wind * (1 + gustStrength * swell * swell * 2);
+
+        // Rain and snow around the camera, blown downwind
+        const drift = this.windGust * 2;
+        this.offset.x += this.windDirection.x * drift * deltaTime;
+        this.offset.z += this.windDirection.y * drift * deltaTime;
+        this.moveParticles(this.rain, weather.rain, 18, deltaTime, time, camera, viewHeight);
+        this.moveParticles(this.snow, weather.snow, 1.5, deltaTime, time, camera, viewHeight);
+
+        this.updateLightning(deltaTime, camera, weather.lightning);
+        return moved;
+    }
+
+    moveParticles(points, amount, fallSpeed, deltaTime, time, camera, viewHeight) {
+        points.visible = amount > 0.01;
+        if (!points.visible) return;
+        const uniforms = points.material.uniforms;
+        uniforms.amount.value = amount;
+        uniforms.time.value = time;
+        uniforms.scale.value = viewHeight * 0.5;
+        uniforms.center.value.copy(camera.position);
+        uniforms.offset.value.x = this.offset.x;
+        uniforms.offset.value.z = this.offset.z;
+        uniforms.offset.value.y += fallSpeed * deltaTime;
+    }
+
+    updateLightning(deltaTime, camera, lightning) {
+        if (lightning > 0.5) {
+            this.nextStrike -= deltaTime;
+            if (this.nextStrike <= 0) {
+                this.strike(camera);
+                this.nextStrike = this.strikeDelay();
+            }
+        }
+
+        // A bright flash, a flicker, then the afterglow
+        this.flashTime += deltaTime;
+        const t = this.flashTime;
+        this.flash = t < 0.08 ? 1 : t < 0.16 ? 0.3 : t < 0.24 ? 0.9 : Math.max(0, 1 - (t - 0.24) * 3);
+        this.lightningLight.intensity = this.flash * 3;
+        this.bolt.visible = t < 0.3;
+    }
+
+    strikeDelay() {
+        const [min, max] = STRIKE_INTERVAL;
+        return min + this.random() * (max - min);
+    }
+
+    // A jagged bolt from the clouds to the ground somewhere around the camera
+    strike(camera) {
+        const angle = this.random() * Math.PI * 2;
+        const distance = STRIKE_DISTANCE[0] + this.random() * (STRIKE_DISTANCE[1] - STRIKE_DISTANCE[0]);
+        const x = camera.position.x + Math.cos(angle) * distance;
+        const z = camera.position.z + Math.sin(angle) * distance;
+
+        const positions = this.bolt.geometry.attributes.position;
+        const segments = positions.count - 1;
+        let dx = 0;
+        let dz = 0;
+        for (let i = 0; i <= segments; i++) {
+            positions.setXYZ(i, x + dx, 90 * (1 - i / segments), z + dz);
+            dx += (this.random() - 0.5) * 8;
+            dz += (this.random() - 0.5) * 8;
+        }
+        positions.needsUpdate = true;
+        this.flashTime = 0;
+
+        if (this.thunder) this.playThunder(distance / SOUND_SPEED, distance);
+    }
+
+    // A rumble of filtered noise - nearer strikes are louder and sharper. Only sounds once the
+    // page is allowed to play audio (after the student has clicked something).
+    playThunder(delay, distance) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+        if (!this.audio) this.audio = new AudioContext();
+        const audio = this.audio;
+        if (audio.state === 'suspended') audio.resume();
+        if (audio.state !== 'running') return;
+
+        const duration = 4;
+        const buffer = audio.createBuffer(1, Math.floor(audio.sampleRate * duration), audio.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1; // White noise, unseeded on purpose
+
+        const source = audio.createBufferSource();
+        source.buffer = buffer;
+        const filter = audio.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = THREE.MathUtils.mapLinear(distance, STRIKE_DISTANCE[0], STRIKE_DISTANCE[1], 400, 120);
+        const gain = audio.createGain();
+        const start = audio.currentTime + delay;
+        const loudness = THREE.MathUtils.mapLinear(distance, STRIKE_DISTANCE[0], STRIKE_DISTANCE[1], 0.6, 0.25);
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(loudness, start + 0.1);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+        source.connect(filter).connect(gain).connect(audio.destination);
+        source.start(start);
+    }
+
+    pickNext() {
+        const states = (this.freezing ? WINTER_CYCLE : CYCLE).filter(state => state !== this.state);
+        return states[Math.floor(this.random() * states.length)];
+    }
+}
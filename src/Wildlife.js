@@ -0,0 +1,587 @@
+import * as THREE from 'three';
+import { createRandom } from './Utils.js';
+
+// Wildlife - a bison herd grazing its way across the open prairie, deer at the edge of the
+// trees, ducks on the river and hawks circling overhead. Every animal is clickable for a short
+// name card (see SPECIES and WildlifeCard).
+//
+// Animals are built from a few shapes shared by their whole species. Up close each one is
+// modelled and animated; further off it's a single block, and beyond that it isn't drawn at all
+// (THREE.LOD). Only the animals near the camera think every frame - the rest steer a few times
+// a second.
+//
+//   const wildlife = new Wildlife(scene, terrain, config, props.colliders, vegetation.treeColliders);
+//   wildlife.update(deltaTime, elapsedTime, camera);   // every frame
+//   wildlife.clickables;                               // [{ object, species, size, y }]
+//   wildlife.isShown(object);                          // drawn right now?
+
+// Name cards. Michif spellings vary from community to community - check them with a local
+// knowledge keeper or language program before teaching them.
+export const SPECIES = {
+    bison: {
+        michif: 'Li Bufloo',
+        name: 'Plains bison',
+        icon: '🦬',
+        note: 'The buffalo hunt shaped Métis life on the plains. Whole families travelled out with ' +
+            'Red River carts, and the hunt kept its own laws and captains.'
+    },
+    deer: {
+        michif: 'Li Shevreuy',
+        name: 'White-tailed deer',
+        icon: '🦌',
+        note: 'Deer keep to the edge of the trees, where they can browse in the open and slip back ' +
+            'under cover. Their hides were tanned for moccasins and jackets.'
+    },
+    duck: {
+        michif: 'Li Kanaar',
+        name: 'Mallard',
+        icon: '🦆',
+        note: 'Ducks come back to the rivers and sloughs every spring and fly south before freeze-up.'
+    },
+    hawk: {
+        michif: 'Li Maanzhur di Pool',
+        name: 'Red-tailed hawk',
+        icon: '🦅',
+        note: 'Hawks ride the warm air rising off the prairie, circling high while they watch for ' +
+            'gophers and mice in the grass.'
+    }
+};
+
+// Distances (m) where an animal drops to its block, and then out of sight
+const LOD_DISTANCES = {
+    bison: [45, 170],
+    deer: [35, 140],
+    duck: [20, 80],
+    hawk: [60, 220]
+};
+
+const THINK_INTERVAL = 0.25;    // Seconds between steering updates for animals beyond their detail distance
+const HERD_GOAL_INTERVAL = 60;  // Seconds before the herd heads somewhere new
+const NEIGHBOUR_RADIUS = 10;    // Bison within this distance flock together
+const PERSONAL_SPACE = 3;       // ...and keep this far apart
+const DEER_WARY_DISTANCE = 14;  // Deer bound back into the trees when the camera comes closer
+
+function standard(color, roughness = 0.9) {
+    return new THREE.MeshStandardMaterial({ color, roughness });
+}
+
+// A leg hanging from its top, so rotating it swings it from the hip
+function legGeometry(radius, length) {
+    const geometry = new THREE.CylinderGeometry(radius, radius * 0.8, length, 6);
+    geometry.translate(0, -length / 2, 0);
+    return geometry;
+}
+
+function ellipsoid(geometry, material, [sx, sy, sz], [x, y, z]) {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.scale.set(sx, sy, sz);
+    mesh.position.set(x, y, z);
+    return mesh;
+}
+
+export class Wildlife {
+    constructor(scene, terrain, config, colliders = [], trees = []) {
+        this.scene = scene;
+        this.terrain = terrain;
+        this.heightfield = terrain.heightfield;
+        this.config = config;
+        this.cfg = config.wildlife || {};
+        this.colliders = colliders;
+        this.trees = trees;
+        this.random = createRandom(config.seed, 'wildlife');
+
+        this.half = this.heightfield.size / 2 - 20;   // Animals keep well inside the terrain's edge
+        this.animals = [];
+        this.clickables = [];
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+
+        this.sphere = new THREE.SphereGeometry(1, 12, 8);
+        this.block = new THREE.SphereGeometry(1, 6, 4);   // The far level of detail
+
+        if (this.cfg.enabled !== false) {
+            this.createHerd();
+            this.createDeer();
+            this.createDucks();
+            this.createHawks();
+        }
+    }
+
+    // Wrap an animal's detailed model and its far block in an LOD, on a group of its own that
+    // moves and turns (+z is forward) and carries the click zone
+    addAnimal(species, detailed, simple, animal, zone) {
+        const [near, far] = LOD_DISTANCES[species];
+        const lod = new THREE.LOD();
+        lod.addLevel(detailed, 0);
+        lod.addLevel(simple, near);
+        lod.addLevel(new THREE.Object3D(), far);
+
+        const object = new THREE.Group();
+        object.add(lod);
+        this.group.add(object);
+
+        Object.assign(animal, { species, object, lod, thinkTimer: this.random() * THINK_INTERVAL });
+        this.animals.push(animal);
+        this.clickables.push({ object, species, ...zone });
+        return animal;
+    }
+
+    // A spot on open ground: inside the prairie, out of the river and clear of the cabins and fires
+    isOpenGround(x, z, margin = 0) {
+        if (Math.abs(x) > this.half || Math.abs(z) > this.half) return false;
+        if (this.heightfield.isNearWater(x, z, 1.4)) return false;
+        return !this.colliders.some(c => Math.hypot(x - c.x, z - c.z) < c.radius + margin);
+    }
+
+    randomOpenGround(margin) {
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const x = (this.random() - 0.5) * this.half * 2;
+            const z = (this.random() - 0.5) * this.half * 2;
+            if (this.isOpenGround(x, z, margin)) return new THREE.Vector2(x, z);
+        }
+        return new THREE.Vector2(0, this.half * 0.8);
+    }
+
+    // === BISON ===
+
+    createHerd() {
+        const count = this.cfg.bisonCount ?? 14;
+        if (count <= 0) return;
+
+        const furMat = standard(this.cfg.bisonColor || 0x3b2a1e);
+        const maneMat = standard(0x24170f, 1);
+        const hornMat = standard(0x1a1714, 0.5);
+        const hornGeo = new THREE.ConeGeometry(0.06, 0.3, 5);
+        const legGeo = legGeometry(0.11, 1.0);
+
+        this.herdGoal = this.randomOpenGround(15);
+        this.herdGoalTimer = HERD_GOAL_INTERVAL;
+        const start = this.randomOpenGround(15);
+
+        for (let i = 0; i < count; i++) {
+            const size = 0.85 + this.random() * 0.3;  // Calves to big bulls
+            const detailed = new THREE.Group();
+            detailed.add(ellipsoid(this.sphere, furMat, [0.7, 0.75, 1.25], [0, 1.25, -0.1]));  // Body
+            detailed.add(ellipsoid(this.sphere, maneMat, [0.72, 0.8, 0.75], [0, 1.5, 0.5]));  // Hump
+
+            const head = new THREE.Group();
+            head.position.set(0, 1.3, 1.15);
+            head.add(ellipsoid(this.sphere, maneMat, [0.35, 0.42, 0.5], [0, -0.2, 0.3]));
+            head.add(ellipsoid(this.sphere, maneMat, [0.15, 0.3, 0.15], [0, -0.55, 0.3]));  // Beard
+            [-1, 1].forEach(side => {
+                const horn = new THREE.Mesh(hornGeo, hornMat);
+                horn.position.set(side * 0.35, 0.05, 0.35);
+                horn.rotation.z = -side * 0.9;
+                head.add(horn);
+            });
+            detailed.add(head);
+
+            const legs = [[-0.3, 0.75], [0.3, 0.75], [-0.3, -0.85], [0.3, -0.85]].map(([x, z]) => {
+                const leg = new THREE.Mesh(legGeo, furMat);
+                leg.position.set(x, 1.0, z);
+                detailed.add(leg);
+                return leg;
+            });
+            detailed.traverse(mesh => { mesh.castShadow = true; });
+
+            const simple = ellipsoid(this.block, furMat, [0.8, 0.9, 1.5], [0, 1.2, 0.1]);
+            detailed.scale.setScalar(size);
+            simple.scale.multiplyScalar(size);
+
+            const animal = this.addAnimal('bison', detailed, simple, {
+                position: new THREE.Vector2(start.x + (this.random() - 0.5) * 16, start.y + (this.random() - 0.5) * 16),
+                velocity: new THREE.Vector2(),
+                heading: this.random() * Math.PI * 2,
+                steer: new THREE.Vector2(),
+                grazing: true,
+                stateTimer: this.random() * 10,
+                step: this.random() * Math.PI * 2,
+                head,
+                legs
+            }, { size: [2, 2.4, 3.2], y: 1.2 });
+            if (!this.isOpenGround(animal.position.x, animal.position.y)) animal.position.copy(start);
+        }
+    }
+
+    // Boids: keep apart, line up and stay together, drift towards the herd's goal, and steer
+    // clear of the river, the cabins and fires, the trees and the edge of the prairie
+    thinkBison(bison, herd) {
+        const { position } = bison;
+        const separation = new THREE.Vector2();
+        const alignment = new THREE.Vector2();
+        const centre = new THREE.Vector2();
+        let neighbours = 0;
+
+        herd.forEach(other => {
+            if (other === bison) return;
+            const distance = position.distanceTo(other.position);
+            if (distance > NEIGHBOUR_RADIUS) return;
+            neighbours++;
+            alignment.add(other.velocity);
+            centre.add(other.position);
+            if (distance < PERSONAL_SPACE && distance > 0) {
+                separation.add(position.clone().sub(other.position).divideScalar(distance * distance));
+            }
+        });
+
+        const steer = bison.steer.set(0, 0);
+        if (neighbours > 0) {
+            steer.add(alignment.divideScalar(neighbours).multiplyScalar(0.5));
+            steer.add(centre.divideScalar(neighbours).sub(position).multiplyScalar(0.05));
+        }
+        steer.add(separation.multiplyScalar(2));
+        steer.add(this.herdGoal.clone().sub(position).normalize().multiplyScalar(0.35));
+        steer.add(this.avoidance(position, 3));
+
+        // Straying from the herd (or something in the way) gets a bison walking
+        if (neighbours === 0 || steer.length() > 1.5) bison.grazing = false;
+    }
+
+    // Push away from the river, obstacles and the prairie's edge
+    avoidance(position, margin) {
+        const push = new THREE.Vector2();
+        const { center, width } = this.heightfield.getRiverAt(position.x);
+        const fromRiver = position.y - center;
+        if (Math.abs(fromRiver) < width * 1.8) {
+            push.y += Math.sign(fromRiver || 1) * (width * 1.8 - Math.abs(fromRiver)) * 0.4;
+        }
+
+        const avoid = (obstacle, radius) => {
+            const dx = position.x - obstacle.x;
+            const dz = position.y - obstacle.z;
+            const distance = Math.hypot(dx, dz);
+            if (distance < radius && distance > 0) {
+                push.x += dx / distance * (radius - distance) * 0.5;
+                push.y += dz / distance * (radius - distance) * 0.5;
+            }
+        };
+        this.colliders.forEach(c => avoid(c, c.radius + margin));
+        this.trees.forEach(t => avoid(t, t.radius + 1.5));
+
+        if (Math.abs(position.x) > this.half) push.x -= Math.sign(position.x) * 2;
+        if (Math.abs(position.y) > this.half) push.y -= Math.sign(position.y) * 2;
+        return push;
+    }
+
+    updateHerd(deltaTime) {
+        const herd = this.animals.filter(animal => animal.species === 'bison');
+        if (herd.length === 0) return;
+
+        // The herd moves on to fresh grass now and then
+        this.herdGoalTimer -= deltaTime;
+        const centre = herd.reduce((sum, bison) => sum.add(bison.position), new THREE.Vector2()).divideScalar(herd.length);
+        if (this.herdGoalTimer <= 0 || centre.distanceTo(this.herdGoal) < 8) {
+            this.herdGoal = this.randomOpenGround(15);
+            this.herdGoalTimer = HERD_GOAL_INTERVAL;
+        }
+
+        herd.forEach(bison => {
+            if (this.shouldThink(bison, deltaTime)) this.thinkBison(bison, herd);
+
+            // Graze for a while, then walk a few steps on
+            bison.stateTimer -= deltaTime;
+            if (bison.stateTimer <= 0) {
+                bison.grazing = !bison.grazing;
+                bison.stateTimer = bison.grazing ? 6 + this.random() * 12 : 3 + this.random() * 5;
+            }
+
+            const walkSpeed = this.cfg.bisonSpeed || 1.2;
+            const desired = bison.steer.clone();
+            if (desired.length() > 0) desired.setLength(bison.grazing ? walkSpeed * 0.08 : walkSpeed);
+            bison.velocity.lerp(desired, Math.min(1, deltaTime * 0.8));
+            this.move(bison, deltaTime);
+
+            // Head down to graze, legs swing with the pace
+            if (bison.lod.getCurrentLevel() === 0) {
+                const speed = bison.velocity.length();
+                bison.step += deltaTime * speed * 3;
+                const swing = Math.sin(bison.step) * Math.min(speed, 1) * 0.4;
+                bison.legs.forEach((leg, i) => { leg.rotation.x = i === 0 || i === 3 ? swing : -swing; });
+                const target = speed < walkSpeed * 0.3 ? 0.7 : 0.1;
+                bison.head.rotation.x += (target - bison.head.rotation.x) * Math.min(1, deltaTime * 2);
+            }
+        });
+    }
+
+    // === DEER ===
+
+    createDeer() {
+        const count = this.cfg.deerCount ?? 5;
+        if (count <= 0 || this.trees.length === 0) return;
+
+        const coatMat = standard(0x9a6a42);
+        const bellyMat = standard(0xe8dcc8);
+        const darkMat = standard(0x2a201a);
+        const legGeo = legGeometry(0.05, 0.8);
+        const antlerGeo = new THREE.ConeGeometry(0.03, 0.45, 4);
+
+        for (let i = 0; i < count; i++) {
+            // At the tree line: a few steps out from a tree, on the open side
+            const tree = this.trees[Math.floor(this.random() * this.trees.length)];
+            const angle = this.random() * Math.PI * 2;
+            const home = new THREE.Vector2(tree.x + Math.cos(angle) * 4, tree.z + Math.sin(angle) * 4);
+            if (this.heightfield.isNearWater(home.x, home.y, 1)) continue;
+
+            const detailed = new THREE.Group();
+            detailed.add(ellipsoid(this.sphere, coatMat, [0.3, 0.35, 0.7], [0, 1.05, 0]));
+            detailed.add(ellipsoid(this.sphere, bellyMat, [0.08, 0.12, 0.06], [0, 1.2, -0.68]));  // White tail
+
+            const head = new THREE.Group();
+            head.position.set(0, 1.25, 0.55);
+            head.add(ellipsoid(this.sphere, coatMat, [0.1, 0.35, 0.1], [0, 0.25, 0.05]));   // Neck
+            head.add(ellipsoid(this.sphere, coatMat, [0.13, 0.13, 0.25], [0, 0.55, 0.2]));  // Head
+            head.add(ellipsoid(this.sphere, darkMat, [0.04, 0.04, 0.04], [0, 0.52, 0.45])); // Nose
+            if (this.random() < 0.4) {
+                [-1, 1].forEach(side => {
+                    const antler = new THREE.Mesh(antlerGeo, bellyMat);
+                    antler.position.set(side * 0.1, 0.85, 0.15);
+                    antler.rotation.z = -side * 0.4;
+                    head.add(antler);
+                });
+            }
+            detailed.add(head);
+
+            const legs = [[-0.15, 0.4], [0.15, 0.4], [-0.15, -0.45], [0.15, -0.45]].map(([x, z]) => {
+                const leg = new THREE.Mesh(legGeo, coatMat);
+                leg.position.set(x, 0.85, z);
+                detailed.add(leg);
+                return leg;
+            });
+            detailed.traverse(mesh => { mesh.castShadow = true; });
+
+            const simple = ellipsoid(this.block, coatMat, [0.35, 0.6, 0.8], [0, 1.0, 0]);
+
+            this.addAnimal('deer', detailed, simple, {
+                home,
+                tree,
+                position: home.clone(),
+                velocity: new THREE.Vector2(),
+                heading: angle + Math.PI,
+                steer: new THREE.Vector2(),
+                push: new THREE.Vector2(),
+                fleeing: 0,
+                stateTimer: this.random() * 8,
+                step: 0,
+                head,
+                legs
+            }, { size: [1, 2, 1.8], y: 1.1 });
+        }
+    }
+
+    // Browse near home; when the camera comes close, bound back past the tree
+    thinkDeer(deer, camera) {
+        const cameraDistance = Math.hypot(camera.position.x - deer.position.x, camera.position.z - deer.position.y);
+        if (deer.fleeing <= 0) {
+            const toHome = deer.home.clone().sub(deer.position);
+            if (cameraDistance < DEER_WARY_DISTANCE) {
+                deer.fleeing = 3;
+                deer.steer.set(deer.tree.x - camera.position.x, deer.tree.z - camera.position.z).setLength(6);
+            } else if (toHome.length() > 6) {
+                deer.steer.copy(toHome.setLength(0.8));
+            }
+        }
+        deer.push.copy(this.avoidance(deer.position, 1)).multiplyScalar(0.5);
+    }
+
+    updateDeer(deltaTime, camera) {
+        this.animals.forEach(deer => {
+            if (deer.species !== 'deer') return;
+            if (this.shouldThink(deer, deltaTime)) this.thinkDeer(deer, camera);
+
+            deer.fleeing -= deltaTime;
+            deer.stateTimer -= deltaTime;
+            if (deer.stateTimer <= 0 && deer.fleeing <= 0) {
+                // Wander a step or two, then stand and browse
+                deer.stateTimer = 4 + this.random() * 8;
+                const angle = this.random() * Math.PI * 2;
+                deer.steer.set(Math.cos(angle), Math.sin(angle)).multiplyScalar(0.6);
+            } else if (deer.fleeing <= 0) {
+                deer.steer.multiplyScalar(Math.max(0, 1 - deltaTime * 0.5));
+            }
+
+            const desired = deer.steer.clone().add(deer.push);
+            deer.velocity.lerp(desired, Math.min(1, deltaTime * (deer.fleeing > 0 ? 4 : 1)));
+            this.move(deer, deltaTime);
+
+            if (deer.lod.getCurrentLevel() === 0) {
+                const speed = deer.velocity.length();
+                deer.step += deltaTime * speed * 4;
+                const swing = Math.sin(deer.step) * Math.min(speed, 1) * 0.5;
+                deer.legs.forEach((leg, i) => { leg.rotation.x = i < 2 ? swing : -swing; });
+                // Head down to browse, up and alert when something comes near
+                const target = deer.fleeing > 0 || speed > 0.3 ? 0 : 1.1;
+                deer.head.rotation.x += (target - deer.head.rotation.x) * Math.min(1, deltaTime * 3);
+            }
+        });
+    }
+
+    // === DUCKS ===
+
+    createDucks() {
+        const count = this.cfg.duckCount ?? 8;
+        if (count <= 0) return;
+
+        const bodyMat = standard(0x8a7660);
+        const headMat = standard(0x1e5a32, 0.4);
+        const billMat = standard(0xd8a020, 0.6);
+        const billGeo = new THREE.ConeGeometry(0.04, 0.14, 5);
+        billGeo.rotateX(Math.PI / 2);
+
+        // A couple of small groups paddling together
+        let groupX = 0;
+        for (let i = 0; i < count; i++) {
+            if (i % 4 === 0) groupX = (this.random() - 0.5) * this.half * 1.6;
+            const detailed = new THREE.Group();
+            detailed.add(ellipsoid(this.sphere, bodyMat, [0.17, 0.12, 0.3], [0, 0.05, 0]));
+            const female = this.random() < 0.4;
+            detailed.add(ellipsoid(this.sphere, female ? bodyMat : headMat, [0.09, 0.1, 0.1], [0, 0.22, 0.22]));
+            const bill = new THREE.Mesh(billGeo, billMat);
+            bill.position.set(0, 0.2, 0.35);
+            detailed.add(bill);
+
+            const simple = ellipsoid(this.block, bodyMat, [0.18, 0.15, 0.32], [0, 0.08, 0]);
+
+            this.addAnimal('duck', detailed, simple, {
+                position: new THREE.Vector2(groupX + (this.random() - 0.5) * 6, 0),
+                lane: (this.random() - 0.5) * 0.8,                 // Across the river, in river widths
+                speed: (0.3 + this.random() * 0.3) * (this.random() < 0.5 ? -1 : 1),
+                bob: this.random() * Math.PI * 2
+            }, { size: [0.8, 0.8, 1], y: 0.2 });
+        }
+    }
+
+    // Paddle up or down the river, turning at the prairie's edges; gone south while it's frozen
+    updateDucks(deltaTime, time) {
+        this.animals.forEach(duck => {
+            if (duck.species !== 'duck') return;
+            duck.object.visible = !this.terrain.frozen;
+            if (!duck.object.visible) return;
+
+            duck.position.x += duck.speed * deltaTime;
+            if (Math.abs(duck.position.x) > this.half) duck.speed = -Math.sign(duck.position.x) * Math.abs(duck.speed);
+            const { center, width, direction } = this.heightfield.getRiverAt(duck.position.x);
+            duck.position.y = center + duck.lane * width * 0.5;
+
+            const { x, y: z } = duck.position;
+            duck.object.position.set(x, this.terrain.waterLevel + this.terrain.getWaveHeight(x, z, time), z);
+            duck.object.rotation.y = Math.atan2(direction.x * Math.sign(duck.speed), direction.y * Math.sign(duck.speed));
+            duck.object.rotation.z = Math.sin(time * 2 + duck.bob) * 0.06;
+        });
+    }
+
+    // === HAWKS ===
+
+    createHawks() {
+        const count = this.cfg.hawkCount ?? 2;
+        if (count <= 0) return;
+
+        const featherMat = standard(0x6b4a2e);
+        const tailMat = standard(0xa0502a);
+        const wingGeo = new THREE.BoxGeometry(0.7, 0.03, 0.3);
+        wingGeo.translate(0.35, 0, 0);
+
+        for (let i = 0; i < count; i++) {
+            const detailed = new THREE.Group();
+            detailed.add(ellipsoid(this.sphere, featherMat, [0.12, 0.1, 0.3], [0, 0, 0]));
+            detailed.add(ellipsoid(this.sphere, tailMat, [0.1, 0.02, 0.15], [0, 0, -0.35]));
+            const wings = [-1, 1].map(side => {
+                const wing = new THREE.Mesh(wingGeo, featherMat);
+                wing.scale.x = side;
+                detailed.add(wing);
+                return wing;
+            });
+
+            const simple = new THREE.Mesh(wingGeo, featherMat);
+            simple.scale.set(2, 1, 1);
+            simple.position.x = -0.7;
+
+            const centre = this.randomOpenGround(0);
+            this.addAnimal('hawk', detailed, simple, {
+                centre,
+                drift: new THREE.Vector2(this.random() - 0.5, this.random() - 0.5).setLength(0.4),
+                radius: 15 + this.random() * 15,
+                height: 35 + this.random() * 20,
+                angle: this.random() * Math.PI * 2,
+                angularSpeed: (0.12 + this.random() * 0.08) * (this.random() < 0.5 ? -1 : 1),
+                wings
+            }, { size: [3, 1.5, 3], y: 0 });
+        }
+    }
+
+    // Circle on the rising air; the circle itself drifts slowly across the prairie
+    updateHawks(deltaTime, time) {
+        this.animals.forEach(hawk => {
+            if (hawk.species !== 'hawk') return;
+
+            hawk.centre.addScaledVector(hawk.drift, deltaTime);
+            if (Math.abs(hawk.centre.x) > this.half) hawk.drift.x = -Math.sign(hawk.centre.x) * Math.abs(hawk.drift.x);
+            if (Math.abs(hawk.centre.y) > this.half) hawk.drift.y = -Math.sign(hawk.centre.y) * Math.abs(hawk.drift.y);
+
+            hawk.angle += hawk.angularSpeed * deltaTime;
+            const x = hawk.centre.x + Math.cos(hawk.angle) * hawk.radius;
+            const z = hawk.centre.y + Math.sin(hawk.angle) * hawk.radius;
+            const y = hawk.height + Math.sin(time * 0.3 + hawk.radius) * 3;
+            hawk.object.position.set(x, y, z);
+
+            // Face along the circle and bank into it
+            const turn = Math.sign(hawk.angularSpeed);
+            hawk.object.rotation.set(0, -hawk.angle - (turn > 0 ? 0 : Math.PI), 0);
+            hawk.object.rotateZ(turn * 0.35);
+
+            // Mostly gliding, with a few wingbeats now and then
+            if (hawk.lod.getCurrentLevel() === 0) {
+                const flap = Math.sin(time * 0.25 + hawk.radius) > 0.85 ? Math.sin(time * 12) * 0.5 : 0.08;
+                hawk.wings.forEach(wing => { wing.rotation.z = flap * wing.scale.x; });
+            }
+        });
+    }
+
+    // === SHARED ===
+
+    // Near animals steer every frame; far ones a few times a second
+    shouldThink(animal, deltaTime) {
+        if (animal.lod.getCurrentLevel() === 0) return true;
+        animal.thinkTimer -= deltaTime;
+        if (animal.thinkTimer > 0) return false;
+        animal.thinkTimer = THINK_INTERVAL;
+        return true;
+    }
+
+    // Walk along the velocity, on the ground, turning smoothly to face the way it's going
+    move(animal, deltaTime) {
+        const { position, velocity } = animal;
+        const next = position.clone().addScaledVector(velocity, deltaTime);
+        // Never step into the river or a cabin - stop and let the steering find another way
+        if (this.isOpenGround(next.x, next.y) || !this.isOpenGround(position.x, position.y)) {
+            position.copy(next);
+        } else {
+            velocity.multiplyScalar(0.5);
+        }
+
+        if (velocity.lengthSq() > 0.01) {
+            const target = Math.atan2(velocity.x, velocity.y);
+            const turn = Math.atan2(Math.sin(target - animal.heading), Math.cos(target - animal.heading));
+            animal.heading += turn * Math.min(1, deltaTime * 2);
+        }
+        animal.object.position.set(position.x, this.heightfield.getHeight(position.x, position.y), position.y);
+        animal.object.rotation.y = animal.heading;
+    }
+
+    // Whether an animal's object is drawn at all (not gone south, nor beyond its last LOD level)
+    isShown(object) {
+        const animal = this.animals.find(a => a.object === object);
+        return Boolean(animal) && object.visible && animal.lod.getCurrentLevel() < 2;
+    }
+
+    update(deltaTime, time, camera) {
+        if (this.animals.length === 0) return;
+        // Pick each animal's level of detail now (the renderer only does it for those in view)
+        this.animals.forEach(animal => animal.lod.update(camera));
+
+        deltaTime = Math.min(deltaTime, 0.1); // No leaps after a stall or a hidden tab
+        this.updateHerd(deltaTime);
+        this.updateDeer(deltaTime, camera);
+        this.updateDucks(deltaTime, time);
+        this.updateHawks(deltaTime, time);
+    }
+}
@@ -0,0 +1,41 @@
+import { SPECIES } from './Wildlife.js';
+
+// Wildlife name card - the small card that pops up when a student clicks an animal: its Michif
+// name, its English name and a line about it. It doesn't stop the prairie (no modal); it fades
+// after a few seconds, or on the close button or another click.
+// Markup lives in index.html (#wildlife-card), styles in styles.css.
+
+const SHOW_MS = 8000;
+
+export class WildlifeCard {
+    constructor() {
+        this.element = document.getElementById('wildlife-card');
+        this.icon = document.getElementById('wildlife-icon');
+        this.michif = document.getElementById('wildlife-michif');
+        this.name = document.getElementById('wildlife-name');
+        this.note = document.getElementById('wildlife-note');
+        this.timer = null;
+        if (!this.element) return;
+
+        document.getElementById('wildlife-close-btn').addEventListener('click', () => this.hide());
+    }
+
+    show(species) {
+        const info = SPECIES[species];
+        if (!this.element || !info) return;
+
+        this.icon.textContent = info.icon;
+        this.michif.textContent = info.michif;
+        this.name.textContent = info.name;
+        this.note.textContent = info.note;
+        this.element.classList.add('visible');
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.hide(), SHOW_MS);
+    }
+
+    hide() {
+        clearTimeout(this.timer);
+        if (this.element) this.element.classList.remove('visible');
+    }
+}
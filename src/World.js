@@ -7,10 +7,20 @@ import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
 import { Lighting } from './Lighting.js';
 import { Terrain } from './Terrain.js';
+import { Heightfield } from './Heightfield.js';
 import { Vegetation } from './Vegetation.js';
 import { Props } from './Props.js';
 import { InteractionManager } from './InteractionManager.js';
 import { Minimap } from './Minimap.js';
+import { WalkController } from './WalkController.js';
+import { BoatController } from './BoatController.js';
+import { FrameGovernor } from './FrameGovernor.js';
+import { seedNoise } from './Utils.js';
+import { WorldClock } from './WorldClock.js';
+import { Seasons } from './Seasons.js';
+import { Weather } from './Weather.js';
+import { Wildlife } from './Wildlife.js';
+import { WildlifeCard } from './WildlifeCard.js';
 
 // Height-based atmospheric fog shader
 const HeightFogShader = {
@@ -120,6 +130,7 @@ const ColorGradingShader = {
         'brightness': { value: 0.02 },
         'vignetteAmount': { value: 0.3 },
         'vignetteSize': { value: 0.5 },
+        'warmth': { value: 1.0 },     // 1 = golden hour, 0 = neutral, -1 = cool moonlight
     },
     vertexShader: `
         varying vec2 vUv;
@@ -135,6 +146,7 @@ const ColorGradingShader = {
         uniform float brightness;
         uniform float vignetteAmount;
         uniform float vignetteSize;
+        uniform float warmth;
         varying vec2 vUv;
 
         void main() {
@@ -150,9 +162,9 @@ const ColorGradingShader = {
             float gray = dot(color.rgb, vec3(0.299, 0.587, 0.114));
             color.rgb = mix(vec3(gray), color.rgb, saturation);
 
-            // Warm color grading (golden hour boost)
-            color.r *= 1.02;
-            color.b *= 0.95;
+            // Warm color grading (golden hour boost), cool at night
+            color.r *= 1.0 + 0.02 * warmth;
+            color.b *= 1.0 - 0.05 * warmth;
 
             // Vignette
             vec2 center = vUv - 0.5;
@@ -166,27 +178,30 @@ const ColorGradingShader = {
 };
 
 export class World {
-    constructor(container, config) {
+    constructor(container, config, stations) {
         this.container = container;
         this.config = config;
+        this.stations = stations;
         this.width = window.innerWidth;
         this.height = window.innerHeight;
+        // Renderer and post-processing budget from the quality preset (see GraphicsQuality)
+        this.graphics = config.graphics || {};
 
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(60, this.width / this.height, 0.1, 1000);
         this.camera.position.set(0, 15, 40); // Elevated view
 
         this.renderer = new THREE.WebGLRenderer({
-            antialias: true,
+            antialias: this.graphics.antialias !== false,
             powerPreference: "high-performance",
             failIfMajorPerformanceCaveat: false
         });
         this.renderer.setSize(this.width, this.height);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.graphics.pixelRatio || 2));
 
         // Enable shadows for realistic lighting
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.renderer.shadowMap.enabled = this.graphics.shadows !== false;
+        this.renderer.shadowMap.type = this.graphics.softShadows === false ? THREE.PCFShadowMap : THREE.PCFSoftShadowMap;
 
         // ACES Filmic tone mapping for cinematic look
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
@@ -198,6 +213,10 @@ export class World {
         // Setup post-processing
         this.setupPostProcessing();
 
+        // Trades resolution for frame rate as the load changes (and idles when nobody is looking)
+        this.governor = new FrameGovernor(this.renderer,
+            { composer: this.composer, bloomPass: this.bloomPass, godRaysPass: this.godRaysPass }, this.graphics);
+
         // Orbit controls for pan/rotate/zoom
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
         this.controls.enableDamping = true;
@@ -208,11 +227,22 @@ export class World {
         this.controls.target.set(0, 0, 0);
 
         this.clock = new THREE.Clock();
+        // Time of day - moves the sun and moon (see WorldClock and updateTimeOfDay)
+        this.dayNight = config.dayNight || {};
+        this.worldClock = new WorldClock(this.dayNight);
+        // Time of year - recolours the land, freezes the river (see Seasons and applySeason)
+        this.seasons = new Seasons(config.seasons);
 
         this.init();
     }
 
     setupPostProcessing() {
+        const { bloom = true, godRays = true, heightFog = true, colorGrading = true } = this.graphics;
+
+        // Without any effects the renderer draws straight to the screen (tone mapping included)
+        this.composer = null;
+        if (!bloom && !godRays && !heightFog && !colorGrading) return;
+
         // Create effect composer
         this.composer = new EffectComposer(this.renderer);
 
@@ -221,28 +251,39 @@ export class World {
         this.composer.addPass(renderPass);
 
         // Bloom pass - creates glow on bright objects (sun, fire)
-        const bloomPass = new UnrealBloomPass(
-            new THREE.Vector2(this.width, this.height),
-            0.5,    // strength - increased for more visible glow
-            0.5,    // radius
-            0.8     // threshold
-        );
-        this.composer.addPass(bloomPass);
-        this.bloomPass = bloomPass;
+        if (bloom) {
+            const bloomPass = new UnrealBloomPass(
+                new THREE.Vector2(this.width, this.height),
+                0.5,    // strength - increased for more visible glow
+                0.5,    // radius
+                0.8     // threshold
+            );
+            this.composer.addPass(bloomPass);
+            this.bloomPass = bloomPass;
+        }
 
         // God rays pass - volumetric light scattering from sun
-        const godRaysPass = new ShaderPass(GodRaysShader);
-        this.composer.addPass(godRaysPass);
-        this.godRaysPass = godRaysPass;
+        if (godRays) {
+            const godRaysPass = new ShaderPass(GodRaysShader);
+            godRaysPass.uniforms['samples'].value = Math.min(this.graphics.godRaySamples || 60, 60);
+            this.composer.addPass(godRaysPass);
+            this.godRaysPass = godRaysPass;
+        }
 
         // Height-based atmospheric fog pass
-        const heightFogPass = new ShaderPass(HeightFogShader);
-        heightFogPass.uniforms['fogColor'].value = new THREE.Color(this.config.fog?.color || 0xeedd99);
-        this.composer.addPass(heightFogPass);
+        if (heightFog) {
+            const heightFogPass = new ShaderPass(HeightFogShader);
+            heightFogPass.uniforms['fogColor'].value = new THREE.Color(this.config.fog?.color || 0xeedd99);
+            this.composer.addPass(heightFogPass);
+            this.heightFogPass = heightFogPass;
+        }
 
         // Color grading pass - saturation, contrast, vignette
-        const colorGradingPass = new ShaderPass(ColorGradingShader);
-        this.composer.addPass(colorGradingPass);
+        if (colorGrading) {
+            const colorGradingPass = new ShaderPass(ColorGradingShader);
+            this.composer.addPass(colorGradingPass);
+            this.colorGradingPass = colorGradingPass;
+        }
 
         // Output pass - final color space conversion
         const outputPass = new OutputPass();
@@ -253,13 +294,8 @@ export class World {
     updateGodRays() {
         if (!this.godRaysPass || !this.lighting) return;
 
-        const lightCfg = this.config.lighting || {};
-        const phi = THREE.MathUtils.degToRad(90 - (lightCfg.sunElevation || 8));
-        const theta = THREE.MathUtils.degToRad(lightCfg.sunAzimuth || 200);
-
-        // Calculate sun world position (far away)
-        const sunWorldPos = new THREE.Vector3();
-        sunWorldPos.setFromSphericalCoords(500, phi, theta);
+        // Sun world position (far away)
+        const sunWorldPos = this.lighting.sunDirection.clone().multiplyScalar(500);
 
         // Project to screen space
         const sunScreenPos = sunWorldPos.clone();
@@ -279,81 +315,234 @@ export class World {
                           sunUV.x > -0.2 && sunUV.x < 1.2 &&
                           sunUV.y > -0.2 && sunUV.y < 1.2;
 
-        this.godRaysPass.uniforms['exposure'].value = sunVisible ? 0.35 : 0.0;
+        // ...and fade them out as it sets, or behind the clouds
+        const aboveHorizon = THREE.MathUtils.smoothstep(this.lighting.sunElevation, 0, 5);
+        const clearSky = 1 - this.weather.current.cover;
+        this.godRaysPass.uniforms['exposure'].value = sunVisible ? 0.35 * aboveHorizon * clearSky : 0.0;
+    }
+
+    // Light the scene for the world clock's hour (CONFIG's fixed sun with DAY & NIGHT off) and the
+    // weather: Lighting blends the sky, fog and lights, and the rest follows - exposure, colour
+    // grading, the water, the hand-lit grass and trees, and the station fires that take over after dark
+    updateTimeOfDay(weatherMoved = false) {
+        const weather = this.weather;
+        const hours = this.dayNight.enabled !== false ? this.worldClock.hours : null;
+        if (hours === this.litHours && !weatherMoved) return;
+        this.litHours = hours;
+
+        const lightCfg = this.config.lighting || {};
+        const { elevation, azimuth } = hours === null
+            ? { elevation: lightCfg.sunElevation || 8, azimuth: lightCfg.sunAzimuth || 200 }
+            : WorldClock.sunAngles(hours, this.dayNight.maxSunElevation);
+        const lighting = this.lighting;
+        lighting.setWeather(weather.current);
+        lighting.setSun(elevation, azimuth);
+
+        this.renderer.toneMappingExposure = lighting.exposure;
+        if (this.colorGradingPass) this.colorGradingPass.uniforms['warmth'].value = lighting.warmth;
+        if (this.heightFogPass) this.heightFogPass.uniforms['fogColor'].value.copy(lighting.fogColor);
+
+        const sunStrength = lighting.sunLight.intensity / (this.config.lighting?.sunIntensity || 2.5);
+        const sunColor = lighting.sunLight.color.clone().multiplyScalar(sunStrength);
+        this.terrain.setSkyLight({ sunDirection: lighting.lightDirection, skyColor: lighting.skyColor, night: lighting.night });
+        this.terrain.setWeather(weather.current);
+        this.vegetation.setSkyLight({ sunDirection: lighting.lightDirection, sunColor, tint: lighting.tint });
+        this.props.setNightLight(lighting.night);
     }
 
     init() {
         // Initialize components - order matters!
-        this.lighting = new Lighting(this.scene, this.config);
-        this.terrain = new Terrain(this.scene, this.config);
-
-        // Pass full terrain object (not just mesh) so vegetation can use getHeightAt()
-        this.vegetation = new Vegetation(this.scene, this.terrain, this.config);
-        this.props = new Props(this.scene, this.terrain.mesh, this.config);
-
-        // Cabin positions for click-based interaction - pass controls and props so we can track visits
-        const cabinPositions = InteractionManager.getCabinPositions();
-        this.interactions = new InteractionManager(this.scene, this.camera, cabinPositions, this.controls, this.renderer.domElement, this.props);
-
-        // Get fireplace positions for minimap (defined here to avoid circular dependency)
-        const fireplacePositions = [
-            { x: -40, z: 34 },   // Between cabin 1 and 2 trail (moved inland)
-            { x: 5, z: 32 },     // Near the camp area (moved inland)
-            { x: 55, z: 38 },    // Between cabin 3 and 4 trail (moved inland)
-            { x: 105, z: 32 },   // Between cabin 4 and 5 trail
-            { x: -25, z: -35 },  // Near cabin 2's path (moved from z=-18)
-            { x: 75, z: -20 },   // Near cabin 4's path
-        ];
-
-        // Herb bundle / Medicine box positions
-        const herbPositions = [
-            { x: -95, z: 45 },   // Left of cabin 1 - The Medicine Garden
-        ];
-
-        // Log pile / Architecture experience positions
-        const logPilePositions = [
-            { x: 115, z: -65 },   // Right of cabin 4 - Architecture Experience
-        ];
-
-        // Garden patch positions
-        const gardenPositions = [
-            { x: -55, z: 40 },   // Near cabin 1 - River Lot Farming
-        ];
-
-        // Red River cart positions
-        const cartPositions = [
-            { x: 30, z: 48 },   // Near cabin 3 - Red River Cart Experience
-        ];
-
-        // Fishing spot positions
-        const fishingPositions = [
-            { x: 50, z: -50 },   // Left of cabin 4 - Fishing Experience
-        ];
-
-        // Memorial positions
-        const memorialPositions = [
-            { x: -80, z: -60 },   // Quiet area - Remembering & Resilience
-        ];
-
-        // Initialize minimap for quick navigation
-        this.minimap = new Minimap(this.camera, this.controls, cabinPositions, fireplacePositions, herbPositions, logPilePositions, gardenPositions, cartPositions, fishingPositions, memorialPositions);
+        // Hills, trees and rocks all come from the world seed (CONFIG.seed or ?seed= in the URL)
+        seedNoise(this.config.seed);
+        // The ground everything stands on, worked out once (see Heightfield)
+        this.heightfield = new Heightfield(this.config, this.stations);
+        this.lighting = new Lighting(this.scene, this.config, this.heightfield);
+        this.terrain = new Terrain(this.scene, this.config, this.heightfield);
+        this.vegetation = new Vegetation(this.scene, this.heightfield, this.config);
+        this.props = new Props(this.scene, this.heightfield, this.config, this.stations);
+        // Rain, snow, wind and storms (CONFIG.weather, or the teacher's pick)
+        this.weather = new Weather(this.scene, this.config);
+        // Bison, deer, ducks and hawks, steering round the river, the cabins and the trees
+        this.wildlife = new Wildlife(this.scene, this.terrain, this.config,
+            this.props.colliders, this.vegetation.treeColliders);
+
+        // Click-based interaction for every registered station - pass controls and props so we can track visits
+        this.interactions = new InteractionManager(this.scene, this.camera, this.stations, this.controls, this.renderer.domElement, this.props);
+
+        // Initialize minimap for quick navigation (markers come from the same station registry)
+        this.minimap = new Minimap(this.camera, this.controls, this.stations, this.heightfield);
+
+        // First-person walking, toggled from the HUD; map jumps return to the orbit view first
+        this.walker = new WalkController(this.camera, this.renderer.domElement, this.heightfield,
+            [...this.props.colliders, ...this.vegetation.treeColliders]);
+        // Canoe on the river, launched from the canoe on the south bank
+        this.boat = new BoatController(this.camera, this.renderer.domElement, this.terrain, this.config);
+        this.minimap.onBeforeNavigate = () => this.setNavigationMode('orbit');
+        this.setupWalkToggle();
+        this.setupCanoe();
+        this.setupSeasons();
+        this.setupWildlife();
 
         // Event listeners
         window.addEventListener('resize', () => this.onResize());
     }
 
+    setupWalkToggle() {
+        this.walkToggleBtn = document.getElementById('walk-toggle-btn');
+        if (this.walkToggleBtn) {
+            this.walkToggleBtn.addEventListener('click', () => {
+                // From the canoe, the button steps ashore and keeps walking from the bank
+                this.setNavigationMode(this.navigationMode === 'walk' ? 'orbit' : 'walk');
+            });
+        }
+        this.crosshair = document.getElementById('walk-crosshair');
+    }
+
+    // Clicking the canoe offers a paddle down the river
+    setupCanoe() {
+        if (!this.props.canoe) return;
+
+        this.interactions.addClickZone(this.props.canoe, { size: [4.5, 1.5, 1.5], y: 0.4 }, () => {
+            if (this.boat.enabled) return;
+            if (this.terrain.frozen) {
+                this.interactions.popup.open({
+                    title: 'Birchbark Canoe',
+                    message: 'The river is frozen. The canoe waits on the bank until the ice breaks up in spring - ' +
+                        'in winter people travelled the frozen rivers on foot, by snowshoe and by dog sled.',
+                    buttonText: 'Stay on the bank'
+                }, {
+                    theme: 'fishing',
+                    hooks: { onExplore: () => {} }
+                });
+                return;
+            }
+            this.interactions.popup.open({
+                title: 'Birchbark Canoe',
+                message: 'Rivers were the highways of the fur trade. Push off and paddle with the current - ' +
+                    'W/S to paddle, A/D to steer, click the view to look around. Use the Go Ashore button to step onto the bank.',
+                buttonText: 'Take the canoe →'
+            }, {
+                theme: 'fishing',
+                hooks: { onExplore: () => this.setNavigationMode('canoe') }
+            });
+        });
+    }
+
+    // Clicking an animal shows its Michif name card (hidden animals - ducks gone south, or ones too
+    // far off to draw - can't be clicked)
+    setupWildlife() {
+        this.wildlifeCard = new WildlifeCard();
+        this.wildlife.clickables.forEach(({ object, species, size, y }) => {
+            this.interactions.addClickZone(object, { size, y }, () => {
+                if (!this.wildlife.isShown(object)) return;
+                this.wildlifeCard.show(species);
+            });
+        });
+    }
+
+    // Dress the prairie for the season now and whenever it changes. Stations with seasonal notes
+    // in stations.json ("seasons": { "winter": "...", ... }) add the season's note to their popup.
+    setupSeasons() {
+        const types = new Set(this.stations.all().filter(station => station.seasons).map(station => station.type));
+        types.forEach(type => {
+            this.interactions.registerStationHooks(type, {
+                onOpen: (station, popup) => {
+                    const note = station.seasons && station.seasons[this.seasons.current];
+                    if (!note) return;
+                    const { icon, label } = this.seasons.look;
+                    popup.extraEl.innerHTML = `<p class="station-popup-season">${icon} <strong>${label}</strong> — ${note}</p>`;
+                }
+            });
+        });
+
+        this.seasons.onChange(() => this.applySeason());
+        this.applySeason();
+    }
+
+    applySeason() {
+        const look = this.seasons.look;
+        this.terrain.setSeason(look);
+        this.vegetation.setSeason(look);
+        this.props.setSeason(this.seasons.current);
+        this.weather.setFreezing(look.snow > 0);
+
+        // Nobody paddles on the ice
+        if (this.terrain.frozen && this.navigationMode === 'canoe') this.setNavigationMode('walk');
+    }
+
+    get navigationMode() {
+        if (this.walker.enabled) return 'walk';
+        if (this.boat.enabled) return 'canoe';
+        return 'orbit';
+    }
+
+    // 'orbit' (fly over with OrbitControls), 'walk' (first person) or 'canoe' (paddling the river).
+    // The view stays where the student is: walking starts at the orbit target (or where the canoe
+    // landed), the canoe pushes off from wherever it was left, and orbiting frames where they were.
+    setNavigationMode(mode) {
+        const current = this.navigationMode;
+        if (mode === current) return;
+
+        let view = null;
+        if (current === 'walk') view = this.walker.disable();
+        if (current === 'canoe') view = this.boat.disable();
+
+        if (mode === 'walk') {
+            this.controls.enabled = false;
+            this.walker.enable(view ? view.target : this.controls.target);
+        } else if (mode === 'canoe') {
+            this.controls.enabled = false;
+            this.boat.enable(this.props.canoe);
+        } else {
+            this.camera.position.copy(view.cameraPosition);
+            this.controls.target.copy(view.target);
+            this.controls.enabled = !this.interactions.modals.isOpen;
+            this.controls.update();
+        }
+
+        document.body.classList.toggle('walk-mode', mode === 'walk');
+        document.body.classList.toggle('canoe-mode', mode === 'canoe');
+        if (this.walkToggleBtn) {
+            const labels = { orbit: '🚶 Walk', walk: '🦅 Fly Over', canoe: '🏞️ Go Ashore' };
+            this.walkToggleBtn.textContent = labels[mode];
+        }
+        if (this.crosshair) this.crosshair.classList.remove('active');
+    }
+
+    // The world clock's hour (0-24). Handed to experiences and back, so the prairie carries on
+    // from the same moment.
+    get timeOfDay() {
+        return this.worldClock.hours;
+    }
+
+    set timeOfDay(hours) {
+        this.worldClock.set(hours);
+    }
+
+    // The season's name ('spring', 'summer', 'autumn' or 'winter'), handed over like timeOfDay
+    get season() {
+        return this.seasons.current;
+    }
+
+    set season(season) {
+        this.seasons.set(season);
+    }
+
     onResize() {
         this.width = window.innerWidth;
         this.height = window.innerHeight;
         this.camera.aspect = this.width / this.height;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(this.width, this.height);
-        this.composer.setSize(this.width, this.height);
+        if (this.composer) this.composer.setSize(this.width, this.height);
 
         // Update bloom resolution
         if (this.bloomPass) {
             this.bloomPass.resolution.set(this.width, this.height);
         }
+
+        // Sizes above are at full scale - put the governor's back
+        this.governor.apply();
     }
 
     animate() {
@@ -362,16 +551,54 @@ export class World {
         const deltaTime = this.clock.getDelta();
         const elapsedTime = this.clock.getElapsedTime();
 
-        // Update orbit controls (only if not in dialogue)
-        if (!this.interactions.isDialogueOpen) {
+        // Nothing to draw while the tab is hidden
+        if (!this.governor.update(deltaTime, { overlayOpen: this.interactions.modals.isOpen })) return;
+
+        if (this.walker.enabled) {
+            // Keep orbit controls off while walking (closing a dialogue turns them back on)
+            this.controls.enabled = false;
+            if (this.interactions.modals.isOpen) {
+                this.walker.pause();
+            } else {
+                this.walker.update(deltaTime);
+            }
+            // The minimap indicator follows the controls target
+            this.controls.target.copy(this.walker.position).add(this.walker.forward());
+            if (this.crosshair) this.crosshair.classList.toggle('active', this.walker.isPointerLocked);
+        } else if (this.boat.enabled) {
+            // Same as walking, but the canoe keeps bobbing (without drifting) behind a dialogue
+            this.controls.enabled = false;
+            if (this.interactions.modals.isOpen) {
+                this.boat.pause();
+                this.boat.update(0, elapsedTime);
+            } else {
+                this.boat.update(deltaTime, elapsedTime);
+            }
+            this.controls.target.copy(this.boat.position).add(this.boat.forward());
+            if (this.crosshair) this.crosshair.classList.toggle('active', this.boat.isPointerLocked);
+        } else if (!this.interactions.modals.isOpen) {
+            // Update orbit controls (only if no dialogue or panel is open)
             this.controls.update();
         }
 
+        // A canoe left on the water keeps floating
+        this.boat.float(elapsedTime);
+
         // Update components
         this.terrain.update(elapsedTime);
         this.vegetation.update(elapsedTime);
         this.props.update(elapsedTime, this.camera);
-        this.lighting.update(elapsedTime);
+        this.lighting.update(elapsedTime, this.camera);
+        this.wildlife.update(deltaTime, elapsedTime, this.camera);
+
+        // Move the sun (or moon), blow the weather in and relight
+        if (this.dayNight.enabled !== false) {
+            this.worldClock.update(deltaTime);
+            this.seasons.update(this.worldClock.day);
+        }
+        const weatherMoved = this.weather.update(deltaTime, elapsedTime, this.camera, this.renderer.domElement.height);
+        this.vegetation.setWind(this.weather.windGust);
+        this.updateTimeOfDay(weatherMoved);
 
         // Update god rays based on sun/camera position
         this.updateGodRays();
@@ -382,6 +609,10 @@ export class World {
         }
 
         // Render with post-processing
-        this.composer.render();
+        if (this.composer) {
+            this.composer.render();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
     }
 }
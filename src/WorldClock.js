@@ -0,0 +1,72 @@
+// World clock - the prairie's time of day, in hours (0-24, 18.5 = 6:30 PM). It runs a whole day
+// in CONFIG.dayNight.dayMinutes real minutes; a teacher can pause it or set it from the time
+// controls under the map (see TimeControls). Lighting turns the hour into the sun and moon,
+// World blends the sky, fog, exposure and colour grading from there.
+
+const DAY_HOURS = 24;
+
+function wrapHours(hours) {
+    return ((hours % DAY_HOURS) + DAY_HOURS) % DAY_HOURS;
+}
+
+export class WorldClock {
+    constructor(config = {}) {
+        this.hours = wrapHours(Number.isFinite(config.startHour) ? config.startHour : 17.5);
+        this.dayMinutes = config.dayMinutes || 20;
+        this.paused = config.paused === true;
+        this.day = 0;               // Whole days run since the prairie opened (Seasons counts them)
+        this.listeners = [];
+    }
+
+    // Advance by a frame's length in seconds
+    update(deltaTime) {
+        if (this.paused) return;
+        const hours = this.hours + deltaTime * DAY_HOURS / (this.dayMinutes * 60);
+        if (hours >= DAY_HOURS) this.day++;
+        this.hours = wrapHours(hours);
+    }
+
+    set(hours) {
+        if (!Number.isFinite(hours)) return;
+        this.hours = wrapHours(hours);
+        this.notify();
+    }
+
+    pause() {
+        this.paused = true;
+        this.notify();
+    }
+
+    play() {
+        this.paused = false;
+        this.notify();
+    }
+
+    // Called when the time is set or the clock paused/played (not on every tick)
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Where the sun is at this hour, in degrees: rising in the east at 6:00, highest in the south
+    // at noon, setting in the west at 18:00 (and as far below the horizon at midnight)
+    static sunAngles(hours, maxElevation = 50) {
+        const dayAngle = (hours - 6) / 12 * Math.PI;
+        return {
+            elevation: Math.sin(dayAngle) * maxElevation,
+            azimuth: 90 + (hours - 6) / 12 * 180
+        };
+    }
+
+    // "6:30 PM"
+    static format(hours) {
+        const totalMinutes = Math.floor(wrapHours(hours) * 60);
+        const hour = Math.floor(totalMinutes / 60);
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+        const suffix = hour < 12 ? 'AM' : 'PM';
+        return `${hour % 12 || 12}:${minutes} ${suffix}`;
+    }
+}
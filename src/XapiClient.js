@@ -0,0 +1,279 @@
+// xAPI client - sends learning activity to a Learning Record Store (LRS) as xAPI statements.
+// Statements are queued in localStorage first and sent in batches, so activity recorded while a
+// classroom device is offline goes out once it reconnects. Settings come from CONFIG.xapi in main.js.
+// Note: the LRS credentials ship to the browser; use a write-only key issued for this app.
+
+const QUEUE_KEY = 'metisPrairieXapiQueue';
+const XAPI_VERSION = '1.0.3';
+// Browsers refuse keepalive requests with bodies over 64 KB; stay under it with room for headers
+const KEEPALIVE_BYTES = 60 * 1024;
+
+export const XAPI_VERBS = {
+    experienced: { id: 'http://adlnet.gov/expapi/verbs/experienced', display: { 'en-US': 'experienced' } },
+    attempted: { id: 'http://adlnet.gov/expapi/verbs/attempted', display: { 'en-US': 'attempted' } },
+    answered: { id: 'http://adlnet.gov/expapi/verbs/answered', display: { 'en-US': 'answered' } },
+    completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } }
+};
+
+const ACTIVITY_TYPES = {
+    course: 'http://adlnet.gov/expapi/activities/course',
+    station: 'http://adlnet.gov/expapi/activities/lesson',
+    question: 'http://adlnet.gov/expapi/activities/cmi.interaction'
+};
+
+function uuid() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    // crypto.randomUUID needs a secure context; build a v4 UUID by hand elsewhere (e.g. file://)
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Seconds -> ISO 8601 duration ("PT95S")
+function duration(seconds) {
+    return `PT${Math.max(0, Math.round(seconds))}S`;
+}
+
+export class XapiClient {
+    constructor(config = {}, storage = window.localStorage) {
+        this.config = config;
+        this.storage = storage;
+        this.enabled = Boolean(config.enabled && config.endpoint);
+        this.endpoint = (config.endpoint || '').replace(/\/?$/, '/');
+        this.activityBase = (config.activityBase || 'https://example.org/metis-prairie').replace(/\/$/, '');
+        this.maxQueue = config.maxQueue || 1000;
+        this.batchSize = config.batchSize || 50;
+        this.sending = false;
+
+        if (!this.enabled) return;
+
+        window.addEventListener('online', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush({ keepalive: true });
+        });
+        this.retryTimer = setInterval(() => this.flush(), (config.retrySeconds || 60) * 1000);
+        this.flush();
+    }
+
+    // --- Activity IDs ---
+
+    courseActivity() {
+        return {
+            objectType: 'Activity',
+            id: this.activityBase,
+            definition: { type: ACTIVITY_TYPES.course, name: { 'en-US': 'Métis Prairie' } }
+        };
+    }
+
+    // e.g. https://example.org/metis-prairie/stations/cabin/1
+    stationActivity(station) {
+        return {
+            objectType: 'Activity',
+            id: `${this.activityBase}/stations/${station.type}/${station.id}`,
+            definition: {
+                type: ACTIVITY_TYPES.station,
+                name: { 'en-US': station.title },
+                ...(station.subtitle ? { description: { 'en-US': station.subtitle } } : {})
+            }
+        };
+    }
+
+    // e.g. https://example.org/metis-prairie/stations/cabin/1/questions/q2
+    questionActivity(station, question) {
+        return {
+            objectType: 'Activity',
+            id: `${this.stationActivity(station).id}/questions/${question.id}`,
+            definition: {
+                type: ACTIVITY_TYPES.question,
+                name: { 'en-US': question.label },
+                description: { 'en-US': question.question },
+                interactionType: question.mode === 'free' ? 'fill-in' : 'choice',
+                correctResponsesPattern: [question.answer]
+            }
+        };
+    }
+
+    // --- Statements ---
+
+    // Learners are identified by their device-local profile id; set CONFIG.xapi.homePage to
+    // the system that issues those names if the LRS needs to join them to a roster
+    actor(profile) {
+        return {
+            objectType: 'Agent',
+            name: profile.name,
+            account: {
+                homePage: this.config.homePage || window.location.origin,
+                name: profile.id
+            }
+        };
+    }
+
+    statement(profile, verb, object, { result, parent } = {}) {
+        const statement = {
+            id: uuid(),
+            actor: this.actor(profile),
+            verb: XAPI_VERBS[verb],
+            object,
+            context: {
+                platform: 'Métis Prairie',
+                language: 'en-US',
+                contextActivities: {
+                    grouping: [this.courseActivity()],
+                    ...(parent ? { parent: [parent] } : {})
+                }
+            },
+            timestamp: new Date().toISOString()
+        };
+        if (result) statement.result = result;
+        return statement;
+    }
+
+    // A station was opened and explored
+    experienced(profile, station) {
+        this.send(this.statement(profile, 'experienced', this.stationActivity(station)));
+    }
+
+    // An Elder visit (or experience) was started but not yet finished
+    attempted(profile, station, result) {
+        this.send(this.statement(profile, 'attempted', this.stationActivity(station), { result }));
+    }
+
+    // One answer to an Elder's question
+    answered(profile, station, question, { response, correct, attempt }) {
+        this.send(this.statement(profile, 'answered', this.questionActivity(station, question), {
+            parent: this.stationActivity(station),
+            result: {
+                response: String(response),
+                success: correct,
+                extensions: { [`${this.activityBase}/extensions/attempt`]: attempt }
+            }
+        }));
+    }
+
+    // A station was finished; details are the visit record (attempts, timeSpent) or an experience result
+    completed(profile, station, details = {}) {
+        const result = { completion: true, success: details.success !== false };
+        if (details.timeSpent) result.duration = duration(details.timeSpent);
+        if (typeof details.score === 'number') {
+            const max = details.maxScore || 100;
+            result.score = { raw: details.score, min: 0, max, scaled: Math.min(1, details.score / max) };
+        }
+        if (details.attempts) {
+            result.extensions = {
+                [`${this.activityBase}/extensions/attempts`]: details.attempts,
+                [`${this.activityBase}/extensions/hints-used`]: details.hintsUsed || 0
+            };
+        }
+        this.send(this.statement(profile, 'completed', this.stationActivity(station), { result }));
+    }
+
+    // --- Offline queue ---
+
+    get queue() {
+        try {
+            return JSON.parse(this.storage.getItem(QUEUE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    set queue(statements) {
+        this.storage.setItem(QUEUE_KEY, JSON.stringify(statements));
+    }
+
+    send(statement) {
+        if (!this.enabled) return;
+        // Oldest statements go first if a device stays offline for a very long time
+        this.queue = [...this.queue, statement].slice(-this.maxQueue);
+        this.flush();
+    }
+
+    async flush({ keepalive = false } = {}) {
+        if (!this.enabled || this.sending || !navigator.onLine) return;
+        const batch = this.nextBatch(keepalive);
+        if (batch.length === 0) return;
+
+        this.sending = true;
+        try {
+            const response = await this.post(batch, keepalive);
+
+            if (response.ok) {
+                this.removeSent(batch);
+            } else if ((response.status === 400 || response.status === 409) && batch.length > 1) {
+                // One bad or already-stored statement fails the whole batch - send them one at a
+                // time so the new ones still get stored
+                if (!await this.sendOneByOne(batch, keepalive)) return;
+            } else if (response.status === 409) {
+                // The LRS already has this statement id - it was sent before, so it's done
+                this.removeSent(batch);
+            } else if (response.status === 400) {
+                // The LRS will never accept this statement; drop it rather than block everything behind it
+                console.warn('LRS rejected an xAPI statement:', await response.text());
+                this.removeSent(batch);
+            } else {
+                console.warn(`LRS returned ${response.status}; statements stay queued`);
+                return;
+            }
+        } catch (error) {
+            // Offline or LRS unreachable - try again later
+            return;
+        } finally {
+            this.sending = false;
+        }
+
+        if (this.queue.length > 0 && !keepalive) this.flush();
+    }
+
+    // The next statements to send: up to batchSize, and for a keepalive request (the page is
+    // going away) only as many as fit its body limit - the rest go on the next visit
+    nextBatch(keepalive) {
+        const batch = this.queue.slice(0, this.batchSize);
+        if (!keepalive) return batch;
+
+        const encoder = new TextEncoder();
+        let bytes = 2; // the enclosing [ ]
+        let count = 0;
+        for (const statement of batch) {
+            bytes += encoder.encode(JSON.stringify(statement)).length + 1; // and its comma
+            if (bytes > KEEPALIVE_BYTES) break;
+            count++;
+        }
+        return batch.slice(0, count);
+    }
+
+    post(statements, keepalive) {
+        return fetch(`${this.endpoint}statements`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Experience-API-Version': XAPI_VERSION,
+                ...(this.config.username ? { Authorization: `Basic ${btoa(`${this.config.username}:${this.config.password || ''}`)}` } : {})
+            },
+            body: JSON.stringify(statements),
+            keepalive
+        });
+    }
+
+    // Drops only the statements the LRS rejects. False if it stopped answering part way (the
+    // rest stay queued).
+    async sendOneByOne(batch, keepalive) {
+        for (const statement of batch) {
+            const response = await this.post([statement], keepalive);
+            if (response.status === 400) {
+                console.warn(`LRS rejected xAPI statement ${statement.id}:`, await response.text());
+            } else if (!response.ok && response.status !== 409) {
+                console.warn(`LRS returned ${response.status}; statements stay queued`);
+                return false;
+            }
+            this.removeSent([statement]);
+        }
+        return true;
+    }
+
+    removeSent(batch) {
+        const sent = new Set(batch.map(statement => statement.id));
+        this.queue = this.queue.filter(statement => !sent.has(statement.id));
+    }
+}
@@ -1,4 +1,14 @@
 import { World } from './World.js';
+import { StationRegistry } from './StationRegistry.js';
+import { ProfileStore } from './ProfileStore.js';
+import { ProfilePicker } from './ProfilePicker.js';
+import { XapiClient } from './XapiClient.js';
+import { ScormAdapter } from './ScormAdapter.js';
+import { DeepLinks } from './DeepLinks.js';
+import { PrairieHandoff } from './PrairieHandoff.js';
+import { GraphicsQuality } from './GraphicsQuality.js';
+import { GraphicsPanel } from './GraphicsPanel.js';
+import { TimeControls } from './TimeControls.js';
 
 // ============================================================
 // ENVIRONMENT CONFIGURATION
@@ -8,6 +18,12 @@ import { World } from './World.js';
 // ============================================================
 
 const CONFIG = {
+    // --- WORLD SEED ---
+    // The hills, river bends, trees and rocks are scattered from this seed, so the prairie is
+    // the same on every visit (and matches workbook screenshots). Any other number or word
+    // gives a different prairie; a link can try one with ?seed=... in the address.
+    seed: 1,
+
     // --- SKY & ATMOSPHERE ---
     sky: {
         // Gradient colors for sky dome (bottom to top)
@@ -21,8 +37,8 @@ const CONFIG = {
 
     // --- LIGHTING ---
     lighting: {
-        sunElevation: 8,             // Sun height in degrees (0 = horizon, 90 = overhead)
-        sunAzimuth: 200,             // Sun direction in degrees (0 = North, 90 = East)
+        sunElevation: 8,             // Sun height in degrees (0 = horizon, 90 = overhead) - with DAY & NIGHT off
+        sunAzimuth: 200,             // Sun direction in degrees (0 = North, 90 = East) - with DAY & NIGHT off
         sunIntensity: 2.5,           // Main sun brightness (1-5)
         sunColor: 0xffaa55,          // Warm golden sun color
         ambientIntensity: 0.6,       // Fill light strength (0-1)
@@ -32,6 +48,41 @@ const CONFIG = {
         elderLightRadius: 10,        // How far the light reaches
     },
 
+    // --- DAY & NIGHT ---
+    // The sun and moon cross the sky on a world clock. After dark the stars come out, fireflies
+    // rise over the riverbanks and the station fires light the way. Teachers can pause the clock
+    // or set the hour from the time controls under the map, or open the page with ?time=21.5
+    dayNight: {
+        enabled: true,               // false keeps the fixed sun set under LIGHTING
+        startHour: 17.5,             // Hour the prairie opens at (0-24, 17.5 = 5:30 PM golden hour)
+        dayMinutes: 20,              // Real minutes for a whole day and night
+        paused: false,               // Start with the clock stopped
+        maxSunElevation: 50,         // Sun height at noon in degrees
+        showControls: true,          // Time controls under the map (false hides them from students)
+    },
+
+    // --- SEASONS ---
+    // Spring greens, autumn gold, winter snow and a frozen river; the garden goes from planting
+    // to harvest and some stations tell what the season brings. Teachers can change the season
+    // from the buttons under the map, or open the page with ?season=winter
+    seasons: {
+        season: 'summer',            // 'spring', 'summer', 'autumn', 'winter' or 'calendar' (today's date)
+        daysPerSeason: 0,            // Move on to the next season every this many world-clock days (0 = stay)
+        showControls: true,          // Season buttons under the map (false hides them from students)
+    },
+
+    // --- WEATHER ---
+    // Clear skies, overcast, rain, snow or a prairie thunderstorm, easing from one to the next.
+    // Rain falls as snow in winter. Teachers can pick the weather from the buttons under the map
+    // or open the page with ?weather=storm
+    weather: {
+        state: 'clear',              // 'clear', 'overcast', 'rain', 'snow' or 'storm'
+        cycle: false,                // true lets the weather change by itself
+        minutesPerState: 4,          // Real minutes before the cycle moves on
+        thunder: true,               // Rumbles after lightning (false keeps storms silent)
+        showControls: true,          // Weather buttons under the map (false hides them from students)
+    },
+
     // --- FOG & ATMOSPHERE ---
     fog: {
         color: 0xeedd99,             // Warm golden fog (matches horizon)
@@ -91,6 +142,7 @@ const CONFIG = {
         dustMoteColor: 0xffddaa,     // Warm golden dust color
         fireflyCount: 200,           // Fireflies near water/fire (evening feel)
         fireflyColor: 0xffff88,      // Soft yellow-green
+        precipitationCount: 6000,    // Raindrops/snowflakes around the camera (see WEATHER)
     },
 
     // --- CLOUDS ---
@@ -111,6 +163,17 @@ const CONFIG = {
         flightHeight: 35,            // Average flight altitude
     },
 
+    // --- WILDLIFE ---
+    // Click any animal for its Michif name card (names in SPECIES, src/Wildlife.js)
+    wildlife: {
+        enabled: true,               // false = no animals on the prairie
+        bisonCount: 14,              // Size of the grazing herd
+        bisonSpeed: 1.2,             // Walking pace of the herd (metres per second)
+        deerCount: 5,                // Deer at the tree line
+        duckCount: 8,                // Ducks on the river (they fly south in winter)
+        hawkCount: 2,                // Hawks circling overhead
+    },
+
     // --- ELDER LOCATIONS (5 cabins) ---
     // Each Elder location has unique visual markers
     elderLocations: [
@@ -134,35 +197,95 @@ const CONFIG = {
         includeGardenPatch: true,     // Small garden area
         beadworkAccents: true,        // Subtle floral beadwork hints
     },
+
+    // --- GRAPHICS QUALITY ---
+    // Low / Medium / High / Ultra scale the shadows, screen effects and the counts above
+    // (the numbers above are Ultra). 'auto' tests each device once at startup; students can
+    // override it from the Graphics button under the map.
+    graphics: {
+        preset: 'auto',              // 'auto', 'low', 'medium', 'high' or 'ultra'
+        benchmarkFrames: 20,         // Frames rendered by the startup test
+        adaptive: true,              // Lower the resolution when frames are slow, raise it again when not
+        targetFps: 50,               // Frame rate the adaptive resolution aims for
+        minResolution: 0.5,          // Lowest render scale it drops to (0.5 = half resolution)
+    },
+
+    // --- LEARNING RECORD STORE (xAPI) ---
+    // Send visits, Elder answers and completions to your division's LRS.
+    // Try it locally with: node tools/mock-lrs.mjs (then set enabled: true)
+    xapi: {
+        enabled: false,              // Turn on to send xAPI statements
+        endpoint: 'http://localhost:8088/xapi/', // LRS xAPI endpoint (ends in /xapi/ on most LRSs)
+        username: 'metis-prairie',   // LRS key (use a write-only key - it is visible in the browser)
+        password: 'prairie',         // LRS secret
+        activityBase: 'https://example.org/metis-prairie', // Prefix for activity IDs (a domain you control)
+        homePage: '',                // Account homePage for learners (defaults to this site's address)
+        retrySeconds: 60,            // How often queued statements are retried while offline
+        maxQueue: 1000,              // Statements kept while offline (oldest dropped first)
+    },
 };
 
 // ============================================================
 // INITIALIZATION
 // ============================================================
 try {
+    // Every station (cabins, fires, cultural sites) comes from src/stations.json
+    const stations = await StationRegistry.load();
+
+    // A ?seed= in the address overrides CONFIG.seed (see WORLD SEED above), a ?time= the start
+    // hour, a ?season= the season and a ?weather= the weather
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('seed')) CONFIG.seed = params.get('seed');
+    const urlTime = parseFloat(params.get('time'));
+    if (Number.isFinite(urlTime)) CONFIG.dayNight.startHour = urlTime;
+    if (params.get('season')) CONFIG.seasons.season = params.get('season');
+    if (params.get('weather')) CONFIG.weather.state = params.get('weather');
+
+    // Quality preset for this device (saved choice, or a quick benchmark the first time)
+    const quality = new GraphicsQuality(CONFIG.graphics);
+    quality.resolve();
+
     const container = document.body;
-    const world = new World(container, CONFIG);
+    const world = new World(container, quality.configure(CONFIG), stations);
     world.animate();
-    console.log('Métis Prairie Environment initialized successfully!');
+    new GraphicsPanel(quality, world.interactions.modals);
+    const showClock = CONFIG.dayNight.enabled !== false && CONFIG.dayNight.showControls !== false;
+    const showSeasons = CONFIG.seasons.showControls !== false;
+    const showWeather = CONFIG.weather.showControls !== false;
+    if (showClock || showSeasons || showWeather) {
+        new TimeControls({
+            clock: showClock ? world.worldClock : null,
+            seasons: showSeasons ? world.seasons : null,
+            weather: showWeather ? world.weather : null
+        });
+    }
+
+    // #cabin/3, #station/fishing/0 and #camera=... links; also brings back the view after an experience
+    const deepLinks = new DeepLinks(world, stations);
+    // View, open station and time of day saved when opening an experience, for its back button
+    const handoff = new PrairieHandoff();
 
     // ============================================================
-    // WELCOME MODAL & PROGRESS TRACKING
+    // PROFILES, WELCOME MODAL & PROGRESS TRACKING
     // ============================================================
 
+    // Each learner on this device has their own profile (progress, Elder gifts, experience results)
+    const profiles = new ProfileStore();
+    // xAPI statements for the division's LRS (does nothing unless CONFIG.xapi.enabled)
+    const xapi = new XapiClient(CONFIG.xapi);
+    // Completion, score and Elder answers for the LMS when launched from a SCORM package
+    const scorm = new ScormAdapter();
+    scorm.initialize();
+    // Offline app: precache the whole site (see sw.js). Inside an LMS the package is served by the LMS.
+    if ('serviceWorker' in navigator && location.protocol !== 'file:' && !scorm.active) {
+        navigator.serviceWorker.register('./sw.js').catch(err => console.warn('Offline cache unavailable:', err));
+    }
+    const TOTAL_STATIONS = stations.count; // Cabins + fires + cultural sites, from the station registry
+
     // Welcome Modal
     const welcomeModal = document.getElementById('welcome-modal');
     const beginBtn = document.getElementById('welcome-begin-btn');
 
-    // Check if user has visited before
-    // Modal starts hidden in HTML, only show if first visit
-    const hasVisited = localStorage.getItem('metisPrairieVisited');
-    if (!hasVisited) {
-        // First visit - show the welcome modal
-        welcomeModal.classList.remove('hidden');
-        // Disable controls while modal is visible to prevent zoom interactions
-        world.controls.enabled = false;
-    }
-
     // Prevent scroll/wheel events from reaching the 3D scene when modal is open
     welcomeModal.addEventListener('wheel', (e) => {
         e.stopPropagation();
@@ -171,33 +294,168 @@ try {
 
     beginBtn.addEventListener('click', () => {
         welcomeModal.classList.add('hidden');
-        localStorage.setItem('metisPrairieVisited', 'true');
+        profiles.updateActive(profile => { profile.welcomed = true; });
         // Re-enable controls when modal is dismissed
         world.controls.enabled = true;
+        deepLinks.openPending();
+    });
+
+    // Profile picker comes first; the welcome modal follows for a learner's first visit
+    function startExploring(profile) {
+        applyProfile();
+        if (!profile.welcomed) {
+            welcomeModal.classList.remove('hidden');
+        } else {
+            world.controls.enabled = true;
+            deepLinks.openPending();
+        }
+    }
+    const picker = new ProfilePicker(profiles, { stations, onChoose: startExploring });
+
+    const switchBtn = document.getElementById('profile-switch-btn');
+    switchBtn.addEventListener('click', () => {
+        world.controls.enabled = false;
+        picker.show();
+    });
+    picker.closeBtn.addEventListener('click', () => {
+        world.controls.enabled = true;
     });
 
+    // Show the active learner in the HUD and restore their visited cabins - again whenever the
+    // profiles change, so a rename shows at once and a deleted learner leaves the HUD
+    let appliedProfileId = null;
+    function applyProfile() {
+        const profile = profiles.active;
+
+        document.getElementById('profile-switch-name').textContent = profile ? profile.name : '';
+        const avatar = document.getElementById('profile-switch-avatar');
+        avatar.textContent = profile ? profile.name.charAt(0).toUpperCase() : '';
+        avatar.style.background = profile ? profile.color : '';
+
+        const visitedCabins = getVisitedStations()
+            .map(key => stations.getByKey(key))
+            .filter(station => station.type === 'cabin');
+        world.interactions.setCompletedCabins(visitedCabins.map(cabin => cabin.id));
+
+        // A different learner gets their own completion celebration
+        const profileId = profile ? profile.id : null;
+        if (profileId !== appliedProfileId) {
+            appliedProfileId = profileId;
+            window.completionShown = false;
+        }
+        updateProgressUI();
+    }
+    profiles.onChange(() => applyProfile());
+
     // Progress Tracking System
     const progressBar = document.getElementById('progress-bar');
     const progressCount = document.getElementById('progress-count');
-    const TOTAL_STATIONS = 18; // 5 cabins + 6 fires + 6 cultural sites + 1 memorial
+    const progressPartialBar = document.getElementById('progress-bar-partial');
+    const progressPartial = document.getElementById('progress-partial');
+    document.getElementById('progress-total').textContent = TOTAL_STATIONS;
 
-    // Get visited stations from localStorage
+    // Visited stations for the active profile (ignoring keys for stations no longer in the registry)
     function getVisitedStations() {
-        const saved = localStorage.getItem('metisPrairieProgress');
-        return saved ? JSON.parse(saved) : [];
+        const profile = profiles.active;
+        const visited = profile ? profile.progress : [];
+        return visited.filter(key => stations.getByKey(key));
     }
 
     // Save visited station
     function markStationVisited(stationType, stationId) {
         const key = `${stationType}-${stationId}`;
-        const visited = getVisitedStations();
-        if (!visited.includes(key)) {
-            visited.push(key);
-            localStorage.setItem('metisPrairieProgress', JSON.stringify(visited));
+        if (!profiles.active) return;
+        xapi.experienced(profiles.active, stations.get(stationType, stationId));
+        if (getVisitedStations().includes(key)) return;
+
+        // The profile listener (applyProfile) refreshes the HUD
+        profiles.updateActive(profile => {
+            profile.progress.push(key);
+            profile.visitedAt[key] = new Date().toISOString();
+        });
+    }
+
+    // Details of how a visit went (attempts, hints, worked solutions), keyed like the progress list
+    function getVisitDetails() {
+        const profile = profiles.active;
+        return profile ? profile.visitDetails : {};
+    }
+
+    function recordVisitDetails(stationType, stationId, details) {
+        if (profiles.active) xapi.completed(profiles.active, stations.get(stationType, stationId), details);
+        profiles.updateActive(profile => {
+            profile.visitDetails[`${stationType}-${stationId}`] = { ...details, completedAt: new Date().toISOString() };
+            if (details.gift && !profile.gifts.includes(details.gift)) {
+                profile.gifts.push(details.gift);
+            }
+        });
+        scorm.setScore(elderScore());
+    }
+
+    // Share of Elder questions answered right on the first try (0-100), reported as the LMS score
+    function elderScore() {
+        const questions = Object.entries(getVisitDetails())
+            .filter(([key]) => key.startsWith('cabin-'))
+            .flatMap(([, details]) => details.questions || []);
+        if (questions.length === 0) return 0;
+        return (questions.filter(question => question.attempts === 1).length / questions.length) * 100;
+    }
+
+    // An Elder visit (or other multi-step station) was started
+    function recordStationAttempt(stationType, stationId) {
+        if (profiles.active) xapi.attempted(profiles.active, stations.get(stationType, stationId));
+    }
+
+    // One answer to a station's question: { response, correct, attempt }
+    function recordStationAnswer(stationType, stationId, question, answer) {
+        if (profiles.active) xapi.answered(profiles.active, stations.get(stationType, stationId), question, answer);
+        scorm.recordInteraction(`${stationType}-${stationId}`, question, answer);
+    }
+
+    // Results reported by the experiences (scores, completion), latest result per experience -
+    // except that completion and the furthest progress (0-1, partial credit) are never lost.
+    // Experiences launched from a station report under its key (e.g. "fire-0"); completing one
+    // is what counts its station as visited.
+    function recordExperienceResult(experienceKey, result) {
+        const station = stations.getByKey(experienceKey);
+        if (station && profiles.active) {
+            if (result.completed) {
+                xapi.completed(profiles.active, station, result);
+            } else {
+                xapi.attempted(profiles.active, station, typeof result.score === 'number'
+                    ? { score: { raw: result.score, min: 0, max: result.maxScore || 100 } }
+                    : undefined);
+            }
+        }
+        profiles.updateActive(profile => {
+            const previous = profile.experiences[experienceKey] || {};
+            profile.experiences[experienceKey] = {
+                ...result,
+                completed: Boolean(previous.completed || result.completed),
+                progress: Math.max(previous.progress || 0, result.progress || 0),
+                recordedAt: new Date().toISOString()
+            };
+        });
+        if (station && result.completed) {
+            markStationVisited(station.type, station.id);
+        } else {
             updateProgressUI();
         }
     }
 
+    // Partial credit: progress (0-1) in experiences whose station isn't finished yet
+    function partialProgress() {
+        const profile = profiles.active;
+        if (!profile) return { stations: 0, credit: 0 };
+        const visited = getVisitedStations();
+        const started = Object.entries(profile.experiences)
+            .filter(([key, result]) => stations.getByKey(key) && !visited.includes(key) && result.progress > 0);
+        return {
+            stations: started.length,
+            credit: started.reduce((sum, [, result]) => sum + Math.min(result.progress, 1), 0)
+        };
+    }
+
     // Update progress bar
     function updateProgressUI() {
         const visited = getVisitedStations();
@@ -206,6 +464,11 @@ try {
         progressBar.style.width = percentage + '%';
         progressCount.textContent = count;
 
+        const partial = partialProgress();
+        progressPartialBar.style.width = (partial.credit / TOTAL_STATIONS) * 100 + '%';
+        progressPartial.textContent = partial.stations ? ` · ${partial.stations} in progress` : '';
+        if (profiles.active) scorm.setProgress(visited, TOTAL_STATIONS, profiles.active.gifts);
+
         // Check for completion
         if (count >= TOTAL_STATIONS) {
             showCompletionMessage();
@@ -214,6 +477,8 @@ try {
 
     // Show completion celebration
     function showCompletionMessage() {
+        scorm.complete();
+
         // Only show once per session
         if (window.completionShown) return;
         window.completionShown = true;
@@ -300,13 +565,73 @@ try {
         }
     }
 
-    // Initialize progress on load
-    updateProgressUI();
+    // Save where the student is before an experience opens
+    world.interactions.popup.onBeforeLeave = (station) => {
+        history.replaceState(history.state, '', `#${deepLinks.cameraRoute()}`);
+        scorm.handOff();
+        handoff.leave({
+            station: station.key,
+            view: deepLinks.cameraRoute(),
+            timeOfDay: world.timeOfDay,
+            season: world.season,
+            weather: world.weather.state,
+            returnUrl: deepLinks.returnUrl()
+        });
+    };
+
+    // Back from an experience: same view, time of day, season and weather, its station open again,
+    // its result recorded
+    function resumeFromExperience(state) {
+        world.timeOfDay = state.timeOfDay;
+        if (state.season) world.season = state.season;
+        if (state.weather) world.weather.set(state.weather);
+        deepLinks.resume(state);
+        if (state.result) recordExperienceResult(state.station, state.result);
+    }
+    const returning = handoff.resume();
+    if (returning) resumeFromExperience(returning);
+
+    // Restored from the back/forward cache the world is exactly as it was left (popup included)
+    window.addEventListener('pageshow', (e) => {
+        if (!e.persisted) return;
+        const state = handoff.resume();
+        if (state && state.result) recordExperienceResult(state.station, state.result);
+    });
+
+    // In an LMS the learner is already known: use their profile (by LMS id) and bring back progress
+    // saved in the LMS, so the journey continues on any device. Otherwise pick up where this tab's
+    // learner left off, or ask who is exploring.
+    if (scorm.active) {
+        const saved = scorm.suspendData || {};
+        const profile = profiles.importJourney({
+            profile: { id: `lms-${scorm.learnerId}`, name: scorm.learnerName },
+            progress: saved.progress || [],
+            visitedAt: {},
+            visitDetails: {},
+            gifts: saved.gifts || [],
+            experiences: {}
+        });
+        profiles.switchTo(profile.id);
+        switchBtn.style.display = 'none';
+        startExploring(profile);
+    } else if (profiles.chosenThisSession) {
+        applyProfile();
+        deepLinks.openPending();
+    } else {
+        world.controls.enabled = false;
+        picker.show();
+    }
 
     // Expose progress tracking to global scope for InteractionManager
     window.metisPrairieProgress = {
         markVisited: markStationVisited,
         getVisited: getVisitedStations,
+        recordVisit: recordVisitDetails,
+        getVisitDetails: getVisitDetails,
+        recordAttempt: recordStationAttempt,
+        recordAnswer: recordStationAnswer,
+        recordExperience: recordExperienceResult,
+        getProfile: () => profiles.active,
         updateUI: updateProgressUI
     };
 
@@ -0,0 +1,44 @@
+// Service worker: precaches the whole learner-facing site so the prairie installs and runs as an
+// offline app (classrooms with filtered or no internet). The file list and its version come from
+// precache-manifest.js (node tools/build-precache.mjs). Registered by src/main.js.
+
+importScripts('./precache-manifest.js');
+
+const CACHE_PREFIX = 'metis-prairie-';
+const CACHE_NAME = CACHE_PREFIX + self.PRECACHE.version;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(self.PRECACHE.files.map(file => './' + file)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from earlier versions of the site
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Cache first for the site itself; anything else (fonts, an LRS) goes to the network as usual
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // The site root serves index.html
+    const scope = new URL(self.registration.scope);
+    const key = url.pathname === scope.pathname ? new URL('index.html', scope).href : request;
+
+    event.respondWith(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.match(key, { ignoreSearch: true }))
+            .then(cached => cached || fetch(request))
+    );
+});
@@ -0,0 +1,51 @@
+// Expression - the algebra parser behind free-response Elder answers (src/Expression.js).
+// No dependencies; needs Node 20+.
+//
+//   node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Expression, ExpressionError } from '../src/Expression.js';
+
+const same = (a, b) => Expression.parse(a).equivalentTo(Expression.parse(b));
+
+test('equivalent answers compare equal', () => {
+    assert.ok(same('(x + 10)(x - 10)', 'x² - 100'));
+    assert.ok(same('2x + 3', '3 + x·2'));
+    assert.ok(same('x^2 + y^2 = 25', '25 = y² + x²'));
+    assert.ok(!same('x^2 - 100', 'x^2 + 100'));
+});
+
+test('a number may end with a decimal point', () => {
+    assert.equal(Expression.parse('3.').value, 3);
+    assert.equal(Expression.parse('.5').value, 0.5);
+    assert.ok(same('3.x + 1', '3x + 1'));
+    assert.throws(() => Expression.parse('3..'), ExpressionError);
+});
+
+test('factored answers are recognised', () => {
+    assert.ok(Expression.parse('(x + 10)(x - 10)').isFactored());
+    assert.ok(Expression.parse('2(x-5)(x+5)/2').isFactored());
+    assert.ok(Expression.parse('(x-5)(x+5) ÷ 4').isFactored());
+    assert.ok(!Expression.parse('x^2 - 25').isFactored());
+    assert.ok(!Expression.parse('(x^2 - 25)/2').isFactored());
+});
+
+test('very deep nesting is an ExpressionError, not a stack overflow', () => {
+    for (const depth of [100, 5000]) {
+        for (const text of ['('.repeat(depth) + 'x' + ')'.repeat(depth), '-'.repeat(depth) + 'x', 'x' + '^1'.repeat(depth)]) {
+            assert.throws(() => Expression.parse(text), ExpressionError);
+        }
+    }
+    assert.ok(Expression.parse('('.repeat(20) + 'x' + ')'.repeat(20)).equivalentTo(Expression.parse('x')));
+});
+
+test('very long answers are turned away', () => {
+    assert.throws(() => Expression.parse(Array(50000).fill('x').join('+')), ExpressionError);
+    assert.throws(() => Expression.parse('x'.repeat(50000)), ExpressionError);
+});
+
+test('expansions past the limits are turned away', () => {
+    assert.throws(() => Expression.parse('(a+b+c+d+x+y+1)^12'), ExpressionError);
+    assert.throws(() => Expression.parse('x^13'), ExpressionError);
+});
@@ -0,0 +1,117 @@
+// XapiClient against tools/mock-lrs.mjs - checks the offline queue ends up in the LRS exactly once.
+// No dependencies; needs Node 20+.
+//
+//   node --test tests/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const PORT = 18000 + Math.floor(Math.random() * 2000);
+const ENDPOINT = `http://localhost:${PORT}/xapi/`;
+const AUTH = `Basic ${Buffer.from('metis-prairie:prairie').toString('base64')}`;
+
+// Just enough of a browser for XapiClient
+globalThis.window = { location: { origin: 'http://localhost' }, addEventListener() {} };
+globalThis.document = { visibilityState: 'visible', addEventListener() {} };
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+
+const { XapiClient } = await import('../src/XapiClient.js');
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+function createClient() {
+    const client = new XapiClient({
+        enabled: true,
+        endpoint: ENDPOINT,
+        username: 'metis-prairie',
+        password: 'prairie'
+    }, memoryStorage());
+    clearInterval(client.retryTimer);
+    return client;
+}
+
+const profile = { id: 'p-test', name: 'Test Learner' };
+const station = (id, title = `Station ${id}`) => ({ type: 'cabin', id, title });
+
+// Queue statements without sending them, then send them all in one flush
+async function queueThenFlush(client, record) {
+    navigator.onLine = false;
+    record();
+    navigator.onLine = true;
+    await client.flush();
+}
+
+async function stored(id) {
+    const response = await fetch(`${ENDPOINT}statements?statementId=${id}`, {
+        headers: { Authorization: AUTH, 'X-Experience-API-Version': '1.0.3' }
+    });
+    return response.status === 200;
+}
+
+let lrs;
+
+before(async () => {
+    lrs = spawn(process.execPath, [fileURLToPath(new URL('../tools/mock-lrs.mjs', import.meta.url)), '--port', String(PORT)]);
+    await new Promise((resolve, reject) => {
+        lrs.stdout.on('data', chunk => { if (String(chunk).includes('listening')) resolve(); });
+        lrs.on('exit', code => reject(new Error(`mock LRS exited (${code})`)));
+    });
+});
+
+after(() => {
+    lrs.kill();
+});
+
+test('a batch mixing an already-stored statement with new ones stores the new ones', async () => {
+    const client = createClient();
+    await queueThenFlush(client, () => client.experienced(profile, station(1)));
+    const [first] = await fetch(`${ENDPOINT}statements`, {
+        headers: { Authorization: AUTH, 'X-Experience-API-Version': '1.0.3' }
+    }).then(response => response.json()).then(body => body.statements);
+    assert.equal(client.queue.length, 0);
+
+    // The first statement goes again (e.g. the tab closed before its response arrived)
+    navigator.onLine = false;
+    client.queue = [first];
+    client.experienced(profile, station(2));
+    client.experienced(profile, station(3));
+    const fresh = client.queue.slice(1).map(statement => statement.id);
+    navigator.onLine = true;
+    await client.flush();
+
+    assert.equal(client.queue.length, 0);
+    for (const id of fresh) assert.ok(await stored(id), `statement ${id} was not stored`);
+});
+
+test('a lone already-stored statement counts as sent', async () => {
+    const client = createClient();
+    await queueThenFlush(client, () => client.experienced(profile, station(4)));
+    const [statement] = await fetch(`${ENDPOINT}statements`, {
+        headers: { Authorization: AUTH, 'X-Experience-API-Version': '1.0.3' }
+    }).then(response => response.json()).then(body => body.statements);
+
+    client.queue = [statement];
+    await client.flush();
+    assert.equal(client.queue.length, 0);
+});
+
+test('keepalive batches stay under the browser body limit', () => {
+    const client = createClient();
+    navigator.onLine = false;
+    const long = 'a long station title '.repeat(100);
+    for (let i = 0; i < 50; i++) client.experienced(profile, station(i, long));
+    navigator.onLine = true;
+
+    const batch = client.nextBatch(true);
+    assert.ok(batch.length > 0 && batch.length < 50);
+    assert.ok(new TextEncoder().encode(JSON.stringify(batch)).length <= 60 * 1024);
+    assert.equal(client.nextBatch(false).length, 50);
+});
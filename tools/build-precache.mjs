@@ -0,0 +1,40 @@
+// Writes precache-manifest.js: every file the learner-facing site needs offline, and a version
+// hashed from their contents. sw.js imports it and caches the list on install. Browsers recheck
+// imported scripts for changes, so a new version installs a fresh cache and drops the old one.
+// Run it once before deploying a release, not with every change - the committed manifest only
+// has to match what goes out.
+// No dependencies; needs Node 18+.
+//
+//   node tools/build-precache.mjs
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+// Same site as the SCORM package (tools/build-scorm.mjs), plus what installs it as an app and the
+// teacher dashboard (it works offline too)
+const INCLUDE = ['index.html', 'teacher.html', 'styles.css', 'manifest.webmanifest', 'icon.svg', 'src', 'experiences', 'vendor'];
+const OUT = path.join(ROOT, 'precache-manifest.js');
+
+// Every file under the included paths, as forward-slash paths relative to the repo root
+function listFiles(entry) {
+    const full = path.join(ROOT, entry);
+    if (!fs.existsSync(full)) return [];
+    if (fs.statSync(full).isFile()) return [entry];
+    return fs.readdirSync(full)
+        .filter(name => !name.startsWith('.'))
+        .flatMap(name => listFiles(`${entry}/${name}`));
+}
+
+const files = INCLUDE.flatMap(listFiles).sort();
+const hash = crypto.createHash('sha256');
+files.forEach(file => {
+    hash.update(file);
+    hash.update(fs.readFileSync(path.join(ROOT, file)));
+});
+
+const manifest = { version: hash.digest('hex').slice(0, 12), files };
+fs.writeFileSync(OUT, `// Generated by tools/build-precache.mjs - do not edit\nself.PRECACHE = ${JSON.stringify(manifest, null, 4)};\n`);
+console.log(`Precache ${manifest.version}: ${files.length} files -> ${path.relative(ROOT, OUT)}`);
@@ -0,0 +1,197 @@
+// SCORM package builder - zips the prairie with an imsmanifest.xml so it can be uploaded to an LMS
+// (Moodle, Brightspace...) as a single SCO. At runtime src/ScormAdapter.js reports progress.
+// No dependencies; needs Node 18+.
+//
+//   node tools/build-scorm.mjs                 -> dist/metis-prairie-scorm2004.zip
+//   node tools/build-scorm.mjs --version 1.2   -> dist/metis-prairie-scorm12.zip
+//   node tools/build-scorm.mjs --out my.zip
+//
+// Only the learner-facing site goes in: the teacher dashboard, debug pages, tools and the
+// workbook stay out.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const INCLUDE = ['index.html', 'styles.css', 'manifest.webmanifest', 'icon.svg', 'src', 'experiences', 'vendor'];
+const TITLE = 'Métis Prairie';
+const IDENTIFIER = 'metis-prairie';
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const version = option('version', '2004');
+if (version !== '1.2' && version !== '2004') {
+    console.error(`Unknown SCORM version "${version}" (use 1.2 or 2004)`);
+    process.exit(1);
+}
+const outFile = path.resolve(option('out', path.join(ROOT, 'dist', `metis-prairie-scorm${version.replace('.', '')}.zip`)));
+
+// Every file under the included paths, as forward-slash paths relative to the repo root
+function listFiles(entry) {
+    const full = path.join(ROOT, entry);
+    if (!fs.existsSync(full)) return [];
+    if (fs.statSync(full).isFile()) return [entry];
+    return fs.readdirSync(full)
+        .filter(name => !name.startsWith('.'))
+        .flatMap(name => listFiles(`${entry}/${name}`));
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function manifest(files) {
+    const fileList = files.map(file => `      <file href="${escapeXml(encodeURI(file))}"/>`).join('\n');
+
+    if (version === '1.2') {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${IDENTIFIER}" version="1.0"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="${IDENTIFIER}-org">
+    <organization identifier="${IDENTIFIER}-org">
+      <title>${escapeXml(TITLE)}</title>
+      <item identifier="${IDENTIFIER}-item" identifierref="${IDENTIFIER}-sco" isvisible="true">
+        <title>${escapeXml(TITLE)}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="${IDENTIFIER}-sco" type="webcontent" adlcp:scormtype="sco" href="index.html">
+${fileList}
+    </resource>
+  </resources>
+</manifest>
+`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${IDENTIFIER}" version="1"
+  xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 4th Edition</schemaversion>
+  </metadata>
+  <organizations default="${IDENTIFIER}-org">
+    <organization identifier="${IDENTIFIER}-org">
+      <title>${escapeXml(TITLE)}</title>
+      <item identifier="${IDENTIFIER}-item" identifierref="${IDENTIFIER}-sco">
+        <title>${escapeXml(TITLE)}</title>
+      </item>
+      <imsss:sequencing>
+        <imsss:deliveryControls completionSetByContent="true" objectiveSetByContent="true"/>
+      </imsss:sequencing>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="${IDENTIFIER}-sco" type="webcontent" adlcp:scormType="sco" href="index.html">
+${fileList}
+    </resource>
+  </resources>
+</manifest>
+`;
+}
+
+// --- Minimal zip writer (deflate, UTF-8 names) ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function zip(entries) {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    const { time, date } = dosDateTime(new Date());
+
+    entries.forEach(({ name, data }) => {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const compressed = zlib.deflateRawSync(data, { level: 9 });
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 file names
+        local.writeUInt16LE(8, 8);             // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        local.writeUInt16LE(0, 28);
+        chunks.push(local, nameBytes, compressed);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);           // version made by
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(compressed.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(nameBytes.length, 28);
+        header.writeUInt32LE(offset, 42);      // remaining fields (extra, comment, disk, attributes) are 0
+        central.push(header, nameBytes);
+
+        offset += local.length + nameBytes.length + compressed.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...chunks, ...central, end]);
+}
+
+// --- Build ---
+
+const files = INCLUDE.flatMap(listFiles);
+const entries = [
+    { name: 'imsmanifest.xml', data: Buffer.from(manifest(files), 'utf8') },
+    ...files.map(file => ({ name: file, data: fs.readFileSync(path.join(ROOT, file)) }))
+];
+
+fs.mkdirSync(path.dirname(outFile), { recursive: true });
+fs.writeFileSync(outFile, zip(entries));
+console.log(`SCORM ${version} package: ${path.relative(process.cwd(), outFile)} (${files.length} files)`);
@@ -0,0 +1,137 @@
+// Mock Learning Record Store - a tiny local stand-in for a real LRS, for checking the xAPI
+// statements the prairie sends (see src/XapiClient.js and CONFIG.xapi in src/main.js).
+// No dependencies; needs Node 18+.
+//
+//   node tools/mock-lrs.mjs [--port 8088] [--out statements.jsonl] [--user metis-prairie --pass prairie]
+//
+// Then set CONFIG.xapi.enabled = true. Statements are printed as they arrive, optionally appended to
+// a JSON Lines file, and can be read back with GET http://localhost:8088/xapi/statements.
+// Everything is kept in memory; restarting the server forgets them.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import { randomUUID } from 'node:crypto';
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const PORT = Number(option('port', 8088));
+const OUT_FILE = option('out', null);
+const USERNAME = option('user', 'metis-prairie');
+const PASSWORD = option('pass', 'prairie');
+const SUPPORTED_VERSIONS = ['1.0.0', '1.0.1', '1.0.2', '1.0.3'];
+
+const statements = new Map(); // id -> statement, in arrival order
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Experience-API-Version',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+        'X-Experience-API-Version': '1.0.3',
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+    });
+    res.end(body !== undefined ? JSON.stringify(body, null, 2) : undefined);
+}
+
+function authorized(req) {
+    const expected = `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`;
+    return req.headers.authorization === expected;
+}
+
+// The checks a real LRS would fail a statement on, enough to catch mistakes in the client
+function validate(statement) {
+    const problems = [];
+    if (!statement || typeof statement !== 'object') return ['statement is not an object'];
+    const actor = statement.actor || {};
+    if (!actor.mbox && !actor.account && !actor.openid && !actor.mbox_sha1sum) problems.push('actor has no identifier');
+    if (actor.account && (!actor.account.homePage || !actor.account.name)) problems.push('actor.account needs homePage and name');
+    if (!statement.verb || !/^[a-z][a-z0-9+.-]*:/i.test(statement.verb.id || '')) problems.push('verb.id must be an IRI');
+    if (!statement.object || !/^[a-z][a-z0-9+.-]*:/i.test(statement.object.id || '')) problems.push('object.id must be an IRI');
+    if (statement.id && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(statement.id)) problems.push('id is not a UUID');
+    const score = statement.result && statement.result.score;
+    if (score && score.scaled !== undefined && (score.scaled < -1 || score.scaled > 1)) problems.push('result.score.scaled outside -1..1');
+    return problems;
+}
+
+function describe(statement) {
+    const who = statement.actor.name || statement.actor.account.name;
+    const verb = (statement.verb.display && statement.verb.display['en-US']) || statement.verb.id;
+    const what = statement.object.id.replace(/^.*?\/stations\//, '');
+    const result = statement.result || {};
+    const extra = result.success === undefined ? '' : result.success ? ' ✓' : ' ✗';
+    const response = result.response !== undefined ? ` "${result.response}"` : '';
+    return `${new Date().toLocaleTimeString()}  ${who} ${verb} ${what}${response}${extra}`;
+}
+
+function store(incoming) {
+    const list = Array.isArray(incoming) ? incoming : [incoming];
+    const problems = list.flatMap((statement, i) => validate(statement).map(p => `statement ${i}: ${p}`));
+    if (problems.length > 0) return { status: 400, body: { error: problems } };
+    if (list.some(statement => statement.id && statements.has(statement.id))) {
+        return { status: 409, body: { error: 'statement id already stored' } };
+    }
+
+    const ids = list.map(statement => {
+        const stored = {
+            ...statement,
+            id: statement.id || randomUUID(),
+            stored: new Date().toISOString(),
+            timestamp: statement.timestamp || new Date().toISOString(),
+            authority: { objectType: 'Agent', name: USERNAME, account: { homePage: `http://localhost:${PORT}`, name: USERNAME } }
+        };
+        statements.set(stored.id, stored);
+        console.log(describe(stored));
+        if (OUT_FILE) fs.appendFileSync(OUT_FILE, JSON.stringify(stored) + '\n');
+        return stored.id;
+    });
+    return { status: 200, body: ids };
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (url.pathname === '/xapi/about') return send(res, 200, { version: SUPPORTED_VERSIONS });
+    if (url.pathname !== '/xapi/statements') return send(res, 404, { error: `No resource at ${url.pathname}` });
+
+    if (!authorized(req)) return send(res, 401, { error: 'Wrong or missing Basic credentials' });
+    if (!SUPPORTED_VERSIONS.includes(req.headers['x-experience-api-version'])) {
+        return send(res, 400, { error: 'Missing or unsupported X-Experience-API-Version header' });
+    }
+
+    if (req.method === 'GET') {
+        const id = url.searchParams.get('statementId');
+        if (id) return statements.has(id) ? send(res, 200, statements.get(id)) : send(res, 404, { error: 'Not found' });
+        const verb = url.searchParams.get('verb');
+        const list = [...statements.values()].filter(statement => !verb || statement.verb.id === verb).reverse();
+        return send(res, 200, { statements: list, more: '' });
+    }
+
+    if (req.method !== 'POST' && req.method !== 'PUT') return send(res, 405, { error: 'Method not allowed' });
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let incoming;
+        try {
+            incoming = JSON.parse(body);
+        } catch (error) {
+            return send(res, 400, { error: 'Body is not valid JSON' });
+        }
+        if (req.method === 'PUT') {
+            const id = url.searchParams.get('statementId');
+            if (!id) return send(res, 400, { error: 'PUT needs ?statementId=' });
+            incoming = { ...incoming, id };
+        }
+        const { status, body: response } = store(incoming);
+        send(res, req.method === 'PUT' && status === 200 ? 204 : status, req.method === 'PUT' && status === 200 ? undefined : response);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock LRS listening on http://localhost:${PORT}/xapi/ (user "${USERNAME}", password "${PASSWORD}")`);
+    if (OUT_FILE) console.log(`Appending statements to ${OUT_FILE}`);
+});
@@ -0,0 +1,83 @@
+// Vendors the experiences' web fonts into vendor/fonts so they look the same without a connection
+// (schools with filtered or no internet), like tools/vendor-three.mjs does for three.js. Takes the
+// Latin woff2 files of each family from its @fontsource package and writes vendor/fonts/fonts.css
+// with their @font-face rules; the experiences import that:
+//
+//   @import url('../vendor/fonts/fonts.css');
+//
+// No dependencies; needs Node 18+ and a connection, once.
+//
+//   node tools/vendor-fonts.mjs
+//   node tools/vendor-fonts.mjs --from node_modules/@fontsource   (copy from installed packages instead)
+//
+// Rerun after adding a family or weight below (then node tools/build-precache.mjs).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VERSION = '5.3.0';
+const CDN = 'https://unpkg.com/@fontsource/';
+const OUT = path.join(ROOT, 'vendor', 'fonts');
+
+// Families the experiences use, with their weights (and italic weights)
+const FONTS = [
+    { family: 'Cinzel', id: 'cinzel', weights: [400, 700] },
+    { family: 'Cormorant Garamond', id: 'cormorant-garamond', weights: [300, 500, 600] },
+    { family: 'DM Serif Display', id: 'dm-serif-display', weights: [400] },
+    { family: 'Inter', id: 'inter', weights: [300, 400, 600] },
+    { family: 'Lato', id: 'lato', weights: [300, 400] },
+    { family: 'Manrope', id: 'manrope', weights: [300, 500, 800] },
+    { family: 'Montserrat', id: 'montserrat', weights: [300, 400, 600, 700] },
+    { family: 'Playfair Display', id: 'playfair-display', weights: [400, 700], italics: [400] }
+];
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const from = option('from', null);
+
+// A file of one package, e.g. read('inter', 'files/inter-latin-400-normal.woff2')
+async function read(id, file) {
+    if (from) {
+        const manifest = JSON.parse(fs.readFileSync(path.join(from, id, 'package.json'), 'utf8'));
+        if (manifest.version !== VERSION) {
+            throw new Error(`Expected @fontsource/${id} ${VERSION}, found ${manifest.version}`);
+        }
+        return fs.readFileSync(path.join(from, id, file));
+    }
+
+    const response = await fetch(`${CDN}${id}@${VERSION}/${file}`);
+    if (!response.ok) throw new Error(`${id}/${file}: HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+fs.rmSync(OUT, { recursive: true, force: true });
+
+const rules = [];
+let count = 0;
+for (const { family, id, weights, italics = [] } of FONTS) {
+    fs.mkdirSync(path.join(OUT, id), { recursive: true });
+    fs.writeFileSync(path.join(OUT, id, 'LICENSE'), await read(id, 'LICENSE'));
+
+    const faces = [...weights.map(weight => [weight, 'normal']), ...italics.map(weight => [weight, 'italic'])];
+    for (const [weight, style] of faces) {
+        const file = `${id}-latin-${weight}-${style}.woff2`;
+        fs.writeFileSync(path.join(OUT, id, file), await read(id, `files/${file}`));
+        rules.push(`@font-face {
+    font-family: '${family}';
+    font-style: ${style};
+    font-weight: ${weight};
+    font-display: swap;
+    src: url('${id}/${file}') format('woff2');
+}`);
+        count++;
+    }
+}
+
+fs.writeFileSync(path.join(OUT, 'fonts.css'),
+    `/* Generated by tools/vendor-fonts.mjs - do not edit */\n\n${rules.join('\n\n')}\n`);
+console.log(`Fonts: ${count} faces of ${FONTS.length} families in ${path.relative(ROOT, OUT)}`);
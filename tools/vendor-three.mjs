@@ -0,0 +1,85 @@
+// Vendors three.js into vendor/three so the prairie and the experiences run without a CDN (schools
+// with filtered or no internet). Downloads the core build and the addons we import, following
+// their relative imports, keeping the package layout so the importmaps only change prefix:
+//
+//   "three":         "./vendor/three/build/three.module.js"
+//   "three/addons/": "./vendor/three/examples/jsm/"
+//
+// No dependencies; needs Node 18+ and a connection, once.
+//
+//   node tools/vendor-three.mjs
+//   node tools/vendor-three.mjs --from node_modules/three   (copy from an installed package instead)
+//
+// Rerun after adding an addon import (then node tools/build-precache.mjs).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VERSION = '0.160.0';
+const CDN = `https://unpkg.com/three@${VERSION}/`;
+const OUT = path.join(ROOT, 'vendor', 'three');
+
+// Addons imported by src/ and experiences/ (paths under examples/jsm)
+const ADDONS = [
+    'controls/OrbitControls.js',
+    'environments/RoomEnvironment.js',
+    'geometries/TextGeometry.js',
+    'loaders/FontLoader.js',
+    'objects/Sky.js',
+    'objects/Water.js',
+    'postprocessing/EffectComposer.js',
+    'postprocessing/OutputPass.js',
+    'postprocessing/RenderPass.js',
+    'postprocessing/ShaderPass.js',
+    'postprocessing/UnrealBloomPass.js'
+];
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const from = option('from', null);
+
+async function read(file) {
+    if (from) return fs.readFileSync(path.join(from, file), 'utf8');
+
+    const response = await fetch(CDN + file);
+    if (!response.ok) throw new Error(`${file}: HTTP ${response.status}`);
+    return response.text();
+}
+
+// Relative imports of a module (addons import each other as './Pass.js', '../shaders/CopyShader.js')
+function relativeImports(source, file) {
+    const imports = [...source.matchAll(/(?:import|export)[^'"]*?from\s*['"](\.{1,2}\/[^'"]+)['"]/g)];
+    return imports.map(match => path.posix.join(path.posix.dirname(file), match[1]));
+}
+
+if (from) {
+    const manifest = path.join(from, 'package.json');
+    const version = fs.existsSync(manifest) ? JSON.parse(fs.readFileSync(manifest, 'utf8')).version : null;
+    if (version !== VERSION) {
+        console.error(`Expected three.js ${VERSION} at ${from}, found ${version || 'nothing'}`);
+        process.exit(1);
+    }
+}
+
+fs.rmSync(OUT, { recursive: true, force: true });
+
+const queue = ['build/three.module.js', 'LICENSE', ...ADDONS.map(addon => `examples/jsm/${addon}`)];
+const done = new Set();
+
+while (queue.length) {
+    const file = queue.shift();
+    if (done.has(file)) continue;
+    done.add(file);
+
+    const source = await read(file);
+    fs.mkdirSync(path.join(OUT, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(OUT, file), source);
+    if (file.endsWith('.js')) queue.push(...relativeImports(source, file));
+}
+
+console.log(`three.js ${VERSION}: ${done.size} files in ${path.relative(ROOT, OUT)}`);